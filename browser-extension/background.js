@@ -0,0 +1,123 @@
+/* background.js
+ *
+ * Active Window Details Companion
+ * ===============================
+ *
+ * Reports the tabs of every browser window to the Active Window Details
+ * GNOME Shell extension through its native messaging host: a snapshot of
+ * all tabs after connecting (and whenever tab positions change), then tab
+ * activations, updates and removals and window focus changes. The host
+ * replies with needsSnapshot when the shell extension lost its state.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+const HOST_NAME = "com.imaginationguild.active_window_details";
+
+/**
+ * Milliseconds before connecting again after the host went away
+ */
+const RECONNECT_DELAY = 10 * 1000;
+
+/**
+ * Tab properties whose changes are reported
+ */
+const REPORTED_CHANGES = ["url", "title", "audible", "mutedInfo", "pinned", "status"];
+
+const api = globalThis.browser || globalThis.chrome;
+
+let port = null;
+let reconnectTimeout = null;
+
+function connect() {
+    if (port) return;
+
+    port = api.runtime.connectNative(HOST_NAME);
+    port.onMessage.addListener(reply => {
+        if (reply.needsSnapshot) sendSnapshot();
+    });
+    port.onDisconnect.addListener(() => {
+        // Host not installed, shell extension disabled or session ending
+        port = null;
+        clearTimeout(reconnectTimeout);
+        reconnectTimeout = setTimeout(connect, RECONNECT_DELAY);
+    });
+
+    getBrowserInfo().then(info => send({type: "hello", ...info}));
+    sendSnapshot();
+}
+
+function send(message) {
+    // Missed events are covered by the snapshot after reconnecting
+    if (!port) return;
+    try {
+        port.postMessage(message);
+    } catch (e) {
+        // Disconnected meanwhile; the next connection starts with a snapshot
+    }
+}
+
+async function sendSnapshot() {
+    const [tabs, focused] = await Promise.all([
+        api.tabs.query({}),
+        api.windows.getLastFocused().catch(() => null)
+    ]);
+    send({type: "snapshot", tabs: tabs, focusedWindowId: focused && focused.focused ? focused.id : -1});
+}
+
+async function getBrowserInfo() {
+    if (api.runtime.getBrowserInfo) {
+        // Firefox and its forks
+        const info = await api.runtime.getBrowserInfo();
+        return {browser: info.name.toLowerCase(), version: info.version};
+    }
+    const brands = (navigator.userAgentData && navigator.userAgentData.brands) || [];
+    const brand = brands.find(entry => !/Not.?A.?Brand|^Chromium$/i.test(entry.brand)) ||
+        brands.find(entry => entry.brand === "Chromium");
+    return {browser: brand ? brand.brand.toLowerCase() : "chromium", version: brand ? brand.version : null};
+}
+
+api.tabs.onActivated.addListener(({tabId}) => {
+    // The tab may be gone already; its removal is reported separately
+    api.tabs.get(tabId)
+        .then(tab => send({type: "tabActivated", tab: tab}))
+        .catch(() => {});
+});
+
+api.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (REPORTED_CHANGES.some(key => key in changeInfo)) {
+        send({type: "tabUpdated", tab: tab});
+    }
+});
+
+api.tabs.onRemoved.addListener((tabId, {isWindowClosing}) => {
+    if (!isWindowClosing) send({type: "tabRemoved", tabId: tabId});
+});
+
+// Indices of the other tabs shift
+for (const event of [api.tabs.onCreated, api.tabs.onMoved, api.tabs.onAttached, api.tabs.onDetached]) {
+    event.addListener(() => sendSnapshot());
+}
+
+api.windows.onFocusChanged.addListener(windowId => {
+    send({type: "windowFocused", windowId: windowId});
+});
+
+api.windows.onRemoved.addListener(windowId => {
+    send({type: "windowRemoved", windowId: windowId});
+});
+
+connect();
@@ -24,6 +24,12 @@ SYSTEM_INSTALL_DIR="/usr/share/gnome-shell/extensions"
 USER_INSTALL_DIR="$HOME/.local/share/gnome-shell/extensions"
 TARGET_DIR="$USER_INSTALL_DIR/$EXTENSION_UUID"
 
+# Native messaging host of the companion browser extension (browser-extension/)
+NATIVE_HOST_NAME="com.imaginationguild.active_window_details"
+NATIVE_HOST_PATH="$TARGET_DIR/nativeHost/active-window-details-host.js"
+FIREFOX_HOST_DIRS=(".mozilla/native-messaging-hosts" ".librewolf/native-messaging-hosts")
+CHROMIUM_CONFIG_DIRS=("google-chrome" "chromium" "BraveSoftware/Brave-Browser" "microsoft-edge" "vivaldi")
+
 # Colors for output
 RED='\033[0;31m'
 GREEN='\033[0;32m'
@@ -229,6 +235,38 @@ get_installed_version_file() {
     grep '"version"' "$installed_metadata" | sed -E 's/.*"version": *"([^"]*)",?.*$/\1/' 2>/dev/null || echo "unknown"
 }
 
+# Register the native messaging host with every installed browser
+install_native_host() {
+    local dir
+    for dir in "${FIREFOX_HOST_DIRS[@]}"; do
+        if [[ -d "$HOME/${dir%/*}" ]]; then
+            mkdir -p "$HOME/$dir"
+            sed "s|@HOST_PATH@|$NATIVE_HOST_PATH|" "$TARGET_DIR/nativeHost/firefox-manifest.json" \
+                > "$HOME/$dir/$NATIVE_HOST_NAME.json"
+            print_info "Registered browser bridge host in ~/$dir"
+        fi
+    done
+    for dir in "${CHROMIUM_CONFIG_DIRS[@]}"; do
+        if [[ -d "$HOME/.config/$dir" ]]; then
+            mkdir -p "$HOME/.config/$dir/NativeMessagingHosts"
+            sed "s|@HOST_PATH@|$NATIVE_HOST_PATH|" "$TARGET_DIR/nativeHost/chromium-manifest.json" \
+                > "$HOME/.config/$dir/NativeMessagingHosts/$NATIVE_HOST_NAME.json"
+            print_info "Registered browser bridge host in ~/.config/$dir/NativeMessagingHosts"
+        fi
+    done
+}
+
+# Remove the native messaging host registrations
+uninstall_native_host() {
+    local dir
+    for dir in "${FIREFOX_HOST_DIRS[@]}"; do
+        rm -f "$HOME/$dir/$NATIVE_HOST_NAME.json"
+    done
+    for dir in "${CHROMIUM_CONFIG_DIRS[@]}"; do
+        rm -f "$HOME/.config/$dir/NativeMessagingHosts/$NATIVE_HOST_NAME.json"
+    done
+}
+
 # Install extension
 install_extension() {
     print_info "Installing $EXTENSION_NAME..."
@@ -250,9 +288,22 @@ install_extension() {
     print_info "Copying extension files to $TARGET_DIR..."
     cp -r "$SOURCE_DIR" "$TARGET_DIR"
     
+    # Compile the GSettings schema used by the extension and its preferences
+    if [[ -d "$TARGET_DIR/schemas" ]]; then
+        if command -v glib-compile-schemas >/dev/null 2>&1; then
+            print_info "Compiling settings schema..."
+            glib-compile-schemas "$TARGET_DIR/schemas"
+        else
+            print_warning "glib-compile-schemas not found - settings schema not compiled"
+        fi
+    fi
+    
     # Set proper permissions
     chmod -R 755 "$TARGET_DIR"
     
+    # Let the companion browser extension start the bridge host
+    install_native_host
+    
     # GNOME Shell will automatically detect the extension
     print_success "Extension files installed successfully"
     
@@ -329,6 +380,7 @@ uninstall_extension() {
         rm -rf "$TARGET_DIR"
         removed=true
     fi
+    uninstall_native_host
     
     # Check system installation directory
     if [[ -d "$SYSTEM_INSTALL_DIR/$EXTENSION_UUID" ]]; then
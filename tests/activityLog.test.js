@@ -0,0 +1,112 @@
+/* activityLog.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Daily activity log files: filing by start date, the size cap of a daily
+ * file and deletion of files past the retention period.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {ActivityLog} from '../v45-46-47/activityLog.js';
+import {assert, makeTempDir, removeTree, test, writeFile} from './harness.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function makeSession(start, title = "notes.txt - gedit") {
+    return {start: start, end: start + 60000, wmClass: "gedit", title: title, pid: 4711, appType: "editor"};
+}
+
+function readLines(path) {
+    return new TextDecoder().decode(GLib.file_get_contents(path)[1]).split("\n").filter(line => line);
+}
+
+test("activityLog: sessions are filed by the day they started", () => {
+    const dir = makeTempDir();
+    try {
+        const log = new ActivityLog({enabled: true, directory: dir});
+        const today = Date.now();
+        log.append(makeSession(today - 2 * DAY_MS));
+        log.append(makeSession(today));
+        log.append(makeSession(today + 1000));
+
+        const result = log.flush();
+        assert.equal(result.written, 3);
+        assert.equal(result.files.length, 2);
+
+        const current = log.getStatus().currentFile;
+        assert.equal(readLines(current).length, 2);
+        const session = JSON.parse(readLines(current)[0]);
+        assert.equal(session.duration, 60000);
+        assert.equal(session.idle, false);
+        assert.deepEqual(session.context, {});
+    } finally {
+        removeTree(dir);
+    }
+});
+
+test("activityLog: a full daily file drops further sessions", () => {
+    const dir = makeTempDir();
+    try {
+        // Room for one session of about 600 bytes, not for two
+        const log = new ActivityLog({enabled: true, directory: dir, maxFileSize: 1000});
+        const title = "x".repeat(400);
+        log.append(makeSession(Date.now(), title));
+        log.append(makeSession(Date.now(), title));
+        assert.deepEqual([log.flush().written, log.getStatus().sessionsDropped], [1, 1]);
+
+        log.append(makeSession(Date.now(), title));
+        assert.equal(log.flush().dropped, 1);
+
+        const status = log.getStatus();
+        assert.equal(readLines(status.currentFile).length, 1);
+        assert.equal(status.sessionsWritten, 1);
+        assert.equal(status.sessionsDropped, 2);
+        assert.ok(status.files[0].size <= 1000, "daily file stays under the cap");
+    } finally {
+        removeTree(dir);
+    }
+});
+
+test("activityLog: files past the retention period are deleted", () => {
+    const dir = makeTempDir();
+    try {
+        writeFile(GLib.build_filenamev([dir, "activity-2001-01-01.jsonl"]), "{}\n");
+        writeFile(GLib.build_filenamev([dir, "notes.txt"]), "not a log file\n");
+
+        const log = new ActivityLog({enabled: true, directory: dir, retentionDays: 30});
+        log.append(makeSession(Date.now() - 2 * DAY_MS));
+        log.flush();
+
+        const names = log.getStatus().files.map(file => file.name);
+        assert.equal(names.length, 1);
+        assert.ok(names[0] !== "activity-2001-01-01.jsonl", "expired file is deleted");
+        assert.ok(GLib.file_test(GLib.build_filenamev([dir, "notes.txt"]), GLib.FileTest.EXISTS),
+            "other files are left alone");
+    } finally {
+        removeTree(dir);
+    }
+});
+
+test("activityLog: nothing is queued while logging is disabled", () => {
+    const log = new ActivityLog({directory: "/nonexistent"});
+    log.append(makeSession(Date.now()));
+    assert.equal(log.getStatus().pendingSessions, 0);
+    assert.deepEqual(log.flush(), {written: 0, dropped: 0, files: []});
+});
@@ -0,0 +1,68 @@
+/* appClassifier.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Application types from window properties, and user rules files.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {AppClassifier} from '../v45-46-47/appClassifier.js';
+import {assert, makeTempDir, removeTree, test, writeFile} from './harness.js';
+
+test("appClassifier: built-in rules by window class and sandboxed app id", () => {
+    const classifier = new AppClassifier();
+    assert.deepEqual(classifier.classify({wmClass: "firefox"}),
+        {appType: "browser", ruleId: "firefox", matchedOn: "wmClass"});
+    assert.equal(classifier.classify({wmClass: "jetbrains-pycharm-ce"}).appType, "ide");
+    assert.equal(classifier.classify({wmClass: "org.gnome.Nautilus"}).appType, "file_manager");
+    assert.deepEqual(classifier.classify({wmClass: "galculator"}),
+        {appType: "unknown", ruleId: null, matchedOn: null});
+});
+
+test("appClassifier: a bare array of user rules, replaceDefaults and invalid modes", () => {
+    const dir = makeTempDir();
+    try {
+        const path = GLib.build_filenamev([dir, "classifiers.json"]);
+        writeFile(path, JSON.stringify([
+            {id: "obsidian", appType: "document", match: {wmClass: "obsidian"}},
+            {id: "glob", appType: "ide", mode: "glob", match: {wmClass: "*"}}
+        ]));
+
+        const classifier = new AppClassifier();
+        assert.equal(classifier.loadUserRules(path), 2);
+        assert.equal(classifier.classify({wmClass: "Obsidian"}).ruleId, "obsidian");
+        assert.equal(classifier.classify({wmClass: "firefox"}).appType, "browser");
+        assert.deepEqual(classifier.errors, ['Skipping rule "glob": unknown mode "glob"']);
+
+        writeFile(path, JSON.stringify({
+            rules: [{appType: "terminal", mode: "regex", match: {executable: "^kitty$"}}],
+            replaceDefaults: true
+        }));
+        assert.equal(classifier.loadUserRules(path), 1);
+        assert.deepEqual(classifier.classify({wmClass: "firefox", executable: "kitty"}),
+            {appType: "terminal", ruleId: "rule-0", matchedOn: "executable"});
+        assert.equal(classifier.classify({wmClass: "firefox"}).appType, "unknown");
+
+        assert.equal(classifier.loadUserRules(GLib.build_filenamev([dir, "missing.json"])), 0);
+        assert.deepEqual(classifier.errors, []);
+    } finally {
+        removeTree(dir);
+    }
+});
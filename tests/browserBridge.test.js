@@ -0,0 +1,54 @@
+/* browserBridge.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Browser bridge connections: keyed by the calling process, messages can't
+ * speak for another one.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+
+import {BrowserBridge} from '../v45-46-47/browserBridge.js';
+import {assert, test} from './harness.js';
+
+// The test process plays the host; its parent plays the browser
+const pid = new Gio.Credentials().get_unix_pid();
+
+test("browserBridge: hostPid naming another process is rejected", () => {
+    const bridge = new BrowserBridge();
+    assert.throws(() => bridge.handleMessage(pid, {type: "disconnect", hostPid: pid + 1}),
+        /is not the caller's PID/);
+    assert.throws(() => bridge.handleMessage(pid, {type: "tabActivated", hostPid: 1,
+        tab: {id: 1, windowId: 1, title: "Fake", incognito: true}}), /is not the caller's PID/);
+    assert.equal(bridge.connectionCount, 0);
+});
+
+test("browserBridge: tabs of the caller's connection, disconnect only ends it", () => {
+    const bridge = new BrowserBridge();
+    assert.deepEqual(bridge.handleMessage(pid, {type: "tabActivated",
+        tab: {id: 7, windowId: 2, index: 0, url: "https://example.org/", title: "Example"}}),
+    {accepted: true, connected: true, needsSnapshot: true});
+    assert.equal(bridge.handleMessage(pid, {type: "ping", hostPid: pid}).accepted, true);
+    assert.equal(bridge.connectionCount, 1);
+
+    assert.equal(bridge.handleMessage(pid + 1, {type: "disconnect"}).connected, false);
+    assert.equal(bridge.connectionCount, 1);
+    bridge.handleMessage(pid, {type: "disconnect"});
+    assert.equal(bridge.connectionCount, 0);
+});
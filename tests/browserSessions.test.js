@@ -0,0 +1,80 @@
+/* browserSessions.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Browser session files: a Firefox recovery.jsonlz4 (mozlz4 with LZ4
+ * back-references) and a Chromium SNSS session with pinned, pruned and
+ * closed tabs, a closed window and a command cut off mid-write.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import {
+    decompressMozLz4, getUrlDomain, parseFirefoxSession, parseSnssSession, stripBrowserName
+} from '../v45-46-47/browserSessions.js';
+import {assert, readFixture, test} from './harness.js';
+
+test("browserSessions: mozlz4 decompresses to the session JSON", () => {
+    const session = JSON.parse(new TextDecoder().decode(decompressMozLz4(readFixture("recovery.jsonlz4"))));
+    assert.equal(session.windows.length, 2);
+    assert.equal(session.windows[0].tabs[0].entries[1].title, "Pull requests · user/app");
+});
+
+test("browserSessions: mozlz4 header and truncation are detected", () => {
+    const data = readFixture("recovery.jsonlz4");
+    assert.throws(() => decompressMozLz4(new TextEncoder().encode("{\"windows\":[]}")), /Not a mozlz4 file/);
+    assert.throws(() => decompressMozLz4(data.subarray(0, data.length - 40)), /LZ4|Truncated/);
+});
+
+test("browserSessions: Firefox windows, current history entry and typed address of loading tabs", () => {
+    assert.deepEqual(parseFirefoxSession(readFixture("recovery.jsonlz4")), [{
+        tabs: [
+            {title: "Pull requests · user/app", url: "https://github.com/user/app/pulls", pinned: true},
+            {title: "Fetch API - Web APIs | MDN", url: "https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API",
+                pinned: false},
+            {title: "", url: "https://example.org/loading", pinned: false}
+        ],
+        selected: 1
+    }]);
+});
+
+test("browserSessions: SNSS commands replayed to open windows and tabs", () => {
+    assert.deepEqual(parseSnssSession(readFixture("Session_13372000000000000")), [{
+        tabs: [
+            {title: "Inbox (3) - user@example.com - Gmail", url: "https://mail.google.com/mail/u/0/#inbox",
+                pinned: true},
+            {title: "Über uns – Beispiel", url: "https://example.de/ueber-uns", pinned: false},
+            {title: "", url: "https://example.com/", pinned: false}
+        ],
+        selected: 1
+    }]);
+});
+
+test("browserSessions: other files and SNSS versions are rejected", () => {
+    const data = readFixture("Session_13372000000000000").slice();
+    assert.throws(() => parseSnssSession(readFixture("recovery.jsonlz4")), /Not an SNSS file/);
+    data[4] = 2;
+    assert.throws(() => parseSnssSession(data), /Unsupported SNSS version 2/);
+});
+
+test("browserSessions: browser names stripped from titles, domains without www", () => {
+    assert.equal(stripBrowserName("Pull requests · user/app — Mozilla Firefox", ["Mozilla Firefox", "Firefox"]),
+        "Pull requests · user/app");
+    assert.equal(stripBrowserName("Inbox - Microsoft\u200b Edge", ["Microsoft Edge"]), "Inbox");
+    assert.equal(getUrlDomain("https://www.GitHub.com/user/app"), "github.com");
+    assert.equal(getUrlDomain("about:blank"), "");
+});
@@ -0,0 +1,68 @@
+/* callerAuthorizer.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Caller identities: executables, and interpreters together with the
+ * script they run.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import {findCallerScript, identifyCaller} from '../v45-46-47/callerAuthorizer.js';
+import {assert, test} from './harness.js';
+
+const HOST = "/home/user/.local/share/gnome-shell/extensions/active-window-details@imaginationguild.com/" +
+    "nativeHost/active-window-details-host.js";
+
+test("callerAuthorizer: native messaging host started through env -S gjs -m", () => {
+    const script = findCallerScript("/usr/bin/gjs-console", ["gjs", "-m", HOST], "/home/user");
+    assert.equal(script, HOST);
+    assert.equal(identifyCaller("/usr/bin/gjs-console", script), `/usr/bin/gjs-console ${HOST}`);
+});
+
+test("callerAuthorizer: option values skipped, relative scripts resolved against the cwd", () => {
+    assert.equal(findCallerScript("/usr/bin/python3.12", ["python3", "-u", "-X", "dev", "bin/../tools/logger.py", "-v"],
+        "/home/user/src"), "/home/user/src/tools/logger.py");
+    assert.equal(findCallerScript("/usr/bin/node", ["node", "--import=tsx", "--", "watch.js"], "/srv/app"),
+        "/srv/app/watch.js");
+    assert.equal(findCallerScript("/usr/bin/node", ["node", "watch.js"], ""), null);
+});
+
+test("callerAuthorizer: inline code, interactive interpreters and binaries keep the executable", () => {
+    assert.equal(findCallerScript("/usr/bin/python3.12", ["python3", "-c", "import dbus", "x.py"], "/tmp"), null);
+    assert.equal(findCallerScript("/usr/bin/python3.12", ["python3", "-m", "mypkg.cli"], "/tmp"), null);
+    assert.equal(findCallerScript("/usr/bin/gjs-console", ["gjs"], "/tmp"), null);
+    assert.equal(findCallerScript("/usr/bin/gjs-console", ["gjs", "-mc", "print(1)", "x.js"], "/tmp"), null);
+    assert.equal(findCallerScript("/usr/bin/gdbus", ["gdbus", "call", "--session"], "/tmp"), null);
+    assert.equal(identifyCaller("/usr/bin/gdbus", null), "/usr/bin/gdbus");
+});
+
+test("callerAuthorizer: code from standard input doesn't pass for the script after it", () => {
+    assert.equal(findCallerScript("/usr/bin/python3.12", ["python3", "-", "/home/u/allowed.py"], "/tmp"), null);
+    assert.equal(findCallerScript("/usr/bin/node", ["node", "-", "/path/allowed.js"], "/tmp"), null);
+    assert.equal(findCallerScript("/usr/bin/python3.12", ["python3", "-u", "-", "x.py"], "/tmp"), null);
+});
+
+test("callerAuthorizer: clustered short options", () => {
+    assert.equal(findCallerScript("/usr/bin/python3.12", ["python3", "-Bc", "import dbus", "x.py"], "/tmp"), null);
+    assert.equal(findCallerScript("/usr/bin/perl", ["perl", "-we", "print 1", "x.pl"], "/tmp"), null);
+    // -I takes the rest of the cluster, or the next argument when it ends it
+    assert.equal(findCallerScript("/usr/bin/perl", ["perl", "-Ic", "x.pl"], "/srv"), "/srv/x.pl");
+    assert.equal(findCallerScript("/usr/bin/perl", ["perl", "-wI", "lib", "x.pl"], "/srv"), "/srv/x.pl");
+    assert.equal(findCallerScript("/usr/bin/python3.12", ["python3", "-BX", "dev", "x.py"], "/srv"), "/srv/x.py");
+    assert.equal(findCallerScript("/usr/bin/python3.12", ["python3", "-BXdev", "x.py"], "/srv"), "/srv/x.py");
+});
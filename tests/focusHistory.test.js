@@ -0,0 +1,85 @@
+/* focusHistory.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * The focus history ring buffer: wraparound, durations of closed and
+ * ongoing entries, queries and resizing.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import {FocusHistory} from '../v45-46-47/focusHistory.js';
+import {assert, test} from './harness.js';
+
+function recordWindows(history, count, start = 1000) {
+    for (let i = 0; i < count; i++) {
+        history.record({wmClass: `app-${i}`, title: `Window ${i}`, pid: 100 + i, appType: "other"},
+            start + i * 1000);
+    }
+}
+
+test("focusHistory: a full buffer overwrites the oldest entries in order", () => {
+    const history = new FocusHistory(3);
+    recordWindows(history, 5);
+
+    assert.equal(history.size, 3);
+    const entries = history.query();
+    assert.deepEqual(entries.map(entry => entry.wmClass), ["app-2", "app-3", "app-4"]);
+    // Closed entries last until the next transition, the newest one is ongoing
+    assert.deepEqual(entries.map(entry => entry.ongoing), [false, false, true]);
+    assert.equal(entries[0].duration, 1000);
+    assert.equal(entries[2].timestamp, 5000);
+});
+
+test("focusHistory: idle transitions and closing without a new window", () => {
+    const history = new FocusHistory(4);
+    history.record({wmClass: "code", activityState: "active"}, 1000);
+    history.record({wmClass: "code", activityState: "idle"}, 4000);
+    history.close(6500);
+
+    const entries = history.query();
+    assert.deepEqual(entries.map(entry => [entry.idle, entry.duration, entry.ongoing]),
+        [[false, 3000, false], [true, 2500, false]]);
+    assert.equal(entries[0].appType, "unknown");
+});
+
+test("focusHistory: queries by time and limit keep the most recent entries", () => {
+    const history = new FocusHistory(10);
+    recordWindows(history, 6);
+    history.close(7000);
+
+    // Entries still active at or after 3500: those starting at 3000 and later
+    assert.deepEqual(history.query(3500).map(entry => entry.wmClass), ["app-2", "app-3", "app-4", "app-5"]);
+    assert.deepEqual(history.query(0, 2).map(entry => entry.wmClass), ["app-4", "app-5"]);
+});
+
+test("focusHistory: resizing a wrapped buffer keeps the newest entries", () => {
+    const history = new FocusHistory(4);
+    recordWindows(history, 6);
+
+    history.resize(2);
+    assert.equal(history.capacity, 2);
+    assert.deepEqual(history.query().map(entry => entry.wmClass), ["app-4", "app-5"]);
+
+    history.resize(5);
+    recordWindows(history, 4, 10000);
+    assert.deepEqual(history.query().map(entry => entry.wmClass), ["app-5", "app-0", "app-1", "app-2", "app-3"]);
+
+    history.clear();
+    assert.equal(history.size, 0);
+    assert.deepEqual(history.query(), []);
+});
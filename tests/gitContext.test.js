@@ -0,0 +1,133 @@
+/* gitContext.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * findGitContext() against repositories laid out in a temporary directory:
+ * a plain checkout, a linked worktree and a rebase in progress.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {findGitContext} from '../v45-46-47/gitContext.js';
+import {assert, makeTempDir, removeTree, test, writeFile} from './harness.js';
+
+const MAIN_COMMIT = "3f9c2b8e0d4a6c1e5b7f9a2d4c6e8b0a1c3e5f70";
+const FEATURE_COMMIT = "9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c4d3e2f1a0b";
+
+const CONFIG = `[core]
+	repositoryformatversion = 0
+	bare = false
+[remote "origin"]
+	url = git@github.com:user/app.git
+	fetch = +refs/heads/*:refs/remotes/origin/*
+[remote "upstream"]
+	url = "https://github.com/upstream/app.git" ; read-only
+	pushurl = no_push
+[branch "main"]
+	remote = origin
+	merge = refs/heads/main
+`;
+
+/**
+ * Repository with main in packed-refs and feature as a loose ref
+ */
+function makeRepository(dir) {
+    const gitDir = GLib.build_filenamev([dir, "app", ".git"]);
+    writeFile(GLib.build_filenamev([gitDir, "HEAD"]), "ref: refs/heads/main\n");
+    writeFile(GLib.build_filenamev([gitDir, "config"]), CONFIG);
+    writeFile(GLib.build_filenamev([gitDir, "packed-refs"]),
+        `# pack-refs with: peeled fully-peeled sorted\n${MAIN_COMMIT} refs/heads/main\n`);
+    writeFile(GLib.build_filenamev([gitDir, "refs", "heads", "feature"]), `${FEATURE_COMMIT}\n`);
+    writeFile(GLib.build_filenamev([dir, "app", "src", "main.c"]), "int main(void) { return 0; }\n");
+    return gitDir;
+}
+
+test("gitContext: branch, packed ref, upstream and remotes of a checkout", () => {
+    const dir = makeTempDir();
+    try {
+        makeRepository(dir);
+        const git = findGitContext(GLib.build_filenamev([dir, "app", "src", "main.c"]));
+
+        assert.equal(git.root, GLib.build_filenamev([dir, "app"]));
+        assert.equal(git.name, "app");
+        assert.equal(git.branch, "main");
+        assert.equal(git.detached, false);
+        assert.equal(git.commit, MAIN_COMMIT);
+        assert.equal(git.upstream, "origin/main");
+        assert.equal(git.worktree, false);
+        assert.equal(git.submodule, false);
+        assert.equal(git.operation, null);
+        assert.deepEqual(git.remotes, [
+            {name: "origin", url: "git@github.com:user/app.git"},
+            {name: "upstream", url: "https://github.com/upstream/app.git", pushUrl: "no_push"}
+        ]);
+    } finally {
+        removeTree(dir);
+    }
+});
+
+test("gitContext: linked worktree reads refs and config from the main repository", () => {
+    const dir = makeTempDir();
+    try {
+        const gitDir = makeRepository(dir);
+        const worktreeGitDir = GLib.build_filenamev([gitDir, "worktrees", "app-feature"]);
+        writeFile(GLib.build_filenamev([worktreeGitDir, "HEAD"]), "ref: refs/heads/feature\n");
+        writeFile(GLib.build_filenamev([worktreeGitDir, "commondir"]), "../..\n");
+        writeFile(GLib.build_filenamev([dir, "app-feature", ".git"]), "gitdir: ../app/.git/worktrees/app-feature\n");
+
+        const git = findGitContext(GLib.build_filenamev([dir, "app-feature"]));
+        assert.equal(git.root, GLib.build_filenamev([dir, "app-feature"]));
+        assert.equal(git.gitDir, worktreeGitDir);
+        assert.equal(git.worktree, true);
+        assert.equal(git.branch, "feature");
+        assert.equal(git.commit, FEATURE_COMMIT);
+        assert.equal(git.upstream, null);
+        assert.equal(git.remotes.length, 2);
+    } finally {
+        removeTree(dir);
+    }
+});
+
+test("gitContext: detached HEAD during a rebase reports the branch being rebased", () => {
+    const dir = makeTempDir();
+    try {
+        const gitDir = makeRepository(dir);
+        writeFile(GLib.build_filenamev([gitDir, "HEAD"]), `${FEATURE_COMMIT}\n`);
+        writeFile(GLib.build_filenamev([gitDir, "rebase-merge", "head-name"]), "refs/heads/feature\n");
+
+        const git = findGitContext(GLib.build_filenamev([dir, "app"]));
+        assert.equal(git.detached, true);
+        assert.equal(git.commit, FEATURE_COMMIT);
+        assert.equal(git.branch, "feature");
+        assert.equal(git.operation, "rebase");
+    } finally {
+        removeTree(dir);
+    }
+});
+
+test("gitContext: paths outside a repository and relative paths", () => {
+    const dir = makeTempDir();
+    try {
+        assert.equal(findGitContext(dir), null);
+        assert.equal(findGitContext("app/src"), null);
+        assert.equal(findGitContext(""), null);
+    } finally {
+        removeTree(dir);
+    }
+});
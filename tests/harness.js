@@ -0,0 +1,175 @@
+/* harness.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Minimal test runner for the modules that don't need GNOME Shell (parsers,
+ * file readers, rule registries). Test files register their cases with
+ * test() and are imported by run.js, which runs them under plain gjs:
+ *
+ *   gjs -m tests/run.js
+ *
+ * Sample inputs live in tests/fixtures/. Tests that need a directory tree
+ * build it in a temporary directory and remove it afterwards.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+const TESTS_DIR = GLib.path_get_dirname(GLib.filename_from_uri(import.meta.url)[0]);
+
+const tests = [];
+
+/**
+ * Register a test case
+ *
+ * @param {string} name - Description printed with the result
+ * @param {Function} fn - Test body, may be async; fails by throwing
+ */
+export function test(name, fn) {
+    tests.push({name, fn});
+}
+
+/**
+ * Run every registered test case in registration order
+ *
+ * @returns {Promise<number>} Number of failed cases
+ */
+export async function runTests() {
+    let failed = 0;
+    for (const {name, fn} of tests) {
+        try {
+            await fn();
+            print(`ok - ${name}`);
+        } catch (e) {
+            failed++;
+            print(`not ok - ${name}`);
+            printerr(`    ${e.message}`);
+        }
+    }
+    print(`${tests.length - failed}/${tests.length} passed`);
+    return failed;
+}
+
+export const assert = {
+    equal(actual, expected, message = "") {
+        if (actual !== expected) {
+            throw new Error(`${message}${message ? ": " : ""}expected ${format(expected)}, got ${format(actual)}`);
+        }
+    },
+
+    deepEqual(actual, expected, message = "") {
+        if (!isDeepEqual(actual, expected)) {
+            throw new Error(`${message}${message ? ": " : ""}expected ${format(expected)}, got ${format(actual)}`);
+        }
+    },
+
+    ok(value, message = "expected a truthy value") {
+        if (!value) throw new Error(message);
+    },
+
+    throws(fn, pattern, message = "expected an error") {
+        try {
+            fn();
+        } catch (e) {
+            if (pattern && !pattern.test(e.message)) {
+                throw new Error(`${message}: "${e.message}" doesn't match ${pattern}`);
+            }
+            return;
+        }
+        throw new Error(message);
+    }
+};
+
+/**
+ * Absolute path of a file in tests/fixtures
+ */
+export function fixturePath(name) {
+    return GLib.build_filenamev([TESTS_DIR, "fixtures", name]);
+}
+
+/**
+ * Contents of a fixture file
+ *
+ * @returns {Uint8Array}
+ */
+export function readFixture(name) {
+    return GLib.file_get_contents(fixturePath(name))[1];
+}
+
+/**
+ * Create an empty temporary directory
+ *
+ * @returns {string} Its path; remove it with removeTree()
+ */
+export function makeTempDir() {
+    return GLib.dir_make_tmp("active-window-details-test-XXXXXX");
+}
+
+/**
+ * Write a file, creating its parent directories
+ *
+ * @param {string} path - Absolute path
+ * @param {string|Uint8Array} contents - Text or bytes
+ */
+export function writeFile(path, contents) {
+    GLib.mkdir_with_parents(GLib.path_get_dirname(path), 0o755);
+    GLib.file_set_contents(path, contents);
+}
+
+/**
+ * Set the modification time of a file
+ *
+ * @param {string} path - Absolute path
+ * @param {number} seconds - Unix time
+ */
+export function setModificationTime(path, seconds) {
+    Gio.File.new_for_path(path).set_attribute_uint64('time::modified', seconds,
+        Gio.FileQueryInfoFlags.NONE, null);
+}
+
+/**
+ * Delete a directory and everything in it
+ */
+export function removeTree(path) {
+    if (GLib.file_test(path, GLib.FileTest.IS_DIR) && !GLib.file_test(path, GLib.FileTest.IS_SYMLINK)) {
+        const dir = GLib.Dir.open(path, 0);
+        let name;
+        while ((name = dir.read_name()) !== null) {
+            removeTree(GLib.build_filenamev([path, name]));
+        }
+        dir.close();
+        GLib.rmdir(path);
+    } else {
+        GLib.unlink(path);
+    }
+}
+
+function isDeepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isDeepEqual(a[key], b[key]));
+}
+
+function format(value) {
+    return value === undefined ? "undefined" : JSON.stringify(value);
+}
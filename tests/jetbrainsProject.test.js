@@ -0,0 +1,95 @@
+/* jetbrainsProject.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * JetBrains window titles (new and classic UI, legacy hyphen separator)
+ * and the project list of a recentProjects.xml.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {findJetBrainsProduct, parseJetBrainsTitle, parseRecentProjects} from '../v45-46-47/jetbrainsProject.js';
+import {assert, makeTempDir, readFixture, removeTree, test, writeFile} from './harness.js';
+
+test("jetbrainsProject: new UI title names project and file", () => {
+    assert.deepEqual(parseJetBrainsTitle("shop – Cart.kt", "IntelliJ IDEA"), {
+        projectName: "shop",
+        projectPathHint: "",
+        file: "Cart.kt",
+        module: null
+    });
+});
+
+test("jetbrainsProject: classic UI title with path hint, shortened file and module", () => {
+    const parsed = parseJetBrainsTitle("shop [~/src/shop] – …/main/kotlin/Cart.kt [shop.main] – IntelliJ IDEA",
+        "IntelliJ IDEA");
+    assert.equal(parsed.projectName, "shop");
+    assert.equal(parsed.projectPathHint, GLib.build_filenamev([GLib.get_home_dir(), "src", "shop"]));
+    assert.equal(parsed.file, "…/main/kotlin/Cart.kt");
+    assert.equal(parsed.module, "shop.main");
+});
+
+test("jetbrainsProject: legacy hyphen separator and versioned product name", () => {
+    const parsed = parseJetBrainsTitle("scraper - src/scraper/app.py - PyCharm 2019.3", "PyCharm");
+    assert.equal(parsed.projectName, "scraper");
+    assert.equal(parsed.file, "src/scraper/app.py");
+
+    assert.equal(parseJetBrainsTitle("Welcome to IntelliJ IDEA", "IntelliJ IDEA").file, "");
+});
+
+test("jetbrainsProject: products by window class, generic entry for unknown products", () => {
+    assert.equal(findJetBrainsProduct("jetbrains-pycharm-ce", "").name, "PyCharm Community Edition");
+    assert.equal(findJetBrainsProduct("", "com.jetbrains.GoLand").configPrefix, "GoLand");
+    assert.equal(findJetBrainsProduct("jetbrains-gateway", "").configPrefix, null);
+    assert.equal(findJetBrainsProduct("code", ""), null);
+});
+
+test("jetbrainsProject: recentProjects.xml sorted by activation, entities and $USER_HOME$ expanded", () => {
+    const projects = parseRecentProjects(new TextDecoder().decode(readFixture("recentProjects.xml")));
+    const home = GLib.get_home_dir();
+
+    assert.deepEqual(projects.map(project => project.path), [
+        GLib.build_filenamev([home, "src", "shop"]),
+        "/opt/work/tools & scripts",
+        GLib.build_filenamev([home, "src", "legacy-api"])
+    ]);
+    assert.deepEqual(projects[0], {
+        path: GLib.build_filenamev([home, "src", "shop"]),
+        name: "shop",
+        frameTitle: "shop – Cart.kt",
+        opened: true,
+        activated: 1757831596231
+    });
+    // No activationTimestamp: falls back to projectOpenTimestamp
+    assert.equal(projects[1].activated, 1755002004512);
+    assert.equal(projects[1].frameTitle, "tools & scripts – build.gradle.kts (tools)");
+    assert.equal(projects[1].opened, false);
+});
+
+test("jetbrainsProject: renamed projects use .idea/.name", () => {
+    const dir = makeTempDir();
+    try {
+        writeFile(GLib.build_filenamev([dir, ".idea", ".name"]), "Shop Backend\n");
+        const [project] = parseRecentProjects(`<entry key="${dir}"><value>` +
+            '<RecentProjectMetaInfo opened="true"></RecentProjectMetaInfo></value></entry>');
+        assert.equal(project.name, "Shop Backend");
+    } finally {
+        removeTree(dir);
+    }
+});
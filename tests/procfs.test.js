@@ -0,0 +1,57 @@
+/* procfs.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Parsing of /proc/<pid>/stat, including command names with spaces and
+ * parentheses.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import {parseProcStat, readProcFile} from '../v45-46-47/procfs.js';
+import {assert, fixturePath, test} from './harness.js';
+
+test("procfs: stat fields after a command name with a space", () => {
+    assert.deepEqual(parseProcStat(readProcFile(fixturePath("proc-stat-web-content"))), {
+        pid: 31337,
+        comm: "Web Content",
+        state: "S",
+        ppid: 4711,
+        pgrp: 4711,
+        session: 4711,
+        ttyNr: 0,
+        tpgid: -1,
+        cpuTicks: 909,
+        threads: 31,
+        startTicks: 1822736
+    });
+});
+
+test("procfs: command names containing parentheses end at the last one", () => {
+    const stat = parseProcStat(readProcFile(fixturePath("proc-stat-parenthesis")));
+    assert.equal(stat.comm, "a) b (c)");
+    assert.equal(stat.state, "R");
+    assert.equal(stat.ppid, 1);
+    assert.equal(stat.ttyNr, 34816);
+    assert.equal(stat.startTicks, 99);
+});
+
+test("procfs: malformed stat contents", () => {
+    assert.equal(parseProcStat(""), null);
+    assert.equal(parseProcStat("42 comm S 1 42"), null);
+    assert.equal(parseProcStat("42 (comm) S 1 42 42 0 -1"), null);
+});
@@ -0,0 +1,48 @@
+#!/usr/bin/env -S gjs -m
+/* run.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Runs the unit tests (see harness.js). Exits with status 1 when a test
+ * fails:
+ *
+ *   gjs -m tests/run.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import System from 'system';
+
+import {runTests} from './harness.js';
+
+import './activityLog.test.js';
+import './appClassifier.test.js';
+import './browserBridge.test.js';
+import './browserSessions.test.js';
+import './callerAuthorizer.test.js';
+import './focusHistory.test.js';
+import './gitContext.test.js';
+import './jetbrainsProject.test.js';
+import './procfs.test.js';
+import './redaction.test.js';
+import './sandboxResolver.test.js';
+import './siteCategorizer.test.js';
+import './terminalEditors.test.js';
+import './vscodeWorkspace.test.js';
+
+const failed = await runTests();
+System.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,138 @@
+/* sandboxResolver.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Sandbox detection from a process's root directory and cgroup: Flatpak
+ * info, snap scopes, container marker files and container runtime scopes,
+ * and host processes that merely have the Distrobox helpers installed.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {detectSandbox, NO_SANDBOX} from '../v45-46-47/sandboxResolver.js';
+import {assert, makeTempDir, removeTree, test, writeFile} from './harness.js';
+
+const HOST_CGROUP = "0::/user.slice/user-1000.slice/user@1000.service/app.slice/app-gnome-org.gnome.Terminal-4711.scope\n";
+const CONTAINER_ID = "3f4e8c2a9b1d7e6f5a4c3b2a1f0e9d8c7b6a5f4e3d2c1b0a9f8e7d6c5b4a3f2e";
+
+function withRoot(files, callback) {
+    const root = makeTempDir();
+    try {
+        for (const [path, contents] of Object.entries(files)) {
+            writeFile(GLib.build_filenamev([root, path]), contents);
+        }
+        callback(root);
+    } finally {
+        removeTree(root);
+    }
+}
+
+test("sandboxResolver: host process with the Distrobox helpers installed is not sandboxed", () => {
+    withRoot({"usr/bin/distrobox-host-exec": "#!/bin/sh\n"}, root => {
+        assert.deepEqual(detectSandbox(root, HOST_CGROUP, {separateMounts: false}), NO_SANDBOX);
+    });
+});
+
+test("sandboxResolver: Distrobox helpers in a container", () => {
+    withRoot({"usr/bin/distrobox-host-exec": "#!/bin/sh\n"}, root => {
+        assert.equal(detectSandbox(root, HOST_CGROUP, {separateMounts: true}).sandbox, "distrobox");
+    });
+    withRoot({
+        "usr/bin/distrobox-host-exec": "#!/bin/sh\n",
+        "run/.containerenv": 'engine="podman-4.9.3"\nname="dev"\nid="' + CONTAINER_ID + '"\n'
+    }, root => {
+        const result = detectSandbox(root, HOST_CGROUP);
+        assert.equal(result.sandbox, "distrobox");
+        assert.equal(result.containerName, "dev");
+        assert.equal(result.containerId, CONTAINER_ID.slice(0, 12));
+    });
+});
+
+test("sandboxResolver: /run/.containerenv names engine, image and container", () => {
+    withRoot({
+        "run/.containerenv": [
+            "engine=\"podman-4.9.3\"",
+            "name=\"web\"",
+            `id="${CONTAINER_ID}"`,
+            "image=\"docker.io/library/nginx:latest\"",
+            "rootless=1",
+            ""
+        ].join("\n")
+    }, root => {
+        assert.deepEqual(detectSandbox(root, HOST_CGROUP), {
+            ...NO_SANDBOX,
+            sandbox: "podman",
+            runtime: "docker.io/library/nginx:latest",
+            containerId: CONTAINER_ID.slice(0, 12),
+            containerName: "web"
+        });
+    });
+});
+
+test("sandboxResolver: container runtime scopes in the cgroup path", () => {
+    withRoot({}, root => {
+        const podman = detectSandbox(root, `0::/machine.slice/libpod-${CONTAINER_ID}.scope/container\n`);
+        assert.equal(podman.sandbox, "podman");
+        assert.equal(podman.containerId, CONTAINER_ID.slice(0, 12));
+
+        const docker = detectSandbox(root, `0::/system.slice/docker-${CONTAINER_ID}.scope\n`);
+        assert.equal(docker.sandbox, "docker");
+        assert.equal(docker.containerId, CONTAINER_ID.slice(0, 12));
+
+        const lxc = detectSandbox(root, "0::/lxc.payload.builder/init.scope\n");
+        assert.equal(lxc.sandbox, "lxc");
+        assert.equal(lxc.containerId, "builder");
+    });
+});
+
+test("sandboxResolver: snap scope names the snap and its instance", () => {
+    withRoot({}, root => {
+        const result = detectSandbox(root,
+            "0::/user.slice/user-1000.slice/user@1000.service/app.slice/snap.firefox.firefox-0b2d8c6e-6f1a-4f7e-9a3d-2c1b0a9f8e7d.scope\n");
+        assert.equal(result.sandbox, "snap");
+        assert.equal(result.appId, "firefox");
+        assert.equal(result.containerId, "0b2d8c6e-6f1a-4f7e-9a3d-2c1b0a9f8e7d");
+    });
+});
+
+test("sandboxResolver: /.flatpak-info names app, runtime and mounts", () => {
+    withRoot({
+        ".flatpak-info": [
+            "[Application]",
+            "name=org.mozilla.firefox",
+            "runtime=runtime/org.freedesktop.Platform/x86_64/23.08",
+            "",
+            "[Instance]",
+            "instance-id=1823412597",
+            "app-path=/var/lib/flatpak/app/org.mozilla.firefox/x86_64/stable/active/files",
+            "runtime-path=/var/lib/flatpak/runtime/org.freedesktop.Platform/x86_64/23.08/active/files",
+            ""
+        ].join("\n")
+    }, root => {
+        assert.deepEqual(detectSandbox(root, HOST_CGROUP), {
+            sandbox: "flatpak",
+            appId: "org.mozilla.firefox",
+            runtime: "org.freedesktop.Platform/x86_64/23.08",
+            containerId: "1823412597",
+            containerName: null,
+            appPath: "/var/lib/flatpak/app/org.mozilla.firefox/x86_64/stable/active/files",
+            runtimePath: "/var/lib/flatpak/runtime/org.freedesktop.Platform/x86_64/23.08/active/files"
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/* siteCategorizer.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Site categories from URLs and page titles, and user rules files.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {SiteCategorizer} from '../v45-46-47/siteCategorizer.js';
+import {assert, makeTempDir, removeTree, test, writeFile} from './harness.js';
+
+test("siteCategorizer: code review rules come before the code hosting site", () => {
+    const categorizer = new SiteCategorizer();
+    assert.deepEqual(categorizer.categorize({url: "https://github.com/owner/repo/pull/12", title: ""}),
+        {category: "code_review", name: "GitHub", ruleId: "github-review", matchedOn: "url"});
+    assert.deepEqual(categorizer.categorize({url: "https://github.com/owner/repo/blob/main/README.md"}),
+        {category: "code", name: "GitHub", ruleId: "github", matchedOn: "url"});
+});
+
+test("siteCategorizer: subdomains, www and titles seen in windows", () => {
+    const categorizer = new SiteCategorizer();
+    assert.equal(categorizer.categorize({url: "https://en.wikipedia.org/wiki/LZ4_(compression_algorithm)"}).name,
+        "Wikipedia");
+    assert.equal(categorizer.categorize({url: "www.youtube.com/watch?v=2"}).category, "video");
+    // No URL yet: the title decides
+    assert.deepEqual(categorizer.categorize({url: "", title: "Inbox (3) - user@example.org - Gmail"}),
+        {category: "email", name: "Gmail", ruleId: "gmail", matchedOn: "title"});
+});
+
+test("siteCategorizer: unknown pages named after their domain", () => {
+    const categorizer = new SiteCategorizer();
+    assert.deepEqual(categorizer.categorize({url: "https://www.example.net/shop", title: "Shop"}),
+        {category: "unknown", name: "example.net", ruleId: null, matchedOn: null});
+    assert.equal(categorizer.categorize({url: "about:blank", title: ""}).name, null);
+});
+
+test("siteCategorizer: user rules win, replace built-in ids and report invalid rules", () => {
+    const dir = makeTempDir();
+    try {
+        const path = GLib.build_filenamev([dir, "sites.json"]);
+        writeFile(path, JSON.stringify({
+            rules: [
+                {id: "company-wiki", category: "docs", site: "Company Wiki", match: {domain: "wiki.example.com"}},
+                {id: "github", category: "work", match: {domain: "github.com"}, priority: 0},
+                {id: "broken", site: "No category", match: {domain: "broken.example.com"}}
+            ]
+        }));
+
+        const categorizer = new SiteCategorizer();
+        assert.equal(categorizer.loadUserRules(path), 3);
+        assert.equal(categorizer.categorize({url: "https://wiki.example.com/start"}).ruleId, "company-wiki");
+        // Unnamed rules are named after their domain
+        assert.deepEqual(categorizer.categorize({url: "https://github.com/owner/repo"}),
+            {category: "work", name: "github.com", ruleId: "github", matchedOn: "url"});
+        assert.equal(categorizer.categorize({url: "https://github.com/owner/repo/pull/3"}).ruleId, "github-review");
+        assert.deepEqual(categorizer.errors, ['Skipping rule "broken": missing category']);
+
+        writeFile(path, "{\"rules\": [");
+        assert.equal(categorizer.loadUserRules(path), 0);
+        assert.ok(categorizer.errors[0].startsWith(`Could not read ${path}`));
+        assert.equal(categorizer.categorize({url: "https://github.com/owner/repo"}).ruleId, "github");
+    } finally {
+        removeTree(dir);
+    }
+});
@@ -0,0 +1,71 @@
+/* terminalEditors.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * File arguments of terminal editor command lines: options and their
+ * values, "+line" positions, "--", stdin and position suffixes.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {TERMINAL_EDITORS, parseEditorFiles} from '../v45-46-47/terminalEditors.js';
+import {assert, makeTempDir, removeTree, test, writeFile} from './harness.js';
+
+function editor(id) {
+    return TERMINAL_EDITORS.find(candidate => candidate.id === id);
+}
+
+test("terminalEditors: vim options, option values and +line skipped, files made absolute", () => {
+    assert.deepEqual(parseEditorFiles(editor("neovim"),
+        ["-O", "+42", "-u", "NONE", "src/main.c", "include/main.h", "/etc/hosts"], "/home/user/proj"), [
+        "/home/user/proj/src/main.c",
+        "/home/user/proj/include/main.h",
+        "/etc/hosts"
+    ]);
+    assert.deepEqual(parseEditorFiles(editor("vim"), ["~/notes.md"], "/tmp"),
+        [GLib.build_filenamev([GLib.get_home_dir(), "notes.md"])]);
+});
+
+test("terminalEditors: everything after -- is a file, - is stdin", () => {
+    assert.deepEqual(parseEditorFiles(editor("vim"), ["-", "--", "-draft.txt", "+x"], "/work"),
+        ["/work/-draft.txt", "/work/+x"]);
+});
+
+test("terminalEditors: emacs terminal flags and --eval value aren't files", () => {
+    assert.deepEqual(parseEditorFiles(editor("emacs"),
+        ["-nw", "--eval", "(setq x 1)", "init.el"], "/home/user/.emacs.d"),
+    ["/home/user/.emacs.d/init.el"]);
+});
+
+test("terminalEditors: helix position suffix dropped unless the file is named so", () => {
+    const dir = makeTempDir();
+    try {
+        writeFile(GLib.build_filenamev([dir, "log:12"]), "");
+        assert.deepEqual(parseEditorFiles(editor("helix"), ["main.rs:42:7", "lib.rs:3", "log:12"], dir), [
+            GLib.build_filenamev([dir, "main.rs"]),
+            GLib.build_filenamev([dir, "lib.rs"]),
+            GLib.build_filenamev([dir, "log:12"])
+        ]);
+        // Editors without position suffixes keep the name as given
+        assert.deepEqual(parseEditorFiles(editor("nano"), ["main.rs:42"], dir),
+            [GLib.build_filenamev([dir, "main.rs:42"])]);
+    } finally {
+        removeTree(dir);
+    }
+});
@@ -0,0 +1,127 @@
+/* vscodeWorkspace.test.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * VS Code-family window titles and the workspace list read from a user
+ * directory (globalStorage/storage.json and workspaceStorage) laid out in a
+ * temporary directory.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {parseVSCodeTitle, readWorkspaces} from '../v45-46-47/vscodeWorkspace.js';
+import {assert, makeTempDir, removeTree, setModificationTime, test, writeFile} from './harness.js';
+
+test("vscodeWorkspace: title with dirty marker, file and folder", () => {
+    assert.deepEqual(parseVSCodeTitle("● extension.js - active-window-details - Visual Studio Code",
+        "Visual Studio Code"), {
+        dirty: true,
+        activeFile: "extension.js",
+        rootName: "active-window-details",
+        remote: null,
+        segments: ["extension.js", "active-window-details"]
+    });
+});
+
+test("vscodeWorkspace: remote suffix and application names containing a separator", () => {
+    const remote = parseVSCodeTitle("main.go - api [SSH: devbox] - Visual Studio Code", "Visual Studio Code");
+    assert.equal(remote.rootName, "api");
+    assert.equal(remote.remote, "SSH: devbox");
+
+    const oss = parseVSCodeTitle("README.md — shop — Code - OSS", "Code - OSS");
+    assert.equal(oss.activeFile, "README.md");
+    assert.equal(oss.rootName, "shop");
+    assert.equal(oss.dirty, false);
+});
+
+test("vscodeWorkspace: single segment and multi-root workspace titles", () => {
+    const welcome = parseVSCodeTitle("Welcome - Cursor", "Cursor");
+    assert.deepEqual(welcome.segments, ["Welcome"]);
+    assert.equal(welcome.activeFile, "");
+
+    assert.equal(parseVSCodeTitle("notes.md - platform (Workspace) - VSCodium", "VSCodium").rootName,
+        "platform (Workspace)");
+});
+
+/**
+ * workspaceStorage entry last used at the given time
+ */
+function addStorageEntry(userDir, hash, config, usedAt) {
+    const dir = GLib.build_filenamev([userDir, "workspaceStorage", hash]);
+    writeFile(GLib.build_filenamev([dir, "workspace.json"]), JSON.stringify(config));
+    writeFile(GLib.build_filenamev([dir, "state.vscdb"]), "SQLite format 3\0");
+    setModificationTime(GLib.build_filenamev([dir, "workspace.json"]), 1700000000);
+    setModificationTime(GLib.build_filenamev([dir, "state.vscdb"]), usedAt);
+}
+
+test("vscodeWorkspace: open windows first, then workspaceStorage by last use", () => {
+    const userDir = makeTempDir();
+    try {
+        writeFile(GLib.build_filenamev([userDir, "globalStorage", "storage.json"]), JSON.stringify({
+            windowsState: {
+                lastActiveWindow: {folder: "file:///home/user/src/shop", backupPath: "/tmp/backup"},
+                openedWindows: [
+                    // Remote paths are stored unencoded; a literal "%" is no escape
+                    {folder: "vscode-remote://ssh-remote+devbox/srv/100%coverage"},
+                    {workspace: {id: "6f1c", configPath: "file:///home/user/platform.code-workspace"}}
+                ]
+            }
+        }));
+        addStorageEntry(userDir, "a1", {folder: "file:///home/user/src/old"}, 1700000100);
+        addStorageEntry(userDir, "b2", {folder: "file:///home/user/src/current%20work"}, 1700009000);
+        addStorageEntry(userDir, "c3", {workspace: "file:///home/user/platform.code-workspace"}, 1700005000);
+
+        const workspaces = readWorkspaces(userDir);
+        assert.deepEqual(workspaces.map(workspace => workspace.rootName), [
+            "shop", "100%coverage", "platform (Workspace)",
+            "current work", "platform (Workspace)", "old"
+        ]);
+        assert.deepEqual(workspaces[0], {
+            path: "/home/user/src/shop",
+            uri: "file:///home/user/src/shop",
+            kind: "folder",
+            remote: false,
+            source: "storage.json",
+            rootName: "shop"
+        });
+        assert.equal(workspaces[1].remote, true);
+        assert.equal(workspaces[1].path, null);
+        assert.equal(workspaces[3].path, "/home/user/src/current work");
+        assert.equal(workspaces[3].source, "workspaceStorage");
+    } finally {
+        removeTree(userDir);
+    }
+});
+
+test("vscodeWorkspace: the most recently used entry survives the entry cap", () => {
+    const userDir = makeTempDir();
+    try {
+        for (let i = 0; i < 520; i++) {
+            addStorageEntry(userDir, `old${i}`, {folder: `file:///home/user/old/project${i}`}, 1700000000 + i);
+        }
+        addStorageEntry(userDir, "current", {folder: "file:///home/user/src/current"}, 1800000000);
+
+        const workspaces = readWorkspaces(userDir);
+        assert.equal(workspaces.length, 500);
+        assert.equal(workspaces[0].rootName, "current");
+        assert.equal(workspaces[1].rootName, "project519");
+    } finally {
+        removeTree(userDir);
+    }
+});
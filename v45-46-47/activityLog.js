@@ -0,0 +1,292 @@
+/* activityLog.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Durable on-disk log of focus sessions in JSON Lines format. Each completed
+ * focus session becomes one line in a daily file:
+ *
+ *   ~/.local/share/active-window-details/activity-YYYY-MM-DD.jsonl
+ *
+ * Sessions are buffered in memory and appended in batches. Files older than
+ * the retention period are deleted, and a daily file stops growing once it
+ * reaches the size cap (further sessions of that day are counted as dropped).
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+const LOG_FILE_PATTERN = /^activity-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * Default logging options. Logging is opt-in, so it starts disabled.
+ */
+export const DEFAULT_LOG_OPTIONS = {
+    enabled: false,
+    directory: GLib.build_filenamev([GLib.get_user_data_dir(), 'active-window-details']),
+    retentionDays: 30,                  // Delete daily files older than this
+    maxFileSize: 10 * 1024 * 1024,      // Stop appending to a daily file past 10 MiB
+    flushInterval: 60                   // Seconds between automatic flushes
+};
+
+/**
+ * Activity Log Writer
+ * ===================
+ *
+ * Buffers focus sessions and appends them to the daily JSON Lines file.
+ * Call start() when the extension is enabled and stop() when it is disabled;
+ * stop() flushes whatever is still pending.
+ */
+export class ActivityLog {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_LOG_OPTIONS
+     */
+    constructor(options = {}) {
+        this._options = {...DEFAULT_LOG_OPTIONS, ...options};
+        this._pending = [];
+        this._flushTimeoutId = 0;
+        this._sessionsWritten = 0;
+        this._sessionsDropped = 0;
+        this._lastFlush = 0;
+        this._lastError = "";
+        this._lastPruneDate = "";
+    }
+
+    /**
+     * Whether sessions are currently being logged
+     */
+    get enabled() {
+        return this._options.enabled;
+    }
+
+    /**
+     * Start the periodic flush timer and prune expired files
+     */
+    start() {
+        if (!this._options.enabled || this._flushTimeoutId) return;
+
+        this._pruneExpiredFiles();
+        this._flushTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_LOW,
+            this._options.flushInterval, () => {
+                this.flush();
+                return GLib.SOURCE_CONTINUE;
+            });
+    }
+
+    /**
+     * Stop the flush timer and write out pending sessions
+     */
+    stop() {
+        if (this._flushTimeoutId) {
+            GLib.Source.remove(this._flushTimeoutId);
+            this._flushTimeoutId = 0;
+        }
+        this.flush();
+    }
+
+    /**
+     * Queue a completed focus session for writing
+     *
+     * @param {Object} session - {start, end, wmClass, title, pid, appType, activityState, redactionApplied, context}
+     */
+    append(session) {
+        if (!this._options.enabled) return;
+
+        this._pending.push({
+            start: session.start,
+            end: session.end,
+            duration: Math.max(0, session.end - session.start),
+            wmClass: session.wmClass || "",
+            title: session.title || "",
+            pid: session.pid || 0,
+            appType: session.appType || "unknown",
+            activityState: session.activityState || "active",
+            idle: (session.activityState || "active") !== "active",
+            redactionApplied: session.redactionApplied === true,
+            context: session.context || {}
+        });
+    }
+
+    /**
+     * Append all pending sessions to their daily files
+     *
+     * Sessions are filed by the local date on which they started, so a flush
+     * after midnight still lands yesterday's sessions in yesterday's file.
+     *
+     * @returns {Object} {written, dropped, files}
+     */
+    flush() {
+        const result = {written: 0, dropped: 0, files: []};
+        if (this._pending.length === 0) return result;
+
+        const pending = this._pending;
+        this._pending = [];
+
+        // Group lines per daily file
+        const byDate = new Map();
+        for (const session of pending) {
+            const date = this._formatDate(session.start);
+            if (!byDate.has(date)) byDate.set(date, []);
+            byDate.get(date).push(JSON.stringify(session));
+        }
+
+        try {
+            GLib.mkdir_with_parents(this._options.directory, 0o700);
+
+            for (const [date, lines] of byDate) {
+                const path = this._pathForDate(date);
+                const written = this._appendLines(path, lines);
+                result.written += written;
+                result.dropped += lines.length - written;
+                result.files.push(path);
+            }
+            this._lastError = "";
+        } catch (e) {
+            this._lastError = String(e);
+            console.log(`Error writing activity log: ${e}`);
+        }
+
+        this._sessionsWritten += result.written;
+        this._sessionsDropped += result.dropped;
+        this._lastFlush = Date.now();
+
+        // Daily rotation: prune once per day when the first flush of a new day happens
+        if (this._lastPruneDate !== this._formatDate(this._lastFlush)) {
+            this._pruneExpiredFiles();
+        }
+
+        return result;
+    }
+
+    /**
+     * Describe the current state of the log
+     *
+     * @returns {Object} Options, counters and the list of log files on disk
+     */
+    getStatus() {
+        return {
+            enabled: this._options.enabled,
+            directory: this._options.directory,
+            currentFile: this._pathForDate(this._formatDate(Date.now())),
+            retentionDays: this._options.retentionDays,
+            maxFileSize: this._options.maxFileSize,
+            flushInterval: this._options.flushInterval,
+            pendingSessions: this._pending.length,
+            sessionsWritten: this._sessionsWritten,
+            sessionsDropped: this._sessionsDropped,
+            lastFlush: this._lastFlush,
+            lastError: this._lastError,
+            files: this._listLogFiles().map(f => ({name: f.name, size: f.size}))
+        };
+    }
+
+    /**
+     * Append lines to a file, respecting the size cap
+     *
+     * @returns {number} Number of lines actually written
+     */
+    _appendLines(path, lines) {
+        const file = Gio.File.new_for_path(path);
+        let size = 0;
+        try {
+            size = file.query_info('standard::size', Gio.FileQueryInfoFlags.NONE, null).get_size();
+        } catch (e) {
+            // File does not exist yet
+        }
+
+        const encoder = new TextEncoder();
+        const chunks = [];
+        for (const line of lines) {
+            const bytes = encoder.encode(`${line}\n`);
+            if (size + bytes.length > this._options.maxFileSize) break;
+            chunks.push(bytes);
+            size += bytes.length;
+        }
+        if (chunks.length === 0) return 0;
+
+        const stream = file.append_to(Gio.FileCreateFlags.PRIVATE, null);
+        try {
+            for (const bytes of chunks) {
+                stream.write_all(bytes, null);
+            }
+        } finally {
+            stream.close(null);
+        }
+        return chunks.length;
+    }
+
+    /**
+     * Delete daily files older than the retention period
+     */
+    _pruneExpiredFiles() {
+        const today = this._formatDate(Date.now());
+        this._lastPruneDate = today;
+        if (this._options.retentionDays <= 0) return;
+
+        const cutoff = this._formatDate(Date.now() - this._options.retentionDays * 24 * 60 * 60 * 1000);
+        for (const logFile of this._listLogFiles()) {
+            // ISO dates compare correctly as strings
+            if (logFile.date < cutoff) {
+                try {
+                    Gio.File.new_for_path(logFile.path).delete(null);
+                } catch (e) {
+                    console.log(`Error deleting expired activity log ${logFile.path}: ${e}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * List the daily log files in the log directory, oldest first
+     */
+    _listLogFiles() {
+        const files = [];
+        try {
+            const dir = Gio.File.new_for_path(this._options.directory);
+            const enumerator = dir.enumerate_children('standard::name,standard::size',
+                Gio.FileQueryInfoFlags.NONE, null);
+            let info;
+            while ((info = enumerator.next_file(null)) !== null) {
+                const match = info.get_name().match(LOG_FILE_PATTERN);
+                if (match) {
+                    files.push({
+                        name: info.get_name(),
+                        path: GLib.build_filenamev([this._options.directory, info.get_name()]),
+                        date: match[1],
+                        size: info.get_size()
+                    });
+                }
+            }
+            enumerator.close(null);
+        } catch (e) {
+            // Directory does not exist yet
+        }
+        return files.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    _pathForDate(date) {
+        return GLib.build_filenamev([this._options.directory, `activity-${date}.jsonl`]);
+    }
+
+    /**
+     * Local calendar date (YYYY-MM-DD) of a millisecond timestamp
+     */
+    _formatDate(timestampMs) {
+        return GLib.DateTime.new_from_unix_local(Math.floor(timestampMs / 1000)).format('%Y-%m-%d');
+    }
+}
@@ -0,0 +1,276 @@
+/* appClassifier.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Rule-based registry that decides which kind of application a window
+ * belongs to ("browser", "ide", "terminal", "file_manager", "document").
+ * Rules match on the window's WM_CLASS, its GTK application id, its sandboxed
+ * (Flatpak/Snap) app id, the process executable name or the command line.
+ *
+ * Additional rules can be loaded from a user JSON file, by default
+ * ~/.config/active-window-details/classifiers.json:
+ *
+ *   {
+ *     "rules": [
+ *       {
+ *         "id": "obsidian",
+ *         "appType": "document",
+ *         "mode": "exact",
+ *         "priority": 50,
+ *         "match": {"wmClass": "obsidian", "sandboxedAppId": "md.obsidian.Obsidian"}
+ *       }
+ *     ],
+ *     "replaceDefaults": false
+ *   }
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {compileRules, readUserRules} from './ruleRegistry.js';
+
+/**
+ * Default location of the user rules file
+ */
+export const USER_RULES_PATH = GLib.build_filenamev([
+    GLib.get_user_config_dir(), 'active-window-details', 'classifiers.json']);
+
+/**
+ * Window properties a rule can match on
+ */
+export const MATCH_FIELDS = ["wmClass", "appId", "sandboxedAppId", "executable", "cmdline"];
+
+/**
+ * Built-in Rules
+ * ==============
+ *
+ * Matching is case-insensitive. Within a rule the fields are alternatives:
+ * the rule applies if any one of them matches. Regex patterns are anchored
+ * explicitly so that e.g. "calc" can't match "galculator".
+ */
+export const DEFAULT_RULES = [
+    // Browsers
+    {
+        id: "firefox",
+        appType: "browser",
+        mode: "regex",
+        match: {
+            wmClass: "^(firefox|firefox-esr|firefox-developer-edition|firefox-nightly|librewolf|waterfox|floorp)$",
+            sandboxedAppId: "^(org\\.mozilla\\.firefox|io\\.gitlab\\.librewolf-community)$",
+            executable: "^(firefox|firefox-bin|firefox-esr|librewolf)$"
+        }
+    },
+    {
+        id: "chromium-family",
+        appType: "browser",
+        mode: "regex",
+        match: {
+            wmClass: "^(google-chrome(-beta|-unstable)?|chromium(-browser)?|brave-browser(-beta|-nightly)?|microsoft-edge(-beta|-dev)?|vivaldi(-stable)?|opera)$",
+            sandboxedAppId: "^(com\\.google\\.Chrome|org\\.chromium\\.Chromium|com\\.brave\\.Browser|com\\.microsoft\\.Edge|com\\.vivaldi\\.Vivaldi)$",
+            executable: "^(chrome|chromium|brave|msedge|vivaldi-bin|opera)$"
+        }
+    },
+    {
+        id: "epiphany",
+        appType: "browser",
+        mode: "exact",
+        match: {
+            wmClass: ["epiphany", "org.gnome.Epiphany"],
+            appId: "org.gnome.Epiphany"
+        }
+    },
+
+    // IDEs and code editors
+    {
+        id: "vscode-family",
+        appType: "ide",
+        mode: "regex",
+        match: {
+            wmClass: "^(code|code-oss|code - oss|vscodium|codium|cursor)$",
+            sandboxedAppId: "^(com\\.visualstudio\\.code|com\\.vscodium\\.codium)$"
+        }
+    },
+    {
+        id: "jetbrains",
+        appType: "ide",
+        mode: "regex",
+        match: {
+            wmClass: "^jetbrains-",
+            sandboxedAppId: "^com\\.jetbrains\\."
+        }
+    },
+    {
+        id: "gui-editors",
+        appType: "ide",
+        mode: "exact",
+        match: {
+            wmClass: ["sublime_text", "atom", "dev.zed.Zed", "zed", "gvim", "emacs", "neovide",
+                "gedit", "org.gnome.gedit", "gnome-text-editor", "org.gnome.TextEditor"],
+            appId: ["org.gnome.gedit", "org.gnome.TextEditor"]
+        }
+    },
+
+    // Terminal emulators
+    {
+        id: "terminals",
+        appType: "terminal",
+        mode: "exact",
+        match: {
+            wmClass: ["gnome-terminal", "gnome-terminal-server", "org.gnome.Terminal", "org.gnome.Console",
+                "kgx", "org.gnome.Ptyxis", "ptyxis", "konsole", "org.kde.konsole", "xterm", "uxterm",
+                "alacritty", "Alacritty", "terminator", "kitty", "org.wezfurlong.wezterm", "tilix",
+                "com.gexperts.Tilix", "foot", "com.mitchellh.ghostty", "xfce4-terminal"],
+            appId: ["org.gnome.Terminal", "org.gnome.Console", "org.gnome.Ptyxis", "com.gexperts.Tilix"]
+        }
+    },
+
+    // File managers
+    {
+        id: "file-managers",
+        appType: "file_manager",
+        mode: "exact",
+        match: {
+            wmClass: ["nautilus", "org.gnome.Nautilus", "dolphin", "org.kde.dolphin", "thunar",
+                "pcmanfm", "pcmanfm-qt", "nemo"],
+            appId: "org.gnome.Nautilus"
+        }
+    },
+
+    // Document viewers and office suites
+    {
+        id: "documents",
+        appType: "document",
+        mode: "regex",
+        match: {
+            wmClass: "^(evince|org\\.gnome\\.evince|org\\.gnome\\.papers|okular|org\\.kde\\.okular|libreoffice(-.+)?|soffice|acroread|xpdf|zathura)$",
+            sandboxedAppId: "^(org\\.libreoffice\\.LibreOffice|org\\.gnome\\.Evince|org\\.gnome\\.Papers|org\\.kde\\.okular)$"
+        }
+    }
+];
+
+/**
+ * Application Classifier Registry
+ * ===============================
+ *
+ * Holds the compiled rules and classifies window properties against them.
+ * The highest priority matching rule wins; on equal priority, user rules are
+ * checked before built-in ones and earlier rules before later ones.
+ */
+export class AppClassifier {
+    /**
+     * @param {Array<Object>} defaultRules - Built-in rules
+     */
+    constructor(defaultRules = DEFAULT_RULES) {
+        this._defaultRules = defaultRules;
+        this._userRules = [];
+        this._replaceDefaults = false;
+        this._errors = [];
+        this._compile();
+    }
+
+    /**
+     * Problems found in the most recently loaded user rules
+     */
+    get errors() {
+        return this._errors;
+    }
+
+    /**
+     * Load user rules from a JSON file (see ruleRegistry.js)
+     *
+     * A missing file simply means no user rules. Invalid rules are skipped
+     * and reported through `errors`.
+     *
+     * @param {string} path - Path of the rules file
+     * @returns {number} Number of user rules loaded
+     */
+    loadUserRules(path = USER_RULES_PATH) {
+        const {rules, replaceDefaults, errors} = readUserRules(path);
+        this._userRules = rules;
+        this._replaceDefaults = replaceDefaults;
+        this._errors = errors;
+
+        this._compile();
+        return this._userRules.length;
+    }
+
+    /**
+     * Classify a window
+     *
+     * @param {Object} input - {wmClass, appId, sandboxedAppId, executable, cmdline};
+     *                         executable and cmdline may be getters, they are only
+     *                         read when a rule needs them
+     * @returns {Object} {appType, ruleId, matchedOn}
+     */
+    classify(input) {
+        for (const rule of this._compiled) {
+            for (const [field, matchers] of rule.matchers) {
+                const value = input[field];
+                if (!value) continue;
+
+                if (matchers.some(matches => matches(value))) {
+                    return {appType: rule.appType, ruleId: rule.id, matchedOn: field};
+                }
+            }
+        }
+        return {appType: "unknown", ruleId: null, matchedOn: null};
+    }
+
+    /**
+     * Build the sorted list of compiled rules from defaults and user rules
+     */
+    _compile() {
+        const {compiled, errors} = compileRules(this._defaultRules, this._userRules, this._replaceDefaults,
+            rule => this._compileRule(rule));
+        this._compiled = compiled;
+        this._errors.push(...errors);
+    }
+
+    _compileRule(rule) {
+        if (!rule.appType || typeof rule.appType !== "string") {
+            throw new Error("missing appType");
+        }
+        const mode = rule.mode || "exact";
+        if (mode !== "exact" && mode !== "regex") {
+            throw new Error(`unknown mode "${mode}"`);
+        }
+
+        const matchers = [];
+        for (const field of MATCH_FIELDS) {
+            if (!rule.match || rule.match[field] === undefined) continue;
+
+            const patterns = [].concat(rule.match[field]).map(String);
+            matchers.push([field, patterns.map(pattern => {
+                if (mode === "regex") {
+                    const regex = new RegExp(pattern, "i");
+                    return value => regex.test(value);
+                }
+                const expected = pattern.toLowerCase();
+                return value => value.toLowerCase() === expected;
+            })]);
+        }
+        if (matchers.length === 0) {
+            throw new Error("no match fields");
+        }
+
+        return {
+            appType: rule.appType,
+            matchers: matchers
+        };
+    }
+}
@@ -0,0 +1,307 @@
+/* browserBridge.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Live tab state reported by the companion browser extension. The browser
+ * starts the native messaging host (nativeHost/active-window-details-host.js)
+ * when the companion connects; the host forwards every message to
+ * reportBrowserEvent and the bridge keeps the tabs of each connection:
+ *
+ *   {type: "tabActivated", tab: {id: 42, windowId: 3, index: 1, url: "https://example.org/",
+ *    title: "Example", incognito: false, audible: true, ...}}
+ *
+ * A connection is keyed by the PID of the calling host as the bus daemon
+ * reports it, belongs to the browser process that started that host, and
+ * lasts as long as the host runs. Messages can't name another process.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import {readProcStat} from './procfs.js';
+
+/**
+ * Messages the companion sends through the host
+ */
+export const BRIDGE_MESSAGE_TYPES = ["hello", "snapshot", "tabActivated", "tabUpdated", "tabRemoved",
+    "windowFocused", "windowRemoved", "ping", "disconnect"];
+
+/**
+ * Ancestors of a host searched for the browser process. Browsers start
+ * their hosts directly, a wrapper script adds a level.
+ */
+const MAX_HOST_ANCESTORS = 4;
+
+/**
+ * Simultaneous connections (one per running browser with the companion)
+ */
+const MAX_CONNECTIONS = 16;
+
+/**
+ * Tabs kept per connection
+ */
+const MAX_TABS = 2000;
+
+/**
+ * Browser Bridge
+ * ==============
+ *
+ * Connections are keyed by the caller's PID. The companion sends a snapshot
+ * of all tabs after connecting and single tab events afterwards; a
+ * connection the bridge doesn't know yet (the extension was restarted while
+ * the browser kept running) is created on its first message and asks for a
+ * snapshot.
+ */
+export class BrowserBridge {
+    constructor() {
+        this._connections = new Map();  // host PID -> connection
+    }
+
+    /**
+     * Apply a message forwarded by the native messaging host
+     *
+     * @param {number} hostPid - PID of the calling host, from the bus daemon
+     * @param {Object} message - Companion message; a hostPid in it (sent by
+     *                           older hosts) must be the caller's own
+     * @param {number} now - Current time in ms
+     * @returns {Object} {accepted, connected, needsSnapshot}
+     * @throws Error when the message is malformed, names another process or
+     *         its host isn't running
+     */
+    handleMessage(hostPid, message, now = Date.now()) {
+        if (!message || typeof message !== "object" || !BRIDGE_MESSAGE_TYPES.includes(message.type)) {
+            throw new Error(`Unknown message type ${message && message.type}`);
+        }
+        if (message.hostPid !== undefined && message.hostPid !== hostPid) {
+            throw new Error(`hostPid ${message.hostPid} is not the caller's PID ${hostPid}`);
+        }
+
+        if (message.type === "disconnect") {
+            this._connections.delete(hostPid);
+            return {accepted: true, connected: false, needsSnapshot: false};
+        }
+
+        const connection = this._getConnection(hostPid, now);
+        connection.lastMessageAt = now;
+
+        switch (message.type) {
+        case "hello":
+            connection.browser = typeof message.browser === "string" ? message.browser : null;
+            connection.browserVersion = typeof message.version === "string" ? message.version : null;
+            break;
+        case "snapshot":
+            connection.tabs.clear();
+            for (const tab of Array.isArray(message.tabs) ? message.tabs.slice(0, MAX_TABS) : []) {
+                const normalized = normalizeTab(tab);
+                if (normalized) connection.tabs.set(normalized.id, normalized);
+            }
+            connection.focusedWindowId = toWindowId(message.focusedWindowId);
+            connection.hasSnapshot = true;
+            break;
+        case "tabActivated":
+        case "tabUpdated": {
+            const tab = normalizeTab(message.tab);
+            if (!tab) throw new Error(`${message.type} without a valid tab`);
+            if (!connection.tabs.has(tab.id) && connection.tabs.size >= MAX_TABS) break;
+
+            if (message.type === "tabActivated" || tab.active) {
+                // Only one active tab per window
+                for (const other of connection.tabs.values()) {
+                    if (other.windowId === tab.windowId) other.active = false;
+                }
+                tab.active = true;
+            }
+            connection.tabs.set(tab.id, tab);
+            break;
+        }
+        case "tabRemoved":
+            connection.tabs.delete(message.tabId);
+            break;
+        case "windowFocused":
+            connection.focusedWindowId = toWindowId(message.windowId);
+            break;
+        case "windowRemoved":
+            for (const [id, tab] of connection.tabs) {
+                if (tab.windowId === message.windowId) connection.tabs.delete(id);
+            }
+            break;
+        }
+
+        return {accepted: true, connected: true, needsSnapshot: !connection.hasSnapshot};
+    }
+
+    /**
+     * Number of connections whose host is still running
+     */
+    get connectionCount() {
+        this._pruneConnections();
+        return this._connections.size;
+    }
+
+    /**
+     * Live tab state of a browser window
+     *
+     * The connection must have been started by the window's process; within
+     * it, the browser window whose active tab has the window's title is
+     * chosen, or the window the browser reported as focused.
+     *
+     * @param {Array<number>} pids - PIDs the window belongs to (reported and application process)
+     * @param {string} title - Window title
+     * @returns {Object|null} {browser, browserVersion, hostPid, browserWindowId, tab, tabs, matchedBy,
+     *                        lastMessageAt}; tabs sorted by index. null when no connection matches
+     */
+    findWindow(pids, title) {
+        this._pruneConnections();
+        const windowTitle = normalizeTitle(title);
+
+        for (const connection of this._connections.values()) {
+            if (!connection.ancestors.some(pid => pids.includes(pid))) continue;
+
+            const activeTabs = [...connection.tabs.values()].filter(tab => tab.active);
+            let matchedBy = "tab_title";
+            let active = activeTabs.find(tab => normalizeTitle(tab.title) === windowTitle) ||
+                activeTabs.find(tab => tab.title && windowTitle.startsWith(`${normalizeTitle(tab.title)} `));
+            if (!active) {
+                matchedBy = "focused_window";
+                active = activeTabs.find(tab => tab.windowId === connection.focusedWindowId);
+            }
+            if (!active) continue;
+
+            const tabs = [...connection.tabs.values()]
+                .filter(tab => tab.windowId === active.windowId)
+                .sort((a, b) => a.index - b.index);
+            return {
+                browser: connection.browser,
+                browserVersion: connection.browserVersion,
+                hostPid: connection.hostPid,
+                browserWindowId: active.windowId,
+                tab: {...active},
+                tabs: tabs.map(tab => ({...tab})),
+                matchedBy: matchedBy,
+                lastMessageAt: connection.lastMessageAt
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Connection of a host, created on its first message
+     *
+     * @throws Error when the host process doesn't exist
+     */
+    _getConnection(hostPid, now) {
+        let connection = this._connections.get(hostPid);
+        if (connection && isRunning(connection)) return connection;
+
+        let startTicks;
+        try {
+            startTicks = readProcStat(hostPid).startTicks;
+        } catch (e) {
+            throw new Error(`Native messaging host ${hostPid} is not running`);
+        }
+
+        this._pruneConnections();
+        if (this._connections.size >= MAX_CONNECTIONS) {
+            // Maps iterate in insertion order, drop the oldest
+            this._connections.delete(this._connections.keys().next().value);
+        }
+        connection = {
+            hostPid: hostPid,
+            hostStartTicks: startTicks,
+            ancestors: readAncestors(hostPid),
+            browser: null,
+            browserVersion: null,
+            tabs: new Map(),            // Tab id -> tab
+            focusedWindowId: null,
+            hasSnapshot: false,
+            connectedAt: now,
+            lastMessageAt: now
+        };
+        this._connections.set(hostPid, connection);
+        return connection;
+    }
+
+    /**
+     * Forget connections whose host exited without saying goodbye
+     */
+    _pruneConnections() {
+        for (const [hostPid, connection] of this._connections) {
+            if (!isRunning(connection)) this._connections.delete(hostPid);
+        }
+    }
+}
+
+/**
+ * Whether the host of a connection still runs (and its PID wasn't reused)
+ */
+function isRunning(connection) {
+    try {
+        return readProcStat(connection.hostPid).startTicks === connection.hostStartTicks;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Parent, grandparent, ... of a host process
+ */
+function readAncestors(pid) {
+    const ancestors = [];
+    let current = pid;
+    for (let level = 0; level < MAX_HOST_ANCESTORS; level++) {
+        try {
+            current = readProcStat(current).ppid;
+        } catch (e) {
+            break;
+        }
+        if (current <= 1) break;
+        ancestors.push(current);
+    }
+    return ancestors;
+}
+
+/**
+ * Fields of a tabs.Tab the bridge keeps, null for invalid tabs
+ */
+function normalizeTab(tab) {
+    if (!tab || typeof tab !== "object" || !Number.isInteger(tab.id) || !Number.isInteger(tab.windowId)) {
+        return null;
+    }
+    return {
+        id: tab.id,
+        windowId: tab.windowId,
+        index: Number.isInteger(tab.index) ? tab.index : 0,
+        url: typeof tab.url === "string" ? tab.url : "",
+        title: typeof tab.title === "string" ? tab.title : "",
+        active: Boolean(tab.active),
+        incognito: Boolean(tab.incognito),
+        audible: Boolean(tab.audible),
+        muted: Boolean(tab.mutedInfo && tab.mutedInfo.muted),
+        pinned: Boolean(tab.pinned),
+        status: typeof tab.status === "string" ? tab.status : null
+    };
+}
+
+/**
+ * Browser window id, null for none (windows.WINDOW_ID_NONE is -1)
+ */
+function toWindowId(id) {
+    return Number.isInteger(id) && id >= 0 ? id : null;
+}
+
+function normalizeTitle(title) {
+    return (title || "").replace(/\s+/g, " ").trim();
+}
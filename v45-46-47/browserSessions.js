@@ -0,0 +1,760 @@
+/* browserSessions.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Reads the session files browsers keep for crash recovery to find the tab
+ * a browser window shows, since window titles carry the page title but
+ * almost never its URL:
+ *
+ *   "Pull requests · user/app — Mozilla Firefox"
+ *   -> {url: "https://github.com/user/app/pulls", domain: "github.com", tabIndex: 2, tabCount: 5, ...}
+ *
+ * Firefox-family browsers write sessionstore-backups/recovery.jsonlz4
+ * (JSON, LZ4-compressed with a "mozLz40" header) every 15 seconds.
+ * Chromium-family browsers append commands to Sessions/Session_<time>
+ * ("Current Session" before Chrome 86), the SNSS format. Both are read
+ * offline, nothing talks to the browser, so the result can lag behind the
+ * last navigation by a few seconds. Files are loaded in the background:
+ * until a changed file has been read, lookups use its previous contents.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import {listDirectory, readJson} from './fileUtils.js';
+
+/**
+ * Browsers with a readable session file
+ *
+ * wmClass and sandboxedAppId identify the windows (compared
+ * case-insensitively), titleNames end their window titles and dataDirs,
+ * relative to the home directory, hold the profiles: Firefox-family
+ * directories contain profiles.ini, Chromium-family ones are the user data
+ * directory with "Default", "Profile 1", ...
+ */
+export const BROWSER_PRODUCTS = [
+    {
+        id: "firefox",
+        engine: "firefox",
+        wmClass: ["firefox", "firefox-esr"],
+        sandboxedAppId: "org.mozilla.firefox",
+        titleNames: ["Mozilla Firefox", "Firefox"],
+        dataDirs: [".mozilla/firefox", ".var/app/org.mozilla.firefox/.mozilla/firefox",
+            "snap/firefox/common/.mozilla/firefox"]
+    },
+    {
+        id: "firefox-developer-edition",
+        engine: "firefox",
+        wmClass: ["firefox-developer-edition", "firefoxdeveloperedition"],
+        sandboxedAppId: null,
+        titleNames: ["Firefox Developer Edition"],
+        dataDirs: [".mozilla/firefox"]
+    },
+    {
+        id: "firefox-nightly",
+        engine: "firefox",
+        wmClass: ["firefox-nightly"],
+        sandboxedAppId: null,
+        titleNames: ["Firefox Nightly"],
+        dataDirs: [".mozilla/firefox"]
+    },
+    {
+        id: "librewolf",
+        engine: "firefox",
+        wmClass: ["librewolf"],
+        sandboxedAppId: "io.gitlab.librewolf-community",
+        titleNames: ["LibreWolf"],
+        dataDirs: [".librewolf", ".var/app/io.gitlab.librewolf-community/.librewolf"]
+    },
+    {
+        id: "waterfox",
+        engine: "firefox",
+        wmClass: ["waterfox"],
+        sandboxedAppId: null,
+        titleNames: ["Waterfox"],
+        dataDirs: [".waterfox"]
+    },
+    {
+        id: "floorp",
+        engine: "firefox",
+        wmClass: ["floorp"],
+        sandboxedAppId: null,
+        titleNames: ["Floorp"],
+        dataDirs: [".floorp"]
+    },
+    {
+        id: "google-chrome",
+        engine: "chromium",
+        wmClass: ["google-chrome", "google-chrome-beta", "google-chrome-unstable"],
+        sandboxedAppId: "com.google.Chrome",
+        titleNames: ["Google Chrome", "Google Chrome Beta", "Google Chrome Dev"],
+        dataDirs: [".config/google-chrome", ".config/google-chrome-beta", ".config/google-chrome-unstable",
+            ".var/app/com.google.Chrome/config/google-chrome"]
+    },
+    {
+        id: "chromium",
+        engine: "chromium",
+        wmClass: ["chromium", "chromium-browser"],
+        sandboxedAppId: "org.chromium.Chromium",
+        titleNames: ["Chromium"],
+        dataDirs: [".config/chromium", ".var/app/org.chromium.Chromium/config/chromium",
+            "snap/chromium/common/chromium"]
+    },
+    {
+        id: "brave",
+        engine: "chromium",
+        wmClass: ["brave-browser", "brave-browser-beta", "brave-browser-nightly"],
+        sandboxedAppId: "com.brave.Browser",
+        titleNames: ["Brave", "Brave Beta", "Brave Nightly"],
+        dataDirs: [".config/BraveSoftware/Brave-Browser", ".config/BraveSoftware/Brave-Browser-Beta",
+            ".config/BraveSoftware/Brave-Browser-Nightly",
+            ".var/app/com.brave.Browser/config/BraveSoftware/Brave-Browser"]
+    },
+    {
+        id: "microsoft-edge",
+        engine: "chromium",
+        wmClass: ["microsoft-edge", "microsoft-edge-beta", "microsoft-edge-dev"],
+        sandboxedAppId: "com.microsoft.Edge",
+        titleNames: ["Microsoft Edge", "Microsoft Edge Beta", "Microsoft Edge Dev"],
+        dataDirs: [".config/microsoft-edge", ".config/microsoft-edge-beta", ".config/microsoft-edge-dev",
+            ".var/app/com.microsoft.Edge/config/microsoft-edge"]
+    },
+    {
+        id: "vivaldi",
+        engine: "chromium",
+        wmClass: ["vivaldi", "vivaldi-stable"],
+        sandboxedAppId: "com.vivaldi.Vivaldi",
+        titleNames: ["Vivaldi"],
+        dataDirs: [".config/vivaldi", ".var/app/com.vivaldi.Vivaldi/config/vivaldi"]
+    },
+    {
+        id: "opera",
+        engine: "chromium",
+        wmClass: ["opera"],
+        sandboxedAppId: null,
+        titleNames: ["Opera"],
+        dataDirs: [".config/opera"]
+    }
+];
+
+/**
+ * Session files larger than this are not read. Firefox's recovery.jsonlz4
+ * and Chromium's session files stay well below 1 MB even with hundreds of
+ * tabs; they are parsed in the shell process.
+ */
+const MAX_SESSION_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Decompressed mozlz4 files larger than this are not accepted
+ */
+const MAX_DECOMPRESSED_SIZE = 4 * MAX_SESSION_SIZE;
+
+/**
+ * How long the list of a browser's session files (with their modification
+ * times and sizes) is reused before the profile directories are searched
+ * again
+ */
+const SESSION_FILES_LIFETIME = 2 * 1000;
+
+/**
+ * Header of Mozilla's LZ4 files: magic, then the decompressed size
+ */
+const MOZLZ4_MAGIC = "mozLz40\0";
+
+/**
+ * Chromium session commands (components/sessions/core/session_service_commands.cc)
+ */
+const SNSS_COMMANDS = {
+    SET_TAB_WINDOW: 0,
+    SET_TAB_INDEX_IN_WINDOW: 2,
+    TAB_NAVIGATION_PATH_PRUNED_FROM_BACK: 5,
+    UPDATE_TAB_NAVIGATION: 6,
+    SET_SELECTED_NAVIGATION_INDEX: 7,
+    SET_SELECTED_TAB_IN_INDEX: 8,
+    TAB_NAVIGATION_PATH_PRUNED_FROM_FRONT: 11,
+    SET_PINNED_STATE: 12,
+    TAB_CLOSED: 16,
+    WINDOW_CLOSED: 17,
+    TAB_NAVIGATION_PATH_PRUNED: 24
+};
+
+/**
+ * Unencrypted SNSS versions (1, and 3 with an initial-state marker)
+ */
+const SNSS_VERSIONS = [1, 3];
+
+/**
+ * Browser Session Reader
+ * ======================
+ *
+ * Parsed session files are kept until the file changes: window titles change
+ * with every tab switch, the session files only every few seconds. A
+ * changed file is loaded asynchronously, the first lookup of a browser
+ * therefore finds nothing.
+ */
+export class BrowserSessionReader {
+    constructor() {
+        this._sessionFiles = new Map(); // product id -> {checkedAt, files}
+        this._sessions = new Map();     // session file -> {modified, size, windows, loading}
+        this._cancellable = new Gio.Cancellable();
+    }
+
+    /**
+     * Abandon pending file loads
+     */
+    stop() {
+        this._cancellable.cancel();
+    }
+
+    /**
+     * Find the tab a browser window shows
+     *
+     * @param {Object} product - Entry of BROWSER_PRODUCTS
+     * @param {string} title - Window title
+     * @returns {Object|null} {url, domain, pageTitle, tabIndex, tabCount, tabs, browser, profile,
+     *                        sessionFile, sessionModified, matchedBy}; tabs are
+     *                        {index, title, url, active, pinned}, indices start at 0.
+     *                        null when no session window has a tab with that title
+     */
+    resolve(product, title) {
+        const pageTitle = stripBrowserName(title, product.titleNames);
+        if (!pageTitle) return null;
+
+        const sessions = this._getSessionFiles(product)
+            .map(file => ({...file, ...this._getSession(product.engine, file)}))
+            .filter(session => session.windows);
+        const match = matchSessionWindow(sessions, pageTitle);
+        if (!match) return null;
+
+        const {session, window, tabIndex} = match;
+        const tab = window.tabs[tabIndex];
+        return {
+            url: tab.url,
+            domain: getUrlDomain(tab.url),
+            pageTitle: tab.title,
+            tabIndex: tabIndex,
+            tabCount: window.tabs.length,
+            tabs: window.tabs.map((candidate, index) => ({
+                index: index,
+                title: candidate.title,
+                url: candidate.url,
+                active: index === tabIndex,
+                pinned: candidate.pinned
+            })),
+            browser: product.id,
+            profile: session.profile,
+            sessionFile: session.path,
+            sessionModified: session.modified,
+            matchedBy: match.matchedBy
+        };
+    }
+
+    /**
+     * Session files of a product, searched again after SESSION_FILES_LIFETIME
+     */
+    _getSessionFiles(product) {
+        const now = Date.now();
+        const cached = this._sessionFiles.get(product.id);
+        if (cached && now - cached.checkedAt < SESSION_FILES_LIFETIME) return cached.files;
+
+        const files = findSessionFiles(product);
+        this._sessionFiles.set(product.id, {checkedAt: now, files});
+        return files;
+    }
+
+    /**
+     * Last parsed state of a session file; starts loading it when it changed
+     *
+     * @returns {Object} {modified, windows}; windows is null until the file
+     *                   was read, or when it couldn't be parsed.
+     *                   windows are [{tabs: [{title, url, pinned}], selected}]
+     */
+    _getSession(engine, file) {
+        let session = this._sessions.get(file.path);
+        if (!session) {
+            session = {modified: 0, size: 0, windows: null, loading: false};
+            this._sessions.set(file.path, session);
+        }
+        if (!session.loading && (session.modified !== file.modified || session.size !== file.size)) {
+            this._loadSession(engine, file, session);
+        }
+        return {modified: session.modified, windows: session.windows};
+    }
+
+    /**
+     * Read and parse a session file in the background
+     */
+    _loadSession(engine, file, session) {
+        session.loading = true;
+        Gio.File.new_for_path(file.path).load_contents_async(this._cancellable, (source, result) => {
+            let windows = null;
+            try {
+                const [, contents] = source.load_contents_finish(result);
+                windows = engine === "firefox" ? parseFirefoxSession(contents) : parseSnssSession(contents);
+            } catch (e) {
+                if (e.matches && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+                // Being replaced, truncated or in an unknown format; tried again when it changes
+                console.log(`Could not read browser session ${file.path}: ${e.message}`);
+            }
+            Object.assign(session, {modified: file.modified, size: file.size, windows, loading: false});
+        });
+    }
+}
+
+/**
+ * Browser product of a window
+ *
+ * @param {string} wmClass - Window class
+ * @param {string} sandboxedAppId - Flatpak app id, or empty
+ * @returns {Object|null} Entry of BROWSER_PRODUCTS
+ */
+export function findBrowserProduct(wmClass, sandboxedAppId) {
+    const windowClass = (wmClass || "").toLowerCase();
+    const appId = (sandboxedAppId || "").toLowerCase();
+    return BROWSER_PRODUCTS.find(product =>
+        product.wmClass.includes(windowClass) ||
+        (product.sandboxedAppId !== null && product.sandboxedAppId.toLowerCase() === appId)) || null;
+}
+
+/**
+ * Host of a URL without a leading "www.", lower-cased
+ *
+ * @param {string} url - Absolute URL, or "www.example.com/..." as found in titles
+ * @returns {string} Domain, empty for URLs without a host (about:, file:, data:)
+ */
+export function getUrlDomain(url) {
+    if (!url) return "";
+
+    let host = "";
+    if (url.includes("://")) {
+        try {
+            host = GLib.Uri.parse(url, GLib.UriFlags.NONE).get_host() || "";
+        } catch (e) {
+            return "";
+        }
+    } else if (/^www\./i.test(url)) {
+        host = url.split(/[/?#:]/)[0];
+    }
+    return host.toLowerCase().replace(/^www\./, "");
+}
+
+/**
+ * Decompress a mozlz4 file (Firefox session store, search engines, ...)
+ *
+ * @param {Uint8Array} data - File contents
+ * @returns {Uint8Array} Decompressed contents
+ */
+export function decompressMozLz4(data) {
+    const magic = String.fromCharCode(...data.subarray(0, MOZLZ4_MAGIC.length));
+    if (magic !== MOZLZ4_MAGIC) throw new Error("Not a mozlz4 file");
+
+    const offset = MOZLZ4_MAGIC.length;
+    const size = new DataView(data.buffer, data.byteOffset + offset, 4).getUint32(0, true);
+    if (size > MAX_DECOMPRESSED_SIZE) throw new Error(`Decompressed size ${size} too large`);
+
+    const output = decompressLz4Block(data.subarray(offset + 4), size);
+    if (output.length !== size) throw new Error("Truncated mozlz4 file");
+    return output;
+}
+
+/**
+ * Decompress a single LZ4 block (no frame format)
+ *
+ * Each sequence is a token (literal length << 4 | match length - 4),
+ * extended lengths in 255-steps, the literals, and a 2-byte little-endian
+ * match offset into the output. The last sequence has no match.
+ */
+function decompressLz4Block(input, size) {
+    const output = new Uint8Array(size);
+    let i = 0;
+    let o = 0;
+
+    const readLength = length => {
+        if (length !== 15) return length;
+        let byte;
+        do {
+            if (i >= input.length) throw new Error("Truncated LZ4 length");
+            byte = input[i++];
+            length += byte;
+        } while (byte === 255);
+        return length;
+    };
+
+    while (i < input.length) {
+        const token = input[i++];
+
+        const literals = readLength(token >> 4);
+        if (i + literals > input.length || o + literals > size) throw new Error("LZ4 literals out of bounds");
+        output.set(input.subarray(i, i + literals), o);
+        i += literals;
+        o += literals;
+        if (i >= input.length) break;
+
+        if (i + 2 > input.length) throw new Error("Truncated LZ4 match offset");
+        const distance = input[i] | (input[i + 1] << 8);
+        i += 2;
+        if (distance === 0 || distance > o) throw new Error("LZ4 match offset out of bounds");
+
+        const length = readLength(token & 0x0f) + 4;
+        if (o + length > size) throw new Error("LZ4 match out of bounds");
+        // Matches may overlap their own output (runs), copy byte by byte
+        for (let end = o + length; o < end; o++) {
+            output[o] = output[o - distance];
+        }
+    }
+    return output.subarray(0, o);
+}
+
+/**
+ * Windows of a Firefox session store (recovery.jsonlz4)
+ *
+ * Tabs keep their history in entries; index (1-based) points at the
+ * current entry, selected (1-based) at the window's current tab.
+ *
+ * @param {Uint8Array} contents - File contents
+ * @returns {Array<Object>} [{tabs: [{title, url, pinned}], selected}]
+ */
+export function parseFirefoxSession(contents) {
+    const session = JSON.parse(new TextDecoder().decode(decompressMozLz4(contents)));
+    return (session.windows || []).map(window => {
+        const tabs = (window.tabs || []).map(tab => {
+            const entries = tab.entries || [];
+            const entry = entries[(tab.index || entries.length) - 1] || {};
+            return {
+                title: entry.title || "",
+                // Pages that are still loading only have the typed address
+                url: entry.url || tab.userTypedValue || "",
+                pinned: Boolean(tab.pinned)
+            };
+        });
+        return {tabs: tabs, selected: (window.selected || 1) - 1};
+    }).filter(window => window.tabs.length > 0);
+}
+
+/**
+ * Windows of a Chromium session file (SNSS)
+ *
+ * The file is "SNSS", an int32 version and a sequence of commands, each a
+ * uint16 size, a uint8 command id and size - 1 bytes of payload. Replaying
+ * the commands gives the current state of windows, tabs and navigations.
+ *
+ * @param {Uint8Array} contents - File contents
+ * @returns {Array<Object>} [{tabs: [{title, url, pinned}], selected}]
+ */
+export function parseSnssSession(contents) {
+    const view = new DataView(contents.buffer, contents.byteOffset, contents.byteLength);
+    if (contents.length < 8 || String.fromCharCode(...contents.subarray(0, 4)) !== "SNSS") {
+        throw new Error("Not an SNSS file");
+    }
+    const version = view.getInt32(4, true);
+    if (!SNSS_VERSIONS.includes(version)) throw new Error(`Unsupported SNSS version ${version}`);
+
+    const windows = new Map();  // window id -> {selectedIndex, closed}
+    const tabs = new Map();     // tab id -> {windowId, index, navigations, selectedNavigation, pinned, closed}
+    const getWindow = id => {
+        if (!windows.has(id)) windows.set(id, {selectedIndex: 0, closed: false});
+        return windows.get(id);
+    };
+    const getTab = id => {
+        if (!tabs.has(id)) {
+            tabs.set(id, {windowId: null, index: Infinity, navigations: new Map(), selectedNavigation: -1,
+                pinned: false, closed: false});
+        }
+        return tabs.get(id);
+    };
+
+    let offset = 8;
+    while (offset + 2 <= contents.length) {
+        const size = view.getUint16(offset, true);
+        offset += 2;
+        // The last command may be cut off while the browser writes
+        if (size === 0 || offset + size > contents.length) break;
+
+        const id = contents[offset];
+        const payload = new DataView(contents.buffer, contents.byteOffset + offset + 1, size - 1);
+        offset += size;
+
+        const int32 = position => position + 4 <= payload.byteLength ? payload.getInt32(position, true) : null;
+        switch (id) {
+        case SNSS_COMMANDS.SET_TAB_WINDOW:
+            getTab(int32(4)).windowId = int32(0);
+            break;
+        case SNSS_COMMANDS.SET_TAB_INDEX_IN_WINDOW:
+            getTab(int32(0)).index = int32(4);
+            break;
+        case SNSS_COMMANDS.UPDATE_TAB_NAVIGATION: {
+            const navigation = readNavigationPickle(payload);
+            if (navigation) getTab(navigation.tabId).navigations.set(navigation.index, navigation);
+            break;
+        }
+        case SNSS_COMMANDS.SET_SELECTED_NAVIGATION_INDEX:
+            getTab(int32(0)).selectedNavigation = int32(4);
+            break;
+        case SNSS_COMMANDS.SET_SELECTED_TAB_IN_INDEX:
+            getWindow(int32(0)).selectedIndex = int32(4);
+            break;
+        case SNSS_COMMANDS.SET_PINNED_STATE:
+            getTab(int32(0)).pinned = payload.byteLength > 4 && payload.getUint8(4) !== 0;
+            break;
+        case SNSS_COMMANDS.TAB_CLOSED:
+            getTab(int32(0)).closed = true;
+            break;
+        case SNSS_COMMANDS.WINDOW_CLOSED:
+            getWindow(int32(0)).closed = true;
+            break;
+        case SNSS_COMMANDS.TAB_NAVIGATION_PATH_PRUNED_FROM_BACK:
+            pruneNavigations(getTab(int32(0)), int32(4), Infinity);
+            break;
+        case SNSS_COMMANDS.TAB_NAVIGATION_PATH_PRUNED_FROM_FRONT:
+            pruneNavigations(getTab(int32(0)), 0, int32(4));
+            break;
+        case SNSS_COMMANDS.TAB_NAVIGATION_PATH_PRUNED:
+            pruneNavigations(getTab(int32(0)), int32(4), int32(8));
+            break;
+        }
+    }
+
+    const result = [];
+    for (const [windowId, window] of windows) {
+        if (window.closed) continue;
+        const windowTabs = [...tabs.entries()]
+            .filter(([, tab]) => tab.windowId === windowId && !tab.closed && tab.navigations.size > 0)
+            .sort(([idA, a], [idB, b]) => a.index - b.index || idA - idB)
+            .map(([, tab]) => tab);
+        if (windowTabs.length === 0) continue;
+
+        result.push({
+            tabs: windowTabs.map(tab => {
+                const navigation = tab.navigations.get(tab.selectedNavigation) ||
+                    tab.navigations.get(Math.max(...tab.navigations.keys()));
+                return {title: navigation.title, url: navigation.url, pinned: tab.pinned};
+            }),
+            selected: Math.max(0, windowTabs.findIndex(tab => tab.index === window.selectedIndex))
+        });
+    }
+    return result;
+}
+
+/**
+ * Tab id, navigation index, URL and title of an UpdateTabNavigation command
+ *
+ * The payload is a base::Pickle: a uint32 payload size, then fields aligned
+ * to 4 bytes; strings are an int32 length and the bytes (UTF-8), string16s
+ * an int32 length in code units and UTF-16LE.
+ */
+function readNavigationPickle(payload) {
+    let position = 4;
+    const readInt32 = () => {
+        if (position + 4 > payload.byteLength) throw new RangeError("Truncated pickle");
+        const value = payload.getInt32(position, true);
+        position += 4;
+        return value;
+    };
+    const readBytes = length => {
+        if (length < 0 || position + length > payload.byteLength) throw new RangeError("Truncated pickle");
+        const bytes = new Uint8Array(payload.buffer, payload.byteOffset + position, length);
+        position += Math.ceil(length / 4) * 4;
+        return bytes;
+    };
+
+    try {
+        const tabId = readInt32();
+        const index = readInt32();
+        const url = new TextDecoder().decode(readBytes(readInt32()));
+        const title = new TextDecoder("utf-16le").decode(readBytes(readInt32() * 2));
+        return {tabId, index, url, title};
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Remove count navigations starting at index; later ones move down
+ */
+function pruneNavigations(tab, index, count) {
+    if (index === null || count === null) return;
+
+    const navigations = new Map();
+    for (const [navigationIndex, navigation] of tab.navigations) {
+        if (navigationIndex < index) {
+            navigations.set(navigationIndex, navigation);
+        } else if (navigationIndex >= index + count) {
+            navigations.set(navigationIndex - count, {...navigation, index: navigationIndex - count});
+        }
+    }
+    tab.navigations = navigations;
+    if (tab.selectedNavigation >= index + count) tab.selectedNavigation -= count;
+}
+
+/**
+ * Session window and tab showing a page title
+ *
+ * The window's current tab is preferred; any tab of a window is accepted
+ * when the session file hasn't caught up with a tab switch yet.
+ *
+ * @returns {Object|null} {session, window, tabIndex, matchedBy: "selected_tab"|"tab_title"}
+ */
+function matchSessionWindow(sessions, pageTitle) {
+    for (const session of sessions) {
+        for (const window of session.windows) {
+            const tab = window.tabs[window.selected];
+            if (tab && tabShowsTitle(tab, pageTitle)) {
+                return {session, window, tabIndex: window.selected, matchedBy: "selected_tab"};
+            }
+        }
+    }
+    for (const session of sessions) {
+        for (const window of session.windows) {
+            const tabIndex = window.tabs.findIndex(tab => tabShowsTitle(tab, pageTitle));
+            if (tabIndex >= 0) return {session, window, tabIndex, matchedBy: "tab_title"};
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a window title (without the browser name) belongs to a tab
+ *
+ * Chromium may append " - Audio playing" or a profile name to the page
+ * title; pages without a title show their address.
+ */
+function tabShowsTitle(tab, pageTitle) {
+    const title = normalizeTitle(tab.title);
+    if (title) {
+        return title === pageTitle || pageTitle.startsWith(`${title} - `);
+    }
+    return Boolean(tab.url) && (tab.url === pageTitle || tab.url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "") === pageTitle);
+}
+
+/**
+ * Window title without the browser name ("Page — Mozilla Firefox" -> "Page")
+ */
+export function stripBrowserName(title, titleNames) {
+    let text = normalizeTitle(title);
+    for (const name of [...titleNames].sort((a, b) => b.length - a.length)) {
+        const suffix = new RegExp(`\\s+[-—–]\\s+${escapeRegExp(name)}$`);
+        if (suffix.test(text)) {
+            text = text.replace(suffix, "");
+            break;
+        }
+    }
+    return text;
+}
+
+/**
+ * Collapse whitespace and drop the zero-width space Edge puts in its name
+ */
+function normalizeTitle(title) {
+    return (title || "").replace(/\u200b/g, "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Session files of a product, most recently written first
+ *
+ * @returns {Array<Object>} [{path, profile, modified, size}]
+ */
+function findSessionFiles(product) {
+    const files = [];
+    for (const relativeDir of product.dataDirs) {
+        const dataDir = GLib.build_filenamev([GLib.get_home_dir(), relativeDir]);
+        if (!GLib.file_test(dataDir, GLib.FileTest.IS_DIR)) continue;
+
+        const candidates = product.engine === "firefox" ?
+            findFirefoxSessionFiles(dataDir) : findChromiumSessionFiles(dataDir);
+        for (const candidate of candidates) {
+            const info = queryFileInfo(candidate.path);
+            if (info && info.size > 0 && info.size <= MAX_SESSION_SIZE) files.push({...candidate, ...info});
+        }
+    }
+    return files.sort((a, b) => b.modified - a.modified);
+}
+
+/**
+ * recovery.jsonlz4 of every profile listed in profiles.ini
+ */
+function findFirefoxSessionFiles(dataDir) {
+    const keyFile = new GLib.KeyFile();
+    try {
+        keyFile.load_from_file(GLib.build_filenamev([dataDir, "profiles.ini"]), GLib.KeyFileFlags.NONE);
+    } catch (e) {
+        return [];
+    }
+
+    const files = [];
+    const [groups] = keyFile.get_groups();
+    for (const group of groups.filter(name => name.startsWith("Profile"))) {
+        let path, name, relative;
+        try {
+            path = keyFile.get_string(group, "Path");
+            name = keyFile.has_key(group, "Name") ? keyFile.get_string(group, "Name") : path;
+            relative = !keyFile.has_key(group, "IsRelative") || keyFile.get_integer(group, "IsRelative") !== 0;
+        } catch (e) {
+            continue;
+        }
+        const profileDir = relative ? GLib.build_filenamev([dataDir, path]) : path;
+        files.push({
+            path: GLib.build_filenamev([profileDir, "sessionstore-backups", "recovery.jsonlz4"]),
+            profile: name
+        });
+    }
+    return files;
+}
+
+/**
+ * Newest session file of every profile of a Chromium user data directory
+ */
+function findChromiumSessionFiles(dataDir) {
+    // Display names of the profiles, keyed by directory name
+    const localState = readJson(GLib.build_filenamev([dataDir, "Local State"]));
+    const profileNames = (localState && localState.profile && localState.profile.info_cache) || {};
+
+    const profiles = listDirectory(dataDir).filter(name => name === "Default" || /^Profile \d+$/.test(name));
+    const files = [];
+    // Opera keeps a single profile in the user data directory itself
+    for (const profile of ["", ...profiles]) {
+        const profileDir = profile ? GLib.build_filenamev([dataDir, profile]) : dataDir;
+        const sessionsDir = GLib.build_filenamev([profileDir, "Sessions"]);
+
+        // Session_<time> since Chrome 86, the name sorts by creation time
+        const sessions = listDirectory(sessionsDir).filter(name => /^Session_\d+$/.test(name)).sort();
+        const path = sessions.length > 0 ?
+            GLib.build_filenamev([sessionsDir, sessions[sessions.length - 1]]) :
+            GLib.build_filenamev([profileDir, "Current Session"]);
+        const info = profileNames[profile];
+        files.push({path: path, profile: (info && info.name) || profile || "Default"});
+    }
+    return files;
+}
+
+/**
+ * Modification time (ms) and size of a file, null if it doesn't exist
+ */
+function queryFileInfo(path) {
+    try {
+        const info = Gio.File.new_for_path(path).query_info('time::modified,standard::size',
+            Gio.FileQueryInfoFlags.NONE, null);
+        return {modified: info.get_modification_date_time().to_unix() * 1000, size: info.get_size()};
+    } catch (e) {
+        return null;
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,418 @@
+/* callerAuthorizer.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Decides which processes on the session bus may call the D-Bus interface.
+ * A caller is identified by its unique bus name, resolved to a PID by the
+ * bus daemon and to an executable path through /proc/<pid>/exe. Scripts are
+ * identified by their interpreter and the script it runs
+ * ("/usr/bin/gjs-console /path/to/host.js"), so allowing one script doesn't
+ * allow every other script of the same interpreter.
+ *
+ * Every method requires one of three access levels:
+ *
+ *   basic   - focused window title, class, geometry, workspace
+ *   process - process details such as command lines and working directories
+ *   context - application context, full window data, history and log
+ *
+ * The allowlist maps these identities to the highest level they were
+ * granted. Unknown callers (or callers asking for more than they were
+ * granted) trigger a consent request; the call stays pending until the user
+ * answers or the request times out.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import {DBusErrors} from './dbusErrors.js';
+import {readProcessArgv, readProcessCwd} from './procfs.js';
+
+/**
+ * Access levels, lowest first
+ */
+export const ACCESS_LEVELS = ["basic", "process", "context"];
+
+/**
+ * What each access level reveals, for consent requests and preferences
+ */
+export const ACCESS_LEVEL_DESCRIPTIONS = {
+    basic: "the focused window's title and application",
+    process: "process details such as command lines and working directories",
+    context: "application context such as URLs and projects, and your focus history"
+};
+
+/**
+ * Seconds a call waits for the user to answer a consent request. Stays
+ * below the usual 25 second D-Bus call timeout so callers get a real error.
+ */
+const CONSENT_TIMEOUT = 20;
+
+/**
+ * Resolved callers kept per unique bus name
+ */
+const MAX_CACHED_CALLERS = 64;
+
+/**
+ * Interpreters whose callers are identified by the script they run
+ *
+ * names matches the basename of the executable. optionsWithValue lists the
+ * options whose value is the next argument; inlineOptions run code given on
+ * the command line (or a module), such callers keep the interpreter alone
+ * as identity.
+ */
+const SCRIPT_INTERPRETERS = [
+    {
+        names: /^gjs(-console)?$/,
+        optionsWithValue: ["-I", "--include-path", "--coverage-prefix", "--coverage-output", "--profile"],
+        inlineOptions: ["-c", "--command"]
+    },
+    {
+        names: /^python[\d.]*$/,
+        optionsWithValue: ["-W", "-X", "--check-hash-based-pycs"],
+        inlineOptions: ["-c", "-m"]
+    },
+    {
+        names: /^(node|nodejs)$/,
+        optionsWithValue: ["-r", "--require", "--import", "--loader", "--experimental-loader", "--env-file"],
+        inlineOptions: ["-e", "--eval", "-p", "--print"]
+    },
+    {
+        names: /^perl[\d.]*$/,
+        optionsWithValue: ["-I", "-M", "-m"],
+        inlineOptions: ["-e", "-E"]
+    },
+    {
+        names: /^ruby[\d.]*$/,
+        optionsWithValue: ["-I", "-r", "-C"],
+        inlineOptions: ["-e"]
+    }
+];
+
+/**
+ * Default authorization options
+ */
+export const DEFAULT_AUTHORIZATION_OPTIONS = {
+    enabled: true,
+    consent: true,              // Ask the user about unknown callers
+    allowed: {}                 // Caller identity (see identifyCaller()) -> access level
+};
+
+/**
+ * Caller Authorizer
+ * =================
+ *
+ * Call start() when the extension is enabled and stop() when it is
+ * disabled; stop() denies every call that is still waiting for consent.
+ */
+export class CallerAuthorizer {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_AUTHORIZATION_OPTIONS
+     * @param {Object} callbacks - {requestConsent(caller, level, decide) -> cancel function,
+     *                              allowlistChanged(allowed)}
+     */
+    constructor(options, {requestConsent, allowlistChanged}) {
+        this._requestConsentHandler = requestConsent;
+        this._allowlistChangedHandler = allowlistChanged;
+        this._callers = new Map();          // Unique name -> {name, pid, exe, script, id}
+        this._pending = new Map();          // Caller identity -> {level, waiting, cancel, timeoutId}
+        this._deniedThisSession = new Set();
+        this._signalRecipients = new Set(); // Unique names granted the context level
+        this._nameOwnerChangedId = 0;
+        this.configure(options);
+    }
+
+    /**
+     * Apply new options without dropping resolved callers or pending requests
+     *
+     * @param {Object} options - Overrides for DEFAULT_AUTHORIZATION_OPTIONS
+     */
+    configure(options = {}) {
+        this._options = {...DEFAULT_AUTHORIZATION_OPTIONS, ...options};
+        this._allowed = {...this._options.allowed};
+
+        // Recipients must still be allowed under the new list
+        for (const name of [...this._signalRecipients]) {
+            const caller = this._callers.get(name);
+            if (!caller || !this._hasLevel(caller.id, "context")) {
+                this._signalRecipients.delete(name);
+            }
+        }
+    }
+
+    /**
+     * Unique names that may receive signals, or null when authorization is
+     * off and signals can be broadcast
+     */
+    get signalRecipients() {
+        return this._options.enabled ? [...this._signalRecipients] : null;
+    }
+
+    /**
+     * Start watching for callers leaving the bus
+     */
+    start() {
+        if (this._nameOwnerChangedId) return;
+
+        this._nameOwnerChangedId = Gio.DBus.session.signal_subscribe('org.freedesktop.DBus',
+            'org.freedesktop.DBus', 'NameOwnerChanged', '/org/freedesktop/DBus', null,
+            Gio.DBusSignalFlags.NONE, (connection, sender, path, iface, signal, parameters) => {
+                const [name, , newOwner] = parameters.deepUnpack();
+                // Unique names are never reused, forget them once they are gone
+                if (name.startsWith(":") && newOwner === "") {
+                    this._callers.delete(name);
+                    this._signalRecipients.delete(name);
+                }
+            });
+    }
+
+    /**
+     * Stop watching the bus and deny every call waiting for consent
+     */
+    stop() {
+        if (this._nameOwnerChangedId) {
+            Gio.DBus.session.signal_unsubscribe(this._nameOwnerChangedId);
+            this._nameOwnerChangedId = 0;
+        }
+        for (const id of [...this._pending.keys()]) {
+            this._finishConsent(id, null);
+        }
+        this._callers.clear();
+        this._signalRecipients.clear();
+    }
+
+    /**
+     * Authorize a method call
+     *
+     * The callback runs exactly once, possibly after the user answered a
+     * consent request, with null when the call may proceed or an error
+     * {name, message} to return to the caller.
+     *
+     * @param {string} sender - Unique bus name of the caller
+     * @param {string} level - Access level the method requires
+     * @param {Function} callback - Called with null or an error
+     */
+    authorize(sender, level, callback) {
+        if (!this._options.enabled) {
+            callback(null);
+            return;
+        }
+
+        this.resolveCaller(sender, caller => {
+            if (!caller) {
+                callback(this._denied(`Could not identify caller ${sender}`));
+                return;
+            }
+            this._authorizeCaller(caller, level, callback);
+        });
+    }
+
+    /**
+     * Check a resolved caller against the allowlist, asking for consent if needed
+     */
+    _authorizeCaller(caller, level, callback) {
+        if (this._hasLevel(caller.id, level)) {
+            if (this._hasLevel(caller.id, "context")) {
+                this._signalRecipients.add(caller.name);
+            }
+            callback(null);
+            return;
+        }
+
+        if (!this._options.consent || this._deniedThisSession.has(caller.id)) {
+            callback(this._denied(`${caller.id} is not allowed ${level} access`));
+            return;
+        }
+
+        // One consent request per identity; later calls wait for the same answer
+        const pending = this._pending.get(caller.id);
+        if (pending) {
+            pending.waiting.push({caller, level, callback});
+            return;
+        }
+
+        const request = {level, waiting: [{caller, level, callback}], cancel: null, timeoutId: 0};
+        this._pending.set(caller.id, request);
+        request.timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, CONSENT_TIMEOUT, () => {
+            request.timeoutId = 0;
+            this._finishConsent(caller.id, null);
+            return GLib.SOURCE_REMOVE;
+        });
+        request.cancel = this._requestConsentHandler(caller, level,
+            decision => this._finishConsent(caller.id, decision));
+    }
+
+    /**
+     * Apply the user's answer to every call waiting on a consent request
+     *
+     * @param {string} id - Caller identity the request was about
+     * @param {string|null} decision - "allow", "deny" or null (dismissed, timed out)
+     */
+    _finishConsent(id, decision) {
+        const request = this._pending.get(id);
+        if (!request) return;
+        this._pending.delete(id);
+
+        if (request.timeoutId) {
+            GLib.Source.remove(request.timeoutId);
+        }
+        if (request.cancel) {
+            request.cancel();
+        }
+
+        if (decision === "allow") {
+            this._allowed[id] = request.level;
+            this._allowlistChangedHandler({...this._allowed});
+        } else if (decision === "deny") {
+            // Don't ask again until the extension is restarted
+            this._deniedThisSession.add(id);
+        }
+
+        for (const {caller, level, callback} of request.waiting) {
+            if (decision === "allow") {
+                // Calls that need more than was granted ask again
+                this._authorizeCaller(caller, level, callback);
+            } else {
+                callback(this._denied(decision === "deny" ?
+                    `${id} was denied access` : `No consent given for ${id}`));
+            }
+        }
+    }
+
+    /**
+     * Resolve a unique bus name to the process behind it
+     *
+     * Works whether or not authorization is enabled; results are cached
+     * until the name leaves the bus.
+     *
+     * @param {string} sender - Unique bus name
+     * @param {Function} callback - Called once with {name, pid, exe, script, id}, or null
+     *                              when the bus or /proc can't tell
+     */
+    resolveCaller(sender, callback) {
+        const cached = this._callers.get(sender);
+        if (cached) {
+            callback(cached);
+            return;
+        }
+
+        // Ask the bus daemon asynchronously so the shell never blocks on it
+        Gio.DBus.session.call('org.freedesktop.DBus', '/org/freedesktop/DBus', 'org.freedesktop.DBus',
+            'GetConnectionUnixProcessID', new GLib.Variant('(s)', [sender]), new GLib.VariantType('(u)'),
+            Gio.DBusCallFlags.NONE, -1, null, (connection, result) => {
+                let caller = null;
+                try {
+                    const [pid] = connection.call_finish(result).deepUnpack();
+                    const exe = GLib.file_read_link(`/proc/${pid}/exe`);
+                    const script = findCallerScript(exe, readProcessArgv(pid), readProcessCwd(pid));
+                    caller = {name: sender, pid: pid, exe: exe, script: script, id: identifyCaller(exe, script)};
+                } catch (e) {
+                    console.log(`Error resolving D-Bus caller ${sender}: ${e}`);
+                }
+
+                if (caller) {
+                    if (this._callers.size >= MAX_CACHED_CALLERS) {
+                        // Maps iterate in insertion order, drop the oldest
+                        this._callers.delete(this._callers.keys().next().value);
+                    }
+                    this._callers.set(sender, caller);
+                }
+                callback(caller);
+            });
+    }
+
+    _hasLevel(id, level) {
+        const granted = this._allowed[id];
+        return granted !== undefined && ACCESS_LEVELS.indexOf(granted) >= ACCESS_LEVELS.indexOf(level);
+    }
+
+    _denied(message) {
+        return {name: DBusErrors.ACCESS_DENIED, message: message};
+    }
+}
+
+/**
+ * Script a caller's interpreter runs
+ *
+ * @param {string} exe - Executable path of the caller
+ * @param {Array<string>} argv - Its command line
+ * @param {string} cwd - Its working directory, for relative script paths
+ * @returns {string|null} Absolute script path; null for other executables,
+ *                        inline code, code read from standard input and
+ *                        interactive interpreters
+ */
+export function findCallerScript(exe, argv, cwd) {
+    const interpreter = SCRIPT_INTERPRETERS.find(candidate => candidate.names.test(GLib.path_get_basename(exe)));
+    if (!interpreter) return null;
+
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--") {
+            i++;
+        } else if (arg === "-") {
+            // The code comes from standard input
+            return null;
+        } else if (arg.startsWith("-")) {
+            const kind = classifyOption(interpreter, arg);
+            if (kind === "inline") return null;
+            if (kind === "value") i++;
+            continue;
+        }
+        if (i >= argv.length) break;
+
+        const script = argv[i];
+        if (GLib.path_is_absolute(script)) return GLib.canonicalize_filename(script, null);
+        return cwd ? GLib.canonicalize_filename(script, cwd) : null;
+    }
+    return null;
+}
+
+/**
+ * Kind of an interpreter option: "inline" (the code is on the command line),
+ * "value" (the next argument is its value) or "flag"
+ *
+ * Short options may be clustered ("-Bc"); a value option inside a cluster
+ * takes the rest of it as its value.
+ */
+function classifyOption(interpreter, arg) {
+    if (arg.startsWith("--")) {
+        const option = arg.split("=")[0];
+        if (interpreter.inlineOptions.includes(option)) return "inline";
+        return interpreter.optionsWithValue.includes(arg) ? "value" : "flag";
+    }
+
+    for (let j = 1; j < arg.length; j++) {
+        const option = `-${arg[j]}`;
+        if (interpreter.inlineOptions.includes(option)) return "inline";
+        if (interpreter.optionsWithValue.includes(option)) {
+            return j === arg.length - 1 ? "value" : "flag";
+        }
+    }
+    return "flag";
+}
+
+/**
+ * Identity of a caller in the allowlist and consent requests
+ *
+ * @param {string} exe - Executable path
+ * @param {string|null} script - Script it runs (see findCallerScript())
+ * @returns {string} The executable path, followed by the script for interpreters
+ */
+export function identifyCaller(exe, script) {
+    return script ? `${exe} ${script}` : exe;
+}
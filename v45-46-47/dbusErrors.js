@@ -0,0 +1,94 @@
+/* dbusErrors.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * D-Bus error domain of the interface. Methods throw ActiveWindowDetailsError
+ * and the dispatcher returns it to the caller as a D-Bus error, e.g.
+ *
+ *   org.gnome.Shell.Extensions.ActiveWindowDetails.Error.NoFocusedWindow
+ *
+ * Each error also remembers what the method returned before errors existed
+ * ("" or an error JSON object), which is sent instead when the
+ * legacy-error-strings compatibility setting is on.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+const ERROR_DOMAIN = "org.gnome.Shell.Extensions.ActiveWindowDetails.Error";
+
+/**
+ * D-Bus error names
+ */
+export const DBusErrors = {
+    NO_FOCUSED_WINDOW: `${ERROR_DOMAIN}.NoFocusedWindow`,   // No window has focus
+    WINDOW_NOT_FOUND: `${ERROR_DOMAIN}.WindowNotFound`,     // Unknown window id
+    PROCESS_GONE: `${ERROR_DOMAIN}.ProcessGone`,            // The window's process exited or is unknown
+    ACCESS_DENIED: `${ERROR_DOMAIN}.AccessDenied`,          // Caller not allowed, or /proc not readable
+    NOT_APPLICABLE: `${ERROR_DOMAIN}.NotApplicable`,        // Method doesn't apply to this window
+    INVALID_ARGS: "org.freedesktop.DBus.Error.InvalidArgs"  // Malformed argument (reportBrowserEvent)
+};
+
+/**
+ * Error returned to D-Bus callers
+ *
+ * GJS returns errors whose name contains a dot under that name, so the
+ * error name doubles as the D-Bus error name.
+ */
+export class ActiveWindowDetailsError extends Error {
+    /**
+     * @param {string} name - One of DBusErrors
+     * @param {string} message - Human readable description
+     * @param {string} legacyResult - Value returned in compatibility mode
+     */
+    constructor(name, message, legacyResult = "") {
+        super(message);
+        this.name = name;
+        this.legacyResult = legacyResult;
+    }
+}
+
+/**
+ * Translate a failed /proc read into an ActiveWindowDetailsError
+ *
+ * A missing entry means the process is gone, a permission error that /proc
+ * of another user (or a hardened kernel) can't be read.
+ *
+ * @param {Error} error - Error thrown by GLib or Gio
+ * @param {number} pid - Process that was read
+ * @param {string} what - What was being read, for the message
+ * @returns {ActiveWindowDetailsError} Error to throw
+ */
+export function procReadError(error, pid, what) {
+    if (error instanceof GLib.Error) {
+        if (error.matches(GLib.FileError, GLib.FileError.NOENT) ||
+            error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+            return new ActiveWindowDetailsError(DBusErrors.PROCESS_GONE,
+                `Process ${pid} no longer exists`);
+        }
+        if (error.matches(GLib.FileError, GLib.FileError.ACCES) ||
+            error.matches(GLib.FileError, GLib.FileError.PERM) ||
+            error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.PERMISSION_DENIED)) {
+            return new ActiveWindowDetailsError(DBusErrors.ACCESS_DENIED,
+                `Permission denied reading the ${what} of process ${pid}`);
+        }
+    }
+    return new ActiveWindowDetailsError(DBusErrors.PROCESS_GONE,
+        `Could not read the ${what} of process ${pid}: ${error.message || error}`);
+}
@@ -32,6 +32,116 @@
 // Import required GNOME libraries
 import Gio from 'gi://Gio';  // For D-Bus operations and file system access
 import GLib from 'gi://GLib'; // For low-level system operations
+import Meta from 'gi://Meta'; // For window state flags
+
+import {Extension} from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import * as Config from 'resource:///org/gnome/shell/misc/config.js';
+
+import {ActivityLog} from './activityLog.js';
+import {AppClassifier, USER_RULES_PATH} from './appClassifier.js';
+import {BrowserBridge} from './browserBridge.js';
+import {BrowserSessionReader, findBrowserProduct, getUrlDomain, stripBrowserName} from './browserSessions.js';
+import {ACCESS_LEVEL_DESCRIPTIONS, CallerAuthorizer} from './callerAuthorizer.js';
+import {ActiveWindowDetailsError, DBusErrors, procReadError} from './dbusErrors.js';
+import {FocusHistory} from './focusHistory.js';
+import {findGitContext} from './gitContext.js';
+import {IdleTracker} from './idleTracker.js';
+import {findJetBrainsProduct, JetBrainsProjectResolver} from './jetbrainsProject.js';
+import {collectProcessFamily, CpuSampler, getNetworkConnections, getOpenFiles, getProcessTree,
+    getTerminalSessions, readProcessCwd, readProcessResources, readProcStat} from './procfs.js';
+import {Redactor} from './redaction.js';
+import {resolveAppProcess, SandboxResolver, toHostPath} from './sandboxResolver.js';
+import {SiteCategorizer, USER_SITE_RULES_PATH} from './siteCategorizer.js';
+import {findTerminalEditor} from './terminalEditors.js';
+import {toVardict} from './variants.js';
+import {findVSCodeProduct, VSCodeWorkspaceResolver} from './vscodeWorkspace.js';
+
+/**
+ * Where the D-Bus interface is exported
+ */
+const DBUS_OBJECT_PATH = '/org/gnome/Shell/Extensions/ActiveWindowDetails';
+const DBUS_INTERFACE_NAME = 'org.gnome.Shell.Extensions.ActiveWindowDetails';
+const DBUS_INTERFACE2_NAME = 'org.gnome.Shell.Extensions.ActiveWindowDetails2';
+
+/**
+ * How long a terminal's editor lookup is reused; one getAppContext call
+ * needs it several times, listWindows once per terminal window
+ */
+const TERMINAL_EDITOR_LIFETIME = 1000;
+
+/**
+ * Extensions of files getDocumentPath accepts from the open files of a viewer
+ */
+const DOCUMENT_EXTENSIONS = ["pdf", "epub", "djvu", "ps", "odt", "ods", "odp", "odg", "doc", "docx",
+    "xls", "xlsx", "ppt", "pptx", "rtf", "txt", "md", "csv", "tex"];
+
+/**
+ * Settings keys that require the activity log to be recreated
+ */
+const LOG_SETTINGS_KEYS = ["log-enabled", "log-directory", "log-retention-days", "log-max-file-size"];
+
+/**
+ * Settings keys that require the redactor to be recreated
+ */
+const REDACTION_SETTINGS_KEYS = ["redaction-denylist-apps", "redaction-denylist-titles",
+    "redaction-suppress-private", "redaction-scrub-secrets", "redaction-extra-patterns"];
+
+/**
+ * Settings keys that reconfigure caller authorization
+ */
+const AUTHORIZATION_SETTINGS_KEYS = ["authorization-enabled", "authorization-consent", "authorized-callers"];
+
+/**
+ * Access level each D-Bus method requires (see callerAuthorizer.js).
+ * Methods missing here require the highest level.
+ */
+const METHOD_ACCESS_LEVELS = {
+    // Window identity and placement
+    getWinFocusData: "basic",
+    getWinPID: "basic",
+    getWinClass: "basic",
+    getWinRole: "basic",
+    getWinGeometry: "basic",
+    getWinWorkspace: "basic",
+    listWindows: "basic",
+    getIdleState: "basic",
+    getVersion: "basic",
+    // Process details from /proc
+    getProcessName: "process",
+    getProcessPath: "process",
+    getProcessCmdline: "process",
+    getProcessCwd: "process",
+    getProcessParent: "process",
+    getProcessTree: "process",
+    getProcessResources: "process",
+    getOpenFiles: "process",
+    getNetworkConnections: "process",
+    // Typed interface (ActiveWindowDetails2)
+    GetFocusedWindow: "basic",
+    GetGeometry: "basic",
+    GetPid: "basic",
+    ListWindows: "basic",
+    GetIdleState: "basic",
+    GetVersion: "basic",
+    GetProcess: "process",
+    GetProcessTree: "process",
+    GetProcessResources: "process",
+    GetOpenFiles: "process",
+    GetNetworkConnections: "process",
+    // Input from the companion browser extension's native messaging host
+    reportBrowserEvent: "basic",
+    // Everything else (application context, full window data, history, log)
+    // requires "context"
+};
+
+/**
+ * Methods that get the resolved caller ({name, pid, exe, script, id}, see
+ * callerAuthorizer.js) as an extra last argument, because the caller's
+ * process itself is part of the request
+ */
+const CALLER_METHODS = ["reportBrowserEvent"];
 
 /**
  * D-Bus Interface Definition
@@ -49,6 +159,10 @@ import GLib from 'gi://GLib'; // For low-level system operations
  * - getWinClass, getWinRole: Window identification
  * - getProcessName, getProcessPath, getProcessCmdline, getProcessCwd: Process details
  * - getWinGeometry, getWinWorkspace, getProcessParent: Extended context
+ * - getProcessTree: Ancestors and descendants of a process
+ * - getProcessResources: CPU, memory, I/O and thread usage of a process (tree)
+ * - getOpenFiles: Classified open files of a process and its likely working set
+ * - getNetworkConnections: TCP, UDP and unix sockets of a process (tree)
  * 
  * Phase 2 Methods (Application-Specific Deep Data):
  * - getBrowserUrl, getBrowserTabInfo: Browser-specific information
@@ -57,6 +171,42 @@ import GLib from 'gi://GLib'; // For low-level system operations
  * - getFileManagerPath: File manager current location
  * - getDocumentPath: Document viewer information
  * - getAppContext: Unified context detection (automatically determines app type)
+ *
+ * Browser Bridge Method:
+ * - reportBrowserEvent: Tab events from the companion browser extension,
+ *   forwarded by its native messaging host (see browserBridge.js)
+ *
+ * Signals (push notifications, so clients don't have to poll):
+ * - FocusChanged: Emitted when a different window receives focus
+ * - TitleChanged: Emitted when the focused window changes its title
+ *
+ * Both signals carry the same JSON payload that getAppContext returns.
+ *
+ * Window Enumeration Methods:
+ * - listWindows: Every managed window with state, placement and appType
+ * - getWindowDetails: Full getAllWindowData payload for any window by id
+ *
+ * Focus History Methods:
+ * - getFocusHistory: Recent focus/title transitions from an in-memory ring buffer
+ * - clearFocusHistory: Empty the ring buffer
+ *
+ * Activity Log Methods:
+ * - getLogStatus: State of the optional on-disk JSON Lines activity log
+ * - flushLog: Write pending focus sessions to disk immediately
+ *
+ * Idle Detection Methods:
+ * - getIdleState: Whether the user is active, idle or away (screen locked)
+ *
+ * Every window payload passes through the privacy redaction layer (see
+ * redaction.js) and JSON payloads carry a `redactionApplied` flag.
+ *
+ * Callers must be allowed to use a method (see METHOD_ACCESS_LEVELS); denied
+ * calls fail with org.gnome.Shell.Extensions.ActiveWindowDetails.Error.AccessDenied.
+ *
+ * Failures are D-Bus errors in the ...ActiveWindowDetails.Error domain
+ * (NoFocusedWindow, WindowNotFound, ProcessGone, AccessDenied, NotApplicable;
+ * see dbusErrors.js). The legacy-error-strings setting restores the old
+ * replies ("" or JSON with an `error` field) for existing scripts.
  */
 const DBUS_NODE_INTERFACE = `
 <node>
@@ -95,6 +245,25 @@ const DBUS_NODE_INTERFACE = `
         <method name="getProcessParent">
             <arg type="s" direction="out" />
         </method>
+        <method name="getProcessTree">
+            <arg type="u" name="pid" direction="in" />
+            <arg type="u" name="depth" direction="in" />
+            <arg type="s" direction="out" />
+        </method>
+        <method name="getProcessResources">
+            <arg type="u" name="pid" direction="in" />
+            <arg type="b" name="includeTree" direction="in" />
+            <arg type="s" direction="out" />
+        </method>
+        <method name="getOpenFiles">
+            <arg type="u" name="pid" direction="in" />
+            <arg type="s" direction="out" />
+        </method>
+        <method name="getNetworkConnections">
+            <arg type="u" name="pid" direction="in" />
+            <arg type="b" name="includeTree" direction="in" />
+            <arg type="s" direction="out" />
+        </method>
         <!-- Phase 2: Application-Specific Deep Data -->
         <method name="getBrowserUrl">
             <arg type="s" direction="out" />
@@ -102,6 +271,10 @@ const DBUS_NODE_INTERFACE = `
         <method name="getBrowserTabInfo">
             <arg type="s" direction="out" />
         </method>
+        <method name="reportBrowserEvent">
+            <arg type="s" name="message" direction="in" />
+            <arg type="s" direction="out" />
+        </method>
         <method name="getIdeProject">
             <arg type="s" direction="out" />
         </method>
@@ -124,10 +297,163 @@ const DBUS_NODE_INTERFACE = `
         <method name="getAllWindowData">
             <arg type="s" direction="out" />
         </method>
+        <!-- Window Enumeration -->
+        <method name="listWindows">
+            <arg type="s" direction="out" />
+        </method>
+        <method name="getWindowDetails">
+            <arg type="t" name="windowId" direction="in" />
+            <arg type="s" direction="out" />
+        </method>
+        <!-- Focus History -->
+        <method name="getFocusHistory">
+            <arg type="x" name="sinceMs" direction="in" />
+            <arg type="u" name="limit" direction="in" />
+            <arg type="s" direction="out" />
+        </method>
+        <method name="clearFocusHistory">
+            <arg type="s" direction="out" />
+        </method>
+        <!-- Activity Log -->
+        <method name="getLogStatus">
+            <arg type="s" direction="out" />
+        </method>
+        <method name="flushLog">
+            <arg type="s" direction="out" />
+        </method>
+        <!-- Idle Detection -->
+        <method name="getIdleState">
+            <arg type="s" direction="out" />
+        </method>
         <!-- Version Information -->
         <method name="getVersion">
             <arg type="s" direction="out" />
         </method>
+        <!-- Signals: Focus and Title Change Notifications -->
+        <signal name="FocusChanged">
+            <arg type="s" name="context" />
+        </signal>
+        <signal name="TitleChanged">
+            <arg type="s" name="context" />
+        </signal>
+    </interface>
+</node>`;
+
+/**
+ * Typed D-Bus Interface Definition
+ * ================================
+ * 
+ * Version 2 of the interface, exported next to the string interface on the
+ * same object path. It carries the same data as native D-Bus types so
+ * clients can use introspection and typed proxies instead of parsing JSON:
+ * objects are a{sv} dictionaries with the keys of the JSON payloads (see
+ * variants.js), geometry is (iiii) and the PID is u.
+ * 
+ * Methods:
+ * - GetFocusedWindow: listWindows entry of the focused window
+ * - GetGeometry, GetPid: Focused window placement and process id
+ * - GetProcess: Name, path, command line, working directory and parent PID
+ * - GetProcessTree, GetProcessResources, GetOpenFiles, GetNetworkConnections: Same payloads
+ *   as the camelCase methods
+ * - GetAppContext, GetAllWindowData: Same payloads as the string methods
+ * - ListWindows, GetWindowDetails: Window enumeration
+ * - GetFocusHistory, ClearFocusHistory, GetLogStatus, FlushLog, GetIdleState, GetVersion
+ * 
+ * The Phase 2 methods have no typed counterpart, GetAppContext carries the
+ * same context for whatever application has focus.
+ * 
+ * Properties (org.freedesktop.DBus.Properties, PropertiesChanged is emitted):
+ * - FocusedWindow: Same as GetFocusedWindow, {} when nothing has focus
+ * - ActivityState: "active", "idle" or "away"
+ * 
+ * Property reads don't tell who is asking, so while caller authorization is
+ * enabled they return empty values; authorized clients get the values from
+ * PropertiesChanged and the methods. Errors are the same D-Bus errors as on
+ * the string interface, the legacy-error-strings setting doesn't apply.
+ */
+const DBUS_NODE_INTERFACE2 = `
+<node>
+    <interface name="org.gnome.Shell.Extensions.ActiveWindowDetails2">
+        <!-- Focused window -->
+        <method name="GetFocusedWindow">
+            <arg type="a{sv}" name="window" direction="out" />
+        </method>
+        <method name="GetGeometry">
+            <arg type="(iiii)" name="geometry" direction="out" />
+        </method>
+        <method name="GetPid">
+            <arg type="u" name="pid" direction="out" />
+        </method>
+        <method name="GetProcess">
+            <arg type="a{sv}" name="process" direction="out" />
+        </method>
+        <method name="GetProcessTree">
+            <arg type="u" name="pid" direction="in" />
+            <arg type="u" name="depth" direction="in" />
+            <arg type="a{sv}" name="tree" direction="out" />
+        </method>
+        <method name="GetProcessResources">
+            <arg type="u" name="pid" direction="in" />
+            <arg type="b" name="includeTree" direction="in" />
+            <arg type="a{sv}" name="resources" direction="out" />
+        </method>
+        <method name="GetOpenFiles">
+            <arg type="u" name="pid" direction="in" />
+            <arg type="a{sv}" name="files" direction="out" />
+        </method>
+        <method name="GetNetworkConnections">
+            <arg type="u" name="pid" direction="in" />
+            <arg type="b" name="includeTree" direction="in" />
+            <arg type="a{sv}" name="connections" direction="out" />
+        </method>
+        <method name="GetAppContext">
+            <arg type="a{sv}" name="context" direction="out" />
+        </method>
+        <method name="GetAllWindowData">
+            <arg type="a{sv}" name="data" direction="out" />
+        </method>
+        <!-- Window Enumeration -->
+        <method name="ListWindows">
+            <arg type="aa{sv}" name="windows" direction="out" />
+        </method>
+        <method name="GetWindowDetails">
+            <arg type="t" name="windowId" direction="in" />
+            <arg type="a{sv}" name="data" direction="out" />
+        </method>
+        <!-- Focus History -->
+        <method name="GetFocusHistory">
+            <arg type="x" name="sinceMs" direction="in" />
+            <arg type="u" name="limit" direction="in" />
+            <arg type="aa{sv}" name="entries" direction="out" />
+        </method>
+        <method name="ClearFocusHistory">
+            <arg type="a{sv}" name="result" direction="out" />
+        </method>
+        <!-- Activity Log -->
+        <method name="GetLogStatus">
+            <arg type="a{sv}" name="status" direction="out" />
+        </method>
+        <method name="FlushLog">
+            <arg type="a{sv}" name="result" direction="out" />
+        </method>
+        <!-- Idle Detection -->
+        <method name="GetIdleState">
+            <arg type="a{sv}" name="state" direction="out" />
+        </method>
+        <!-- Version Information -->
+        <method name="GetVersion">
+            <arg type="a{sv}" name="version" direction="out" />
+        </method>
+        <!-- Properties -->
+        <property name="FocusedWindow" type="a{sv}" access="read" />
+        <property name="ActivityState" type="s" access="read" />
+        <!-- Signals: Focus and Title Change Notifications -->
+        <signal name="FocusChanged">
+            <arg type="a{sv}" name="context" />
+        </signal>
+        <signal name="TitleChanged">
+            <arg type="a{sv}" name="context" />
+        </signal>
     </interface>
 </node>`;
 
@@ -139,24 +465,127 @@ const DBUS_NODE_INTERFACE = `
  * the lifecycle of the extension (enable/disable) and provides all the
  * D-Bus methods for window and process monitoring.
  */
-export default class ActiveWindowDetailsExtension {
+export default class ActiveWindowDetailsExtension extends Extension {
     /**
      * Extension Activation
      * ===================
      * 
      * Called when the extension is enabled. Sets up the D-Bus interface
-     * so external applications can call our methods.
+     * so external applications can call our methods, and starts watching
+     * focus changes so the FocusChanged/TitleChanged signals can be emitted.
+     * Settings are watched too, so preference changes apply immediately.
      */
     enable() {
+        // Preferences (see schemas/ and prefs.js)
+        if (!this._settings) {
+            this._settings = this.getSettings();
+            this._settingsChangedId = this._settings.connect('changed',
+                (settings, key) => this._onSettingsChanged(key));
+        }
+
+        // Callers are checked before any method runs
+        if (!this._authorizer) {
+            this._authorizer = new CallerAuthorizer(this._getAuthorizationOptions(), {
+                requestConsent: (caller, level, decide) => this._requestConsent(caller, level, decide),
+                allowlistChanged: allowed => this._settings.set_value('authorized-callers',
+                    new GLib.Variant('a{ss}', allowed))
+            });
+            this._authorizer.start();
+        }
+
         // Only create the D-Bus object if it doesn't already exist
         if (!this._dbus) {
-            // Wrap our JavaScript object with the D-Bus interface definition
-            // This makes our methods callable via D-Bus
-            this._dbus = Gio.DBusExportedObject.wrapJSObject(DBUS_NODE_INTERFACE, this);
+            // Wrap a dispatcher with the D-Bus interface definition. It authorizes
+            // the caller and then runs the method of the same name on this object
+            this._dbus = Gio.DBusExportedObject.wrapJSObject(DBUS_NODE_INTERFACE,
+                this._createDBusDispatcher(DBUS_NODE_INTERFACE, {legacyReplies: true}));
             
             // Export the object to the session bus at the specified path
             // External apps can now call: org.gnome.Shell /org/gnome/Shell/Extensions/ActiveWindowDetails
-            this._dbus.export(Gio.DBus.session, '/org/gnome/Shell/Extensions/ActiveWindowDetails');
+            this._dbus.export(Gio.DBus.session, DBUS_OBJECT_PATH);
+        }
+
+        // Typed interface on the same object path
+        if (!this._dbus2) {
+            this._dbus2 = Gio.DBusExportedObject.wrapJSObject(DBUS_NODE_INTERFACE2,
+                this._createDBusDispatcher(DBUS_NODE_INTERFACE2, {legacyReplies: false}));
+            this._dbus2.export(Gio.DBus.session, DBUS_OBJECT_PATH);
+        }
+
+        // Classifier registry: built-in rules plus the user's rules file,
+        // reloaded whenever the file changes
+        if (!this._classifier) {
+            this._classifier = new AppClassifier();
+            this._loadClassifierRules();
+            this._classifierMonitor = Gio.File.new_for_path(USER_RULES_PATH)
+                .monitor_file(Gio.FileMonitorFlags.NONE, null);
+            this._classifierMonitor.connect('changed', () => this._loadClassifierRules());
+        }
+
+        // Site categories for browser pages, same scheme as the classifier
+        if (!this._siteCategorizer) {
+            this._siteCategorizer = new SiteCategorizer();
+            this._loadSiteRules();
+            this._siteRulesMonitor = Gio.File.new_for_path(USER_SITE_RULES_PATH)
+                .monitor_file(Gio.FileMonitorFlags.NONE, null);
+            this._siteRulesMonitor.connect('changed', () => this._loadSiteRules());
+        }
+
+        // Privacy redaction applied to every outgoing window payload
+        if (!this._redactor) {
+            this._restartRedactor();
+        }
+
+        // CPU usage is measured between getProcessResources calls
+        if (!this._cpuSampler) {
+            this._cpuSampler = new CpuSampler();
+        }
+
+        // Flatpak, Snap and container detection for process payloads
+        if (!this._sandboxResolver) {
+            this._sandboxResolver = new SandboxResolver();
+        }
+
+        // Folders and workspaces behind VS Code-family window titles
+        if (!this._vscodeWorkspaces) {
+            this._vscodeWorkspaces = new VSCodeWorkspaceResolver();
+        }
+        if (!this._jetbrainsProjects) {
+            this._jetbrainsProjects = new JetBrainsProjectResolver();
+        }
+
+        // Tabs behind browser window titles, from the browsers' session files
+        if (!this._browserSessions) {
+            this._browserSessions = new BrowserSessionReader();
+        }
+        // Live tabs reported by the companion browser extension
+        if (!this._browserBridge) {
+            this._browserBridge = new BrowserBridge();
+        }
+
+        // Transitions are recorded from the focus tracking handlers below
+        if (!this._focusHistory) {
+            this._focusHistory = new FocusHistory(this._settings.get_uint('history-size'));
+        }
+        if (!this._activityLog) {
+            this._currentSession = null;
+            this._restartActivityLog();
+        }
+
+        // Idle and screen lock changes split sessions into active/idle segments
+        if (!this._idleTracker) {
+            this._restartIdleTracker();
+        }
+
+        // Start tracking focus changes (connects display and window signals)
+        if (!this._focusWindowChangedId) {
+            this._trackedWindow = null;
+            this._trackedWindowSignalIds = [];
+            this._focusWindowChangedId = global.display.connect('notify::focus-window',
+                () => this._onFocusWindowChanged());
+
+            // Pick up the window that already has focus when we are enabled
+            this._onFocusWindowChanged();
         }
     }
 
@@ -164,10 +593,71 @@ export default class ActiveWindowDetailsExtension {
      * Extension Deactivation
      * ======================
      * 
-     * Called when the extension is disabled. Cleans up the D-Bus interface
-     * and ensures no resources are leaked.
+     * Called when the extension is disabled. Disconnects every signal handler,
+     * cleans up the D-Bus interface and ensures no resources are leaked.
      */
     disable() {
+        // Stop tracking focus changes before the D-Bus object goes away
+        if (this._focusWindowChangedId) {
+            global.display.disconnect(this._focusWindowChangedId);
+            this._focusWindowChangedId = 0;
+        }
+        this._untrackWindow();
+        this._focusHistory = null;
+        this._lastAppContext = null;
+
+        if (this._idleTracker) {
+            this._idleTracker.stop();
+            this._idleTracker = null;
+        }
+
+        // Close the ongoing session so it reaches the log before we stop it
+        if (this._activityLog) {
+            this._recordActivitySession(null, null, Date.now());
+            this._activityLog.stop();
+            this._activityLog = null;
+        }
+
+        if (this._classifierMonitor) {
+            this._classifierMonitor.cancel();
+            this._classifierMonitor = null;
+        }
+        this._classifier = null;
+        if (this._siteRulesMonitor) {
+            this._siteRulesMonitor.cancel();
+            this._siteRulesMonitor = null;
+        }
+        this._siteCategorizer = null;
+        this._redactor = null;
+        this._cpuSampler = null;
+        this._sandboxResolver = null;
+        this._vscodeWorkspaces = null;
+        this._jetbrainsProjects = null;
+        if (this._browserSessions) {
+            this._browserSessions.stop();
+            this._browserSessions = null;
+        }
+        this._browserBridge = null;
+        this._terminalEditorCache = null;
+
+        // Calls still waiting for consent are denied before the object goes away
+        if (this._authorizer) {
+            this._authorizer.stop();
+            this._authorizer = null;
+        }
+
+        if (this._settings) {
+            this._settings.disconnect(this._settingsChangedId);
+            this._settingsChangedId = 0;
+            this._settings = null;
+        }
+
+        if (this._dbus2) {
+            this._dbus2.flush();
+            this._dbus2.unexport();
+            this._dbus2 = null;
+        }
+
         if (this._dbus) {
             // Flush any pending D-Bus operations
             this._dbus.flush();
@@ -181,1083 +671,3208 @@ export default class ActiveWindowDetailsExtension {
     }
 
     // ============================================================================
-    // PHASE 1: CORE WINDOW AND PROCESS INFORMATION METHODS
+    // SETTINGS
     // ============================================================================
     //
-    // These methods provide fundamental information about the focused window
-    // and its associated process. They form the foundation for all monitoring
-    // and analysis capabilities.
+    // Preferences are applied live: subsystems affected by a changed key are
+    // resized or recreated without a disable/enable cycle. Keys that are read
+    // on every use (categories, privacy switches) need no handling here.
     // ============================================================================
 
     /**
-     * Get Focused Window Title
-     * =======================
-     * 
-     * Returns the title of the currently focused window.
-     * This is one of the original core methods.
+     * React to a changed settings key
      * 
-     * @returns {string} Window title or empty string if no window has focus
+     * @param {string} key - Name of the changed key
      */
-    getWinFocusData() {
-        // Get all window actors (visual representations of windows)
-        // Map to their underlying meta_window objects (which contain the data we need)
-        // Find the one that currently has focus
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _onSettingsChanged(key) {
+        if (key === "history-size" && this._focusHistory) {
+            this._focusHistory.resize(this._settings.get_uint('history-size'));
+        } else if (key === "idle-threshold" && this._idleTracker) {
+            this._restartIdleTracker();
+        } else if (LOG_SETTINGS_KEYS.includes(key) && this._activityLog) {
+            this._restartActivityLog();
+        } else if (REDACTION_SETTINGS_KEYS.includes(key) && this._redactor) {
+            this._restartRedactor();
+        } else if (AUTHORIZATION_SETTINGS_KEYS.includes(key) && this._authorizer) {
+            this._authorizer.configure(this._getAuthorizationOptions());
+        }
+    }
 
-        // Return the window title if we found a focused window, otherwise empty string
-        return focusedWindow ? focusedWindow.get_title() : "";
+    /**
+     * (Re)create the idle tracker with the configured threshold
+     */
+    _restartIdleTracker() {
+        if (this._idleTracker) {
+            this._idleTracker.stop();
+        }
+        this._idleTracker = new IdleTracker(this._settings.get_uint('idle-threshold'),
+            (state, since) => this._onActivityStateChanged(state, since));
+        this._idleTracker.start();
     }
 
     /**
-     * Get Focused Window Process ID
-     * ============================
+     * (Re)create the activity log with the configured options
      * 
-     * Returns the process ID (PID) of the currently focused window.
-     * This is one of the original core methods.
-     * 
-     * @returns {string} Process ID as string, or empty string if no focused window
+     * The ongoing session is closed into the old log and continues as a
+     * new session in the new one, so no focus time is lost.
      */
-    getWinPID() {
-        // Use the same pattern: get all windows, find the focused one
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _restartActivityLog() {
+        const now = Date.now();
+        if (this._activityLog) {
+            this._recordActivitySession(null, null, now);
+            this._activityLog.stop();
+        }
 
-        // Convert PID to string (D-Bus methods must return strings)
-        return focusedWindow ? String(focusedWindow.get_pid()) : "";
+        const options = {
+            enabled: this._settings.get_boolean('log-enabled'),
+            retentionDays: this._settings.get_uint('log-retention-days'),
+            maxFileSize: this._settings.get_uint('log-max-file-size') * 1024 * 1024
+        };
+        // An empty directory keeps the default under ~/.local/share
+        const directory = this._settings.get_string('log-directory');
+        if (directory) {
+            options.directory = directory;
+        }
+
+        this._activityLog = new ActivityLog(options);
+        this._activityLog.start();
+        this._recordActivitySession(this._trackedWindow || null, this._lastAppContext, now);
     }
 
     /**
-     * Get Window Class
-     * ===============
-     * 
-     * Returns the window class (application identifier) of the focused window.
-     * Window class is typically the application name (e.g., "Cursor", "Brave-browser").
+     * (Re)create the redactor with the configured denylists and patterns
+     */
+    _restartRedactor() {
+        this._redactor = new Redactor({
+            denylistApps: this._settings.get_strv('redaction-denylist-apps'),
+            denylistTitles: this._settings.get_strv('redaction-denylist-titles'),
+            suppressPrivateWindows: this._settings.get_boolean('redaction-suppress-private'),
+            scrubSecrets: this._settings.get_boolean('redaction-scrub-secrets'),
+            extraPatterns: this._settings.get_strv('redaction-extra-patterns')
+        });
+    }
+
+    /**
+     * Whether an application category is enabled for inspection
      * 
-     * @returns {string} Window class name or empty string
+     * @param {string} appType - Application type from the classifier
+     * @returns {boolean} True if context for this type should be extracted
      */
-    getWinClass() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _isCategoryEnabled(appType) {
+        if (!this._settings) return true;
+        return this._settings.get_strv('enabled-categories').includes(appType);
+    }
 
-        // get_wm_class() returns the WM_CLASS property set by the application
-        return focusedWindow ? focusedWindow.get_wm_class() : "";
+    /**
+     * Whether window titles may be stored in the history and the log
+     */
+    _shouldRecordTitles() {
+        return this._settings ? this._settings.get_boolean('record-window-titles') : true;
     }
 
+    // ============================================================================
+    // CALLER AUTHORIZATION
+    // ============================================================================
+    //
+    // The exported D-Bus object is a dispatcher with a `<method>Async` entry
+    // per interface method. Async handlers receive the Gio.DBusMethodInvocation,
+    // which tells us the caller's unique bus name; the caller is authorized
+    // (possibly after a consent notification) before the method on this
+    // object runs. See callerAuthorizer.js.
+    // ============================================================================
+
     /**
-     * Get Window Role
-     * ==============
+     * Build the object exported on D-Bus
      * 
-     * Returns the window role identifier. Window roles provide additional
-     * context about the window's purpose (e.g., "browser-window", "dialog").
+     * Properties of the typed interface are served by `_get<Name>Property()`.
      * 
-     * @returns {string} Window role or empty string
+     * @param {string} interfaceXml - Interface definition to dispatch
+     * @param {Object} options - {legacyReplies}: honor the legacy-error-strings setting
+     * @returns {Object} Dispatcher with a `<method>Async` handler per method
      */
-    getWinRole() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _createDBusDispatcher(interfaceXml, {legacyReplies}) {
+        const dispatcher = {};
+        const interfaceInfo = Gio.DBusNodeInfo.new_for_xml(interfaceXml).interfaces[0];
 
-        // get_role() might return null, so we use || "" to ensure we return a string
-        return focusedWindow ? (focusedWindow.get_role() || "") : "";
+        for (const method of interfaceInfo.methods) {
+            const outSignature = `(${method.out_args.map(arg => arg.signature).join("")})`;
+            dispatcher[`${method.name}Async`] = (parameters, invocation) =>
+                this._dispatchDBusCall(method.name, outSignature, parameters, invocation, legacyReplies);
+        }
+        for (const property of interfaceInfo.properties) {
+            Object.defineProperty(dispatcher, property.name, {
+                get: () => this[`_get${property.name}Property`]()
+            });
+        }
+        return dispatcher;
     }
 
     /**
-     * Get Process Executable Name
-     * ===========================
-     * 
-     * Returns the executable name of the focused window's process.
-     * This reads from /proc/[pid]/comm which contains the command name.
+     * Authorize a D-Bus call and run the method
      * 
-     * @returns {string} Process executable name (e.g., "cursor", "brave") or empty string
+     * @param {string} methodName - Name of the called method
+     * @param {string} outSignature - Signature of the reply
+     * @param {Array} parameters - Unpacked call arguments
+     * @param {Gio.DBusMethodInvocation} invocation - Pending call
+     * @param {boolean} legacyReplies - Whether legacy-error-strings applies
      */
-    getProcessName() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _dispatchDBusCall(methodName, outSignature, parameters, invocation, legacyReplies) {
+        const level = METHOD_ACCESS_LEVELS[methodName] || "context";
 
-        if (!focusedWindow) return "";
-        
-        const pid = focusedWindow.get_pid();
-        try {
-            // Access the older imports.gi syntax for compatibility with existing code
-            const GLib = imports.gi.GLib;
-            
-            // Read the /proc/[pid]/comm file which contains the process command name
-            // This is a Linux-specific way to get the executable name
-            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/comm`);
-            if (success) {
-                // Decode the binary data to text and remove trailing newline
-                return new TextDecoder().decode(contents).trim();
+        const authorizer = this._authorizer;
+        const sender = invocation.get_sender();
+        authorizer.authorize(sender, level, error => {
+            if (error) {
+                invocation.return_dbus_error(error.name, error.message);
+                return;
+            }
+            if (!CALLER_METHODS.includes(methodName)) {
+                this._runDBusMethod(methodName, outSignature, parameters, invocation, legacyReplies);
+                return;
             }
+
+            // Cached by authorize() unless authorization is off
+            authorizer.resolveCaller(sender, caller => {
+                if (!caller) {
+                    invocation.return_dbus_error(DBusErrors.ACCESS_DENIED, `Could not identify caller ${sender}`);
+                    return;
+                }
+                this._runDBusMethod(methodName, outSignature, [...parameters, caller], invocation, legacyReplies);
+            });
+        });
+    }
+
+    /**
+     * Run an authorized method and reply to the call
+     * 
+     * @param {string} methodName - Name of the called method
+     * @param {string} outSignature - Signature of the reply
+     * @param {Array} parameters - Method arguments
+     * @param {Gio.DBusMethodInvocation} invocation - Pending call
+     * @param {boolean} legacyReplies - Whether legacy-error-strings applies
+     */
+    _runDBusMethod(methodName, outSignature, parameters, invocation, legacyReplies) {
+        try {
+            const result = this[methodName](...parameters);
+            invocation.return_value(new GLib.Variant(outSignature, [result]));
         } catch (e) {
-            // Log errors for debugging but don't crash the extension
-            console.log(`Error reading process name for PID ${pid}: ${e}`);
+            if (e instanceof ActiveWindowDetailsError && legacyReplies &&
+                this._settings.get_boolean('legacy-error-strings')) {
+                // Compatibility mode: reply the way methods did before the error domain
+                invocation.return_value(new GLib.Variant(outSignature, [e.legacyResult]));
+                return;
+            }
+
+            // Same mapping GJS applies to synchronous methods
+            const errorName = e.name && e.name.includes(".") ?
+                e.name : `org.gnome.gjs.JSError.${e.name || "Error"}`;
+            invocation.return_dbus_error(errorName, e.message || String(e));
         }
-        return "";
     }
 
     /**
-     * Get Process Executable Path
-     * ===========================
+     * Emit a D-Bus signal
      * 
-     * Returns the full path to the executable file of the focused window's process.
-     * This provides more detailed information than getProcessName().
+     * Signals carry application context, so while authorization is on they are
+     * sent only to callers that were granted the "context" level (any call of
+     * theirs registers them); otherwise they are broadcast.
      * 
-     * @returns {string} Full path to executable or empty string
+     * @param {string} signalName - Name of the signal
+     * @param {GLib.Variant} parameters - Signal arguments
+     * @param {string} interfaceName - Interface the signal belongs to
      */
-    getProcessPath() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _emitSignal(signalName, parameters, interfaceName = DBUS_INTERFACE_NAME) {
+        if (!this._dbus) return;
 
-        if (!focusedWindow) return "";
-        
-        const pid = focusedWindow.get_pid();
-        try {
-            const GLib = imports.gi.GLib;
-            
-            // Try to read /proc/[pid]/exe directly
-            // This is a symlink to the actual executable file
-            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/exe`);
-            if (success) {
-                return new TextDecoder().decode(contents).trim();
-            }
-        } catch (e) {
-            // If direct reading fails, try the symlink resolution method
-            // This is a fallback approach that's sometimes more reliable
+        const recipients = this._authorizer ? this._authorizer.signalRecipients : null;
+        // A null destination broadcasts
+        for (const recipient of recipients === null ? [null] : recipients) {
             try {
-                const Gio = imports.gi.Gio;
-                const file = Gio.File.new_for_path(`/proc/${pid}/exe`);
-                
-                // Query the symlink target to get the actual executable path
-                const info = file.query_info('standard::symlink-target', Gio.FileQueryInfoFlags.NONE, null);
-                return info.get_symlink_target() || "";
-            } catch (e2) {
-                console.log(`Error reading process path for PID ${pid}: ${e2}`);
+                Gio.DBus.session.emit_signal(recipient, DBUS_OBJECT_PATH, interfaceName,
+                    signalName, parameters);
+            } catch (e) {
+                console.log(`Error sending ${signalName} to ${recipient || "the bus"}: ${e}`);
             }
         }
-        return "";
     }
 
     /**
-     * Get Process Command Line
-     * ========================
-     * 
-     * Returns the complete command line used to start the process, including
-     * the executable name and all arguments. Useful for understanding how
-     * an application was launched.
+     * Emit PropertiesChanged for properties of the typed interface
      * 
-     * @returns {string} Complete command line with arguments or empty string
+     * @param {Object} changed - Property name -> GLib.Variant
      */
-    getProcessCmdline() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _emitPropertiesChanged(changed) {
+        if (!this._dbus2) return;
 
-        if (!focusedWindow) return "";
-        
-        const pid = focusedWindow.get_pid();
-        try {
-            const GLib = imports.gi.GLib;
-            
-            // Read /proc/[pid]/cmdline which contains the command line arguments
-            // In this file, arguments are separated by null bytes (\0)
-            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/cmdline`);
-            if (success) {
-                // Convert binary data to text and replace null separators with spaces
-                // This gives us a readable command line string
-                const cmdline = new TextDecoder().decode(contents).replace(/\0/g, ' ').trim();
-                return cmdline;
-            }
-        } catch (e) {
-            console.log(`Error reading process cmdline for PID ${pid}: ${e}`);
-        }
-        return "";
+        this._emitSignal('PropertiesChanged',
+            new GLib.Variant('(sa{sv}as)', [DBUS_INTERFACE2_NAME, changed, []]),
+            'org.freedesktop.DBus.Properties');
     }
 
     /**
-     * Get Process Working Directory
-     * =============================
+     * Authorization options from the settings
+     */
+    _getAuthorizationOptions() {
+        return {
+            enabled: this._settings.get_boolean('authorization-enabled'),
+            consent: this._settings.get_boolean('authorization-consent'),
+            allowed: this._settings.get_value('authorized-callers').deepUnpack()
+        };
+    }
+
+    /**
+     * Ask the user whether a caller may use the interface
      * 
-     * Returns the current working directory of the focused window's process.
-     * This is extremely useful for determining project context in IDEs,
-     * current location in terminals, etc.
+     * Shows a notification with Allow/Deny actions. Closing it without an
+     * answer denies the waiting calls without remembering the decision.
      * 
-     * @returns {string} Current working directory path or empty string
+     * @param {Object} caller - {name, pid, exe, script, id}
+     * @param {string} level - Access level being requested
+     * @param {Function} decide - Called once with "allow", "deny" or null
+     * @returns {Function} Withdraws the notification
      */
-    getProcessCwd() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _requestConsent(caller, level, decide) {
+        const title = "Allow access to your window activity?";
+        const who = caller.script ?
+            `${caller.script} (${GLib.path_get_basename(caller.exe)} script, PID ${caller.pid})` :
+            `${caller.exe} (PID ${caller.pid})`;
+        const body = `${who} wants to read ${ACCESS_LEVEL_DESCRIPTIONS[level]} through Active Window Details.`;
+        const shellVersion = parseInt(Config.PACKAGE_VERSION.split(".")[0]);
 
-        if (!focusedWindow) return "";
-        
-        const pid = focusedWindow.get_pid();
-        try {
-            const Gio = imports.gi.Gio;
-            
-            // /proc/[pid]/cwd is a symlink pointing to the process's current working directory
-            const file = Gio.File.new_for_path(`/proc/${pid}/cwd`);
-            
-            // Resolve the symlink to get the actual directory path
-            const info = file.query_info('standard::symlink-target', Gio.FileQueryInfoFlags.NONE, null);
-            return info.get_symlink_target() || "";
-        } catch (e) {
-            console.log(`Error reading process cwd for PID ${pid}: ${e}`);
+        // The message tray switched to GObject construct properties in GNOME 46
+        let source, notification;
+        if (shellVersion >= 46) {
+            source = new MessageTray.Source({title: "Active Window Details", iconName: 'dialog-password-symbolic'});
+            notification = new MessageTray.Notification({source, title, body,
+                urgency: MessageTray.Urgency.CRITICAL});
+        } else {
+            source = new MessageTray.Source("Active Window Details", 'dialog-password-symbolic');
+            notification = new MessageTray.Notification(source, title, body);
+            notification.setUrgency(MessageTray.Urgency.CRITICAL);
         }
-        return "";
+        Main.messageTray.add(source);
+
+        let answered = false;
+        let closed = false;
+        const answer = decision => {
+            if (answered) return;
+            answered = true;
+            decide(decision);
+        };
+
+        // The message tray closes the notification itself after an action
+        notification.addAction("Allow", () => {
+            closed = true;
+            answer("allow");
+        });
+        notification.addAction("Deny", () => {
+            closed = true;
+            answer("deny");
+        });
+        notification.connect('destroy', () => {
+            closed = true;
+            answer(null);
+        });
+
+        if (shellVersion >= 46) {
+            source.addNotification(notification);
+        } else {
+            source.showNotification(notification);
+        }
+
+        return () => {
+            answered = true;
+            if (!closed) notification.destroy();
+        };
     }
 
+    // ============================================================================
+    // PRIVACY REDACTION
+    // ============================================================================
+    //
+    // Every window payload leaving the extension (method results, signals,
+    // focus history, activity log) goes through the redactor: denylisted apps,
+    // denylisted titles and private browser windows are reduced to their
+    // appType, and secrets in titles, URLs and command lines are scrubbed.
+    // See redaction.js.
+    // ============================================================================
+
     /**
-     * Get Window Geometry
-     * ==================
+     * Decide whether a window has to be suppressed
      * 
-     * Returns the position and size of the focused window as JSON.
-     * Includes x/y coordinates and width/height dimensions.
+     * The command line and the companion browser extension's incognito flag
+     * are only looked up when the private window check needs them.
      * 
-     * @returns {string} JSON object with geometry data: {x, y, width, height}
+     * @param {Meta.Window} window - Window about to be reported
+     * @returns {Object} {appType, suppressed, reason}
      */
-    getWinGeometry() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _assessWindow(window) {
+        const pid = window.get_pid();
+        let cmdline;
+        const readCmdline = () => {
+            if (cmdline === undefined) cmdline = pid > 0 ? this._getProcessCmdlineSync(pid) : "";
+            return cmdline;
+        };
+        // Known exactly while the companion browser extension is connected
+        const readIncognito = () => {
+            const live = this._getBrowserBridgeData(window);
+            return live ? live.tab.incognito : false;
+        };
 
-        if (!focusedWindow) return "";
-        
-        // get_frame_rect() returns the window's position and size including decorations
-        const rect = focusedWindow.get_frame_rect();
-        
-        // Return as JSON string for easy parsing by calling applications
-        return JSON.stringify({
-            x: rect.x,        // Horizontal position on screen
-            y: rect.y,        // Vertical position on screen  
-            width: rect.width,   // Window width in pixels
-            height: rect.height  // Window height in pixels
+        return this._getRedactor().assess({
+            appType: this._detectAppType(window),
+            wmClass: window.get_wm_class() || "",
+            appId: window.get_gtk_application_id() || "",
+            sandboxedAppId: window.get_sandboxed_app_id() || "",
+            title: window.get_title() || "",
+            get cmdline() {
+                return readCmdline();
+            },
+            get incognito() {
+                return readIncognito();
+            }
         });
     }
 
     /**
-     * Get Window Workspace Information
-     * ===============================
+     * Redact a JSON payload about a window
      * 
-     * Returns information about the workspace (virtual desktop) containing
-     * the focused window. Useful for understanding user's workspace organization.
-     * 
-     * @returns {string} JSON object with workspace data: {index, name}
+     * @param {Object} payload - Payload built for the window
+     * @param {Meta.Window} window - Window the payload describes
+     * @returns {Object} Redacted payload carrying `redactionApplied`
      */
-    getWinWorkspace() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
-
-        if (!focusedWindow) return "";
-        
-        const workspace = focusedWindow.get_workspace();
-        if (workspace) {
-            return JSON.stringify({
-                index: workspace.index(),  // 0-based workspace number
-                // Try to get custom workspace name, fall back to "Workspace N" format
-                name: workspace.meta_workspace ? 
-                      workspace.meta_workspace.get_name() : 
-                      `Workspace ${workspace.index() + 1}`
-            });
-        }
-        return "";
+    _redactWindowPayload(payload, window) {
+        return this._getRedactor().redact(payload, this._assessWindow(window));
     }
 
     /**
-     * Get Parent Process ID
-     * ====================
-     * 
-     * Returns the process ID of the parent process that spawned the
-     * focused window's process. Useful for understanding process hierarchy.
-     * 
-     * @returns {string} Parent process ID (PPID) or empty string
+     * Window title with secrets scrubbed, empty for suppressed windows
      */
-    getProcessParent() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _getRedactedTitle(window) {
+        if (this._assessWindow(window).suppressed) return "";
+        return this._getRedactor().scrubText(window.get_title() || "");
+    }
 
-        if (!focusedWindow) return "";
-        
-        const pid = focusedWindow.get_pid();
-        try {
-            const GLib = imports.gi.GLib;
-            
-            // Read /proc/[pid]/stat which contains process statistics
-            // This file has a specific format with space-separated fields
-            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/stat`);
-            if (success) {
-                const stat = new TextDecoder().decode(contents);
-                const parts = stat.split(' ');
-                
-                // According to proc(5) man page, PPID is the 4th field (index 3)
-                // Fields: pid, comm, state, ppid, ...
-                return parts[3] || "";
-            }
-        } catch (e) {
-            console.log(`Error reading process parent for PID ${pid}: ${e}`);
+    _getRedactor() {
+        if (!this._redactor) {
+            this._redactor = new Redactor();
         }
-        return "";
+        return this._redactor;
     }
 
     // ============================================================================
-    // PHASE 2: APPLICATION-SPECIFIC DEEP DATA METHODS
+    // FOCUS TRACKING AND SIGNAL EMISSION
     // ============================================================================
     //
-    // The following methods provide specialized context extraction for different
-    // types of applications. They use intelligent detection to determine the
-    // application type and extract relevant information like URLs from browsers,
-    // project paths from IDEs, working directories from terminals, etc.
-    //
-    // These methods return JSON objects with rich contextual data and gracefully
-    // handle cases where the focused window is not the expected application type.
+    // Instead of forcing clients to poll, the extension listens to Mutter's
+    // focus and title notifications and pushes the getAppContext payload out
+    // as D-Bus signals. Only the focused window is watched for title changes.
+    // The same transitions feed the focus history and the activity log, and
+    // idle/away changes split their entries into active and idle segments.
     // ============================================================================
 
     /**
-     * Get Browser URL and Context
-     * ===========================
+     * Handle a change of the focused window
      * 
-     * Attempts to extract URL information from browser windows by parsing
-     * window titles. Different browsers format their titles differently,
-     * so this method uses multiple detection strategies.
-     * 
-     * @returns {string} JSON object with browser context or error if not a browser
+     * Moves the title watch over to the newly focused window and emits
+     * FocusChanged with the fresh application context.
      */
-    getBrowserUrl() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _onFocusWindowChanged() {
+        const focusWindow = global.display.get_focus_window();
+        if (focusWindow === this._trackedWindow) return;
 
-        if (!focusedWindow) return "";
-        
-        const windowClass = focusedWindow.get_wm_class() || "";
-        const windowTitle = focusedWindow.get_title() || "";
-        
-        // Check if the focused window is a browser by examining the window class
-        // We check for common browser class names (case-insensitive)
-        const browserClasses = ["firefox", "chrome", "brave-browser", "chromium", "safari", "edge"];
-        const isBrowser = browserClasses.some(browser => 
-            windowClass.toLowerCase().includes(browser) || 
-            // Also check without hyphens (e.g., "brave-browser" vs "bravebrowser")
-            windowClass.toLowerCase().includes(browser.replace("-", ""))
-        );
-        
-        if (!isBrowser) {
-            return JSON.stringify({
-                error: "Not a browser window",
-                windowClass: windowClass,
-                isBrowser: false
-            });
-        }
-        
-        // Attempt to extract URL from window title using common browser title patterns
-        let url = "";
-        
-        // Strategy 1: Look for titles with " - " separator containing URLs
-        // Example: "Page Title - https://example.com - Browser Name"
-        if (windowTitle.includes(" - ") && (windowTitle.includes("http") || windowTitle.includes("www"))) {
-            const parts = windowTitle.split(" - ");
-            url = parts.find(part => part.includes("http") || part.includes("www")) || "";
-        } 
-        // Strategy 2: Look for protocol indicators directly in title
-        // Example: "https://example.com"
-        else if (windowTitle.includes("://")) {
-            const urlMatch = windowTitle.match(/(https?:\/\/[^\s]+)/);
-            url = urlMatch ? urlMatch[1] : "";
+        this._untrackWindow();
+
+        if (focusWindow) {
+            this._trackedWindow = focusWindow;
+            this._trackedWindowSignalIds = [
+                focusWindow.connect('notify::title', () => this._onFocusedTitleChanged()),
+                // Drop our reference as soon as the window goes away
+                focusWindow.connect('unmanaged', () => this._untrackWindow()),
+            ];
         }
-        
-        return JSON.stringify({
-            url: url,
-            title: windowTitle,
-            browserType: windowClass,
-            isBrowser: true,
-            extractionMethod: url ? "window_title" : "title_parsing_failed"
-        });
+
+        this._handleTransition(focusWindow, 'FocusChanged');
     }
-    
+
     /**
-     * Get Browser Tab Information
-     * ===========================
+     * Handle a title change of the focused window
+     */
+    _onFocusedTitleChanged() {
+        this._handleTransition(this._trackedWindow, 'TitleChanged');
+    }
+
+    /**
+     * Process a focus or title transition
      * 
-     * Returns basic tab information from browser windows. This method provides
-     * a foundation for tab-specific data collection, though full tab details
-     * would require browser-specific extensions or APIs.
+     * Builds the (redacted) getAppContext payload once and shares it between
+     * the focus history, the activity log and the emitted signal.
      * 
-     * @returns {string} JSON object with available tab information
+     * @param {Meta.Window|null} window - Window that has focus after the transition
+     * @param {string} signalName - Name of the D-Bus signal to emit
      */
-    getBrowserTabInfo() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _handleTransition(window, signalName) {
+        let appContext = null;
+        try {
+            appContext = window ?
+                this._redactWindowPayload(this._getAppContextData(window), window) : null;
+        } catch (e) {
+            // Leave appContext empty, the transition is still recorded
+            console.log(`Error building context for ${signalName}: ${e}`);
+        }
+        const payload = appContext ? JSON.stringify(appContext) : "";
 
-        if (!focusedWindow) return "";
-        
-        const windowClass = focusedWindow.get_wm_class() || "";
-        const windowTitle = focusedWindow.get_title() || "";
-        
-        return JSON.stringify({
-            title: windowTitle,
-            windowClass: windowClass,
-            timestamp: Date.now(),
-            note: "Full tab details require browser-specific integration"
+        // Kept so idle/away changes can split the segment without re-reading /proc
+        this._lastAppContext = appContext;
+
+        const now = Date.now();
+        this._recordFocusTransition(window, appContext, now);
+        this._recordActivitySession(window, appContext, now);
+
+        this._emitSignal(signalName, new GLib.Variant('(s)', [payload]));
+        this._emitSignal(signalName, new GLib.Variant('(a{sv})', [toVardict(appContext)]),
+            DBUS_INTERFACE2_NAME);
+        this._emitPropertiesChanged({
+            FocusedWindow: new GLib.Variant('a{sv}', toVardict(this._getFocusedWindowSummary()))
         });
     }
-    
+
     /**
-     * Get IDE Project Information
-     * ==========================
+     * Handle a change of the user's presence state
      * 
-     * Detects IDE/editor windows and extracts project context by examining
-     * the working directory. Useful for tracking which projects developers
-     * are working on and understanding development workflows.
+     * Closes the current history entry and log session at the moment the
+     * state actually changed and opens a new segment for the same window
+     * carrying the new state.
      * 
-     * @returns {string} JSON object with project info or error if not an IDE
+     * @param {string} state - "active", "idle" or "away"
+     * @param {number} since - When the new state began (ms since epoch)
      */
-    getIdeProject() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _onActivityStateChanged(state, since) {
+        const window = this._trackedWindow;
+        const appContext = window ? this._lastAppContext : null;
 
-        if (!focusedWindow) return "";
-        
-        const windowClass = focusedWindow.get_wm_class() || "";
-        const windowTitle = focusedWindow.get_title() || "";
-        const pid = focusedWindow.get_pid();
-        
-        // Check if the focused window is an IDE or code editor
-        // This list includes popular IDEs and text editors used for development
-        const ideClasses = ["code", "cursor", "atom", "sublime", "intellij", "pycharm", "vscode", "vim", "emacs", "gedit"];
-        const isIde = ideClasses.some(ide => 
-            windowClass.toLowerCase().includes(ide)
-        );
-        
-        if (!isIde) {
-            return JSON.stringify({
-                error: "Not an IDE window",
-                windowClass: windowClass,
-                isIde: false
-            });
+        // Never split before the segment that is being closed began
+        const lastEntry = this._focusHistory ? this._focusHistory.query(0, 1)[0] : null;
+        let timestamp = lastEntry ? Math.max(since, lastEntry.timestamp) : since;
+        if (this._currentSession) {
+            timestamp = Math.max(timestamp, this._currentSession.start);
         }
-        
-        // Extract project information from the IDE's working directory
-        // Most IDEs set their working directory to the project root
-        let projectPath = "";
-        try {
-            const GLib = imports.gi.GLib;
-            const Gio = imports.gi.Gio;
-            
-            // Get the current working directory of the IDE process
-            const cwdFile = Gio.File.new_for_path(`/proc/${pid}/cwd`);
-            const info = cwdFile.query_info('standard::symlink-target', Gio.FileQueryInfoFlags.NONE, null);
-            projectPath = info.get_symlink_target() || "";
-        } catch (e) {
-            console.log(`Error reading IDE working directory for PID ${pid}: ${e}`);
+
+        this._recordFocusTransition(window, appContext, timestamp);
+        this._recordActivitySession(window, appContext, timestamp);
+
+        this._emitPropertiesChanged({ActivityState: new GLib.Variant('s', state)});
+    }
+
+    /**
+     * Current presence state, "active" when idle tracking is not running
+     */
+    _getActivityState() {
+        return this._idleTracker ? this._idleTracker.state : "active";
+    }
+
+    /**
+     * Disconnect all handlers from the currently tracked window
+     */
+    _untrackWindow() {
+        if (this._trackedWindow) {
+            this._trackedWindowSignalIds.forEach(id => this._trackedWindow.disconnect(id));
         }
-        
-        // Extract the project name from the path (typically the last directory component)
-        let projectName = "";
-        if (projectPath) {
-            // Split path by '/' and get the last non-empty part
-            projectName = projectPath.split('/').pop() || "";
+        this._trackedWindow = null;
+        this._trackedWindowSignalIds = [];
+    }
+
+    /**
+     * Add a transition to the focus history
+     * 
+     * A null window only closes the ongoing entry (nothing has focus).
+     * 
+     * @param {Meta.Window|null} window - Newly focused window
+     * @param {Object|null} appContext - Redacted getAppContext payload, if already built
+     * @param {number} timestamp - When the transition happened (ms since epoch)
+     */
+    _recordFocusTransition(window, appContext = null, timestamp = Date.now()) {
+        if (!this._focusHistory) return;
+
+        if (!window) {
+            this._focusHistory.close(timestamp);
+            return;
         }
-        
-        return JSON.stringify({
-            projectPath: projectPath,
-            projectName: projectName,
-            ideType: windowClass,
-            windowTitle: windowTitle,
-            isIde: true
-        });
+
+        this._focusHistory.record({
+            ...this._getRecordedWindow(window, appContext),
+            activityState: this._getActivityState()
+        }, timestamp);
     }
-    
+
     /**
-     * Get IDE Active File Information
-     * ==============================
+     * Close the ongoing focus session and start a new one
      * 
-     * Attempts to determine which file is currently active/open in an IDE
-     * by parsing the window title. Many IDEs include the filename in their
-     * window title when a file is open.
+     * The closed session is queued in the activity log. A null window only
+     * closes the ongoing session (nothing has focus, or we are disabling).
      * 
-     * @returns {string} JSON object with active file info or extraction failure
+     * @param {Meta.Window|null} window - Newly focused window
+     * @param {Object|null} appContext - Redacted getAppContext payload
+     * @param {number} timestamp - When the transition happened (ms since epoch)
      */
-    getIdeActiveFile() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _recordActivitySession(window, appContext, timestamp) {
+        if (!this._activityLog || !this._activityLog.enabled) return;
 
-        if (!focusedWindow) return "";
-        
-        const windowClass = focusedWindow.get_wm_class() || "";
-        const windowTitle = focusedWindow.get_title() || "";
-        
-        // Attempt to extract the active filename from the window title
-        // Many IDEs follow the pattern: "filename.ext - Project Name - IDE Name"
-        let activeFile = "";
+        if (this._currentSession) {
+            this._activityLog.append({...this._currentSession, end: timestamp});
+            this._currentSession = null;
+        }
+
+        if (window) {
+            this._currentSession = {
+                start: timestamp,
+                ...this._getRecordedWindow(window, appContext),
+                activityState: this._getActivityState(),
+                context: appContext && this._settings.get_boolean('log-app-context') ?
+                    appContext.context || {} : {}
+            };
+        }
+    }
+
+    /**
+     * Window fields stored in the focus history and the activity log
+     * 
+     * The getAppContext payload has already been redacted, so suppressed
+     * windows are recorded by their appType only.
+     * 
+     * @param {Meta.Window} window - Window being recorded
+     * @param {Object|null} appContext - Redacted getAppContext payload, if already built
+     * @returns {Object} {wmClass, title, pid, appType, redactionApplied}
+     */
+    _getRecordedWindow(window, appContext) {
+        const recorded = appContext || this._redactWindowPayload({
+            appType: this._detectAppType(window),
+            windowClass: window.get_wm_class() || "",
+            windowTitle: window.get_title() || "",
+            pid: window.get_pid()
+        }, window);
+
+        return {
+            wmClass: recorded.windowClass || "",
+            title: this._shouldRecordTitles() ? recorded.windowTitle || "" : "",
+            pid: recorded.pid || 0,
+            appType: recorded.appType,
+            redactionApplied: recorded.redactionApplied
+        };
+    }
+
+    // ============================================================================
+    // PHASE 1: CORE WINDOW AND PROCESS INFORMATION METHODS
+    // ============================================================================
+    //
+    // These methods provide fundamental information about the focused window
+    // and its associated process. They form the foundation for all monitoring
+    // and analysis capabilities.
+    // ============================================================================
+
+    /**
+     * Get Focused Window Title
+     * =======================
+     * 
+     * Returns the title of the currently focused window.
+     * This is one of the original core methods.
+     * 
+     * @returns {string} Window title (empty for suppressed windows)
+     * @throws NoFocusedWindow
+     */
+    getWinFocusData() {
+        const focusedWindow = this._requireFocusedWindow();
+
+        // Return the (redacted) window title
+        return this._getRedactedTitle(focusedWindow);
+    }
+
+    /**
+     * Get Focused Window Process ID
+     * ============================
+     * 
+     * Returns the process ID (PID) of the currently focused window.
+     * This is one of the original core methods.
+     * 
+     * @returns {string} Process ID as string (empty for suppressed windows)
+     * @throws NoFocusedWindow
+     */
+    getWinPID() {
+        const focusedWindow = this._requireFocusedWindow();
+
+        // Suppressed windows reveal nothing beyond their appType
+        if (this._assessWindow(focusedWindow).suppressed) return "";
+
+        // Convert PID to string (D-Bus methods must return strings)
+        return String(focusedWindow.get_pid());
+    }
+
+    /**
+     * Get Window Class
+     * ===============
+     * 
+     * Returns the window class (application identifier) of the focused window.
+     * Window class is typically the application name (e.g., "Cursor", "Brave-browser").
+     * 
+     * @returns {string} Window class name (empty for suppressed windows)
+     * @throws NoFocusedWindow
+     */
+    getWinClass() {
+        const focusedWindow = this._requireFocusedWindow();
+
+        // Suppressed windows reveal nothing beyond their appType
+        if (this._assessWindow(focusedWindow).suppressed) return "";
+
+        // get_wm_class() returns the WM_CLASS property set by the application
+        return focusedWindow.get_wm_class() || "";
+    }
+
+    /**
+     * Get Window Role
+     * ==============
+     * 
+     * Returns the window role identifier. Window roles provide additional
+     * context about the window's purpose (e.g., "browser-window", "dialog").
+     * 
+     * @returns {string} Window role or empty string if the window has none
+     * @throws NoFocusedWindow
+     */
+    getWinRole() {
+        const focusedWindow = this._requireFocusedWindow();
+
+        // get_role() might return null, so we use || "" to ensure we return a string
+        return focusedWindow.get_role() || "";
+    }
+
+    /**
+     * Get Process Executable Name
+     * ===========================
+     * 
+     * Returns the executable name of the focused window's process.
+     * This reads from /proc/[pid]/comm which contains the command name.
+     * 
+     * @returns {string} Process executable name (e.g., "cursor", "brave"; empty
+     *                   for suppressed windows)
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
+     */
+    getProcessName() {
+        const focusedWindow = this._requireFocusedWindow();
+        const pid = this._requireAppProcess(focusedWindow);
+
+        // Suppressed windows reveal nothing beyond their appType
+        if (this._assessWindow(focusedWindow).suppressed) return "";
+
+        try {
+            // Access the older imports.gi syntax for compatibility with existing code
+            const GLib = imports.gi.GLib;
+            
+            // Read the /proc/[pid]/comm file which contains the process command name
+            // This is a Linux-specific way to get the executable name
+            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/comm`);
+            if (success) {
+                // Decode the binary data to text and remove trailing newline
+                return new TextDecoder().decode(contents).trim();
+            }
+        } catch (e) {
+            throw procReadError(e, pid, "name");
+        }
+        return "";
+    }
+
+    /**
+     * Get Process Executable Path
+     * ===========================
+     * 
+     * Returns the full path to the executable file of the focused window's process.
+     * This provides more detailed information than getProcessName().
+     * 
+     * For Flatpak apps this is the application's own executable under its
+     * host installation directory, not bwrap or a path inside the sandbox.
+     * 
+     * @returns {string} Full path to executable (empty for suppressed windows)
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
+     */
+    getProcessPath() {
+        const focusedWindow = this._requireFocusedWindow();
+        const pid = this._requireAppProcess(focusedWindow);
+
+        // Suppressed windows reveal nothing beyond their appType
+        if (this._assessWindow(focusedWindow).suppressed) return "";
+
+        try {
+            // /proc/[pid]/exe is a symlink to the actual executable file
+            return this._readExecutablePath(pid);
+        } catch (e) {
+            throw procReadError(e, pid, "executable path");
+        }
+    }
+
+    /**
+     * Get Process Command Line
+     * ========================
+     * 
+     * Returns the complete command line used to start the process, including
+     * the executable name and all arguments. Useful for understanding how
+     * an application was launched.
+     * 
+     * @returns {string} Complete command line with arguments (empty for suppressed windows)
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
+     */
+    getProcessCmdline() {
+        const focusedWindow = this._requireFocusedWindow();
+        const pid = this._requireAppProcess(focusedWindow);
+        try {
+            const GLib = imports.gi.GLib;
+            
+            // Read /proc/[pid]/cmdline which contains the command line arguments
+            // In this file, arguments are separated by null bytes (\0)
+            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/cmdline`);
+            if (success) {
+                // Convert binary data to text and replace null separators with spaces
+                // This gives us a readable command line string
+                const cmdline = new TextDecoder().decode(contents).replace(/\0/g, ' ').trim();
+                // Secrets passed as arguments are scrubbed, suppressed windows reveal nothing
+                return this._assessWindow(focusedWindow).suppressed ? "" :
+                    this._getRedactor().scrubCmdline(cmdline);
+            }
+        } catch (e) {
+            throw procReadError(e, pid, "command line");
+        }
+        return "";
+    }
+
+    /**
+     * Get Process Working Directory
+     * =============================
+     * 
+     * Returns the current working directory of the focused window's process.
+     * This is extremely useful for determining project context in IDEs,
+     * current location in terminals, etc.
+     * 
+     * @returns {string} Current working directory path (empty for suppressed windows)
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
+     */
+    getProcessCwd() {
+        const focusedWindow = this._requireFocusedWindow();
+        const pid = this._requireAppProcess(focusedWindow);
         
-        if (windowTitle.includes(" - ")) {
-            const parts = windowTitle.split(" - ");
-            const firstPart = parts[0];
+        // Suppressed windows reveal nothing beyond their appType
+        if (this._assessWindow(focusedWindow).suppressed) return "";
+        
+        try {
+            const Gio = imports.gi.Gio;
             
-            // Heuristic: if the first part contains a dot (for file extension),
-            // doesn't contain slashes (not a full path), and is reasonably short,
-            // it's likely a filename
-            if (firstPart.includes(".") && !firstPart.includes("/") && firstPart.length < 50) {
-                activeFile = firstPart;
+            // /proc/[pid]/cwd is a symlink pointing to the process's current working directory
+            const file = Gio.File.new_for_path(`/proc/${pid}/cwd`);
+            
+            // Resolve the symlink to get the actual directory path
+            const info = file.query_info('standard::symlink-target', Gio.FileQueryInfoFlags.NONE, null);
+            return info.get_symlink_target() || "";
+        } catch (e) {
+            throw procReadError(e, pid, "working directory");
+        }
+    }
+
+    /**
+     * Get Window Geometry
+     * ==================
+     * 
+     * Returns the position and size of the focused window as JSON.
+     * Includes x/y coordinates and width/height dimensions.
+     * 
+     * @returns {string} JSON object with geometry data: {x, y, width, height}
+     * @throws NoFocusedWindow
+     */
+    getWinGeometry() {
+        const focusedWindow = this._requireFocusedWindow();
+        
+        // get_frame_rect() returns the window's position and size including decorations
+        const rect = focusedWindow.get_frame_rect();
+        
+        // Return as JSON string for easy parsing by calling applications
+        return JSON.stringify({
+            x: rect.x,        // Horizontal position on screen
+            y: rect.y,        // Vertical position on screen  
+            width: rect.width,   // Window width in pixels
+            height: rect.height  // Window height in pixels
+        });
+    }
+
+    /**
+     * Get Window Workspace Information
+     * ===============================
+     * 
+     * Returns information about the workspace (virtual desktop) containing
+     * the focused window. Useful for understanding user's workspace organization.
+     * 
+     * @returns {string} JSON object with workspace data: {index, name}
+     * @throws NoFocusedWindow, NotApplicable (window is on all workspaces)
+     */
+    getWinWorkspace() {
+        const focusedWindow = this._requireFocusedWindow();
+        
+        const workspace = focusedWindow.get_workspace();
+        if (workspace) {
+            return JSON.stringify({
+                index: workspace.index(),  // 0-based workspace number
+                // Try to get custom workspace name, fall back to "Workspace N" format
+                name: workspace.meta_workspace ? 
+                      workspace.meta_workspace.get_name() : 
+                      `Workspace ${workspace.index() + 1}`
+            });
+        }
+        throw new ActiveWindowDetailsError(DBusErrors.NOT_APPLICABLE,
+            "The window is not on a single workspace");
+    }
+
+    /**
+     * Get Parent Process ID
+     * ====================
+     * 
+     * Returns the process ID of the parent process that spawned the
+     * focused window's process. Useful for understanding process hierarchy.
+     * 
+     * @returns {string} Parent process ID (PPID)
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
+     */
+    getProcessParent() {
+        const focusedWindow = this._requireFocusedWindow();
+        const pid = this._requireProcess(focusedWindow);
+        try {
+            // PPID is the 4th field of /proc/[pid]/stat (see proc(5)); the parser
+            // copes with command names containing spaces
+            return String(readProcStat(pid).ppid);
+        } catch (e) {
+            throw procReadError(e, pid, "parent");
+        }
+    }
+
+    /**
+     * Get Process Tree
+     * ================
+     * 
+     * Returns the ancestors of a process up to init/systemd and its
+     * descendants, each node with {pid, ppid, comm, exe, cmdline, state,
+     * startTime}. Tells which shell or build job runs under a terminal.
+     * 
+     * @param {number} pid - Process to inspect, 0 for the focused window's process
+     * @param {number} depth - Descendant levels to include (at most 16)
+     * @returns {string} JSON object with {process (nested children), ancestors, depth, nodeCount, truncated}
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
+     */
+    getProcessTree(pid, depth) {
+        return JSON.stringify(this._getProcessTreeData(pid, depth));
+    }
+
+    /**
+     * Redacted getProcessTree payload
+     * 
+     * Command lines are scrubbed; if the process or one of its ancestors
+     * owns a suppressed window, only the redaction marker is returned.
+     */
+    _getProcessTreeData(pid, depth) {
+        if (!pid) {
+            pid = this._requireAppProcess(this._requireFocusedWindow());
+        }
+
+        let tree;
+        try {
+            tree = getProcessTree(pid, depth);
+        } catch (e) {
+            throw procReadError(e, pid, "process tree");
+        }
+
+        const payload = {...tree, sandbox: this._getSandboxData(tree.process.pid), timestamp: Date.now()};
+        payload.process = this._hideSuppressedProcesses(payload.process, this._getSuppressedPids());
+
+        return this._redactProcessPayload(payload, [tree.process, ...tree.ancestors].map(node => node.pid));
+    }
+
+    /**
+     * PIDs owning at least one suppressed window
+     */
+    _getSuppressedPids() {
+        return new Set(this._getManagedWindows()
+            .filter(w => this._assessWindow(w).suppressed)
+            .map(w => w.get_pid()));
+    }
+
+    /**
+     * Blank the processes that own suppressed windows
+     * 
+     * @param {Object} node - Process node with nested children
+     * @param {Set<number>} suppressedPids - See _getSuppressedPids()
+     * @returns {Object} Copy of the node with comm, exe and cmdline emptied where needed
+     */
+    _hideSuppressedProcesses(node, suppressedPids) {
+        const hidden = suppressedPids.has(node.pid) ?
+            {comm: "", exe: "", cmdline: "", redactionApplied: true} : {};
+        return {
+            ...node,
+            ...hidden,
+            children: node.children.map(child => this._hideSuppressedProcesses(child, suppressedPids))
+        };
+    }
+
+    /**
+     * Get Process Resources
+     * =====================
+     * 
+     * Returns CPU, memory, I/O, thread and context switch figures of a
+     * process, optionally summed over all of its descendants (browsers and
+     * Electron apps spread their work over many processes).
+     * 
+     * CPU usage is measured between calls: the first call for a process
+     * returns `cpuPercent: null`, later calls the average since the previous
+     * one (100 is one full core).
+     * 
+     * @param {number} pid - Process to inspect, 0 for the focused window's process
+     * @param {boolean} includeTree - Sum over the process and all of its descendants
+     * @returns {string} JSON object with resource usage
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
+     */
+    getProcessResources(pid, includeTree) {
+        return JSON.stringify(this._getProcessResourcesData(pid, includeTree));
+    }
+
+    /**
+     * Redacted getProcessResources payload
+     */
+    _getProcessResourcesData(pid, includeTree) {
+        if (!pid) {
+            pid = this._requireAppProcess(this._requireFocusedWindow());
+        }
+
+        let root;
+        try {
+            root = readProcessResources(pid);
+        } catch (e) {
+            throw procReadError(e, pid, "resource usage");
+        }
+
+        const processes = [root];
+        if (includeTree) {
+            for (const member of collectProcessFamily(pid).slice(1)) {
+                try {
+                    processes.push(readProcessResources(member));
+                } catch (e) {
+                    // Exited since the tree was listed
+                }
+            }
+        }
+
+        const now = Date.now();
+        this._cpuSampler.prune(now);
+        const samples = processes.map(resources => this._cpuSampler.sample(resources, now));
+
+        // Sums skip values /proc didn't let us read; null if none could be read
+        const sum = field => processes.reduce((total, resources) =>
+            resources[field] === null ? total : (total || 0) + resources[field], null);
+        const sampled = samples.filter(sample => sample !== null);
+
+        const payload = {
+            pid: root.pid,
+            name: root.comm,
+            includeTree: includeTree,
+            processCount: processes.length,
+            cpuPercent: sampled.length > 0 ?
+                Math.round(sampled.reduce((total, sample) => total + sample.percent, 0) * 10) / 10 : null,
+            sampleIntervalMs: samples[0] ? samples[0].intervalMs : null,
+            cpuTimeMs: sum("cpuTimeMs"),
+            memory: {
+                rssBytes: sum("rssBytes"),
+                pssBytes: sum("pssBytes"),      // Shared pages split between processes, best for trees
+                swapBytes: sum("swapBytes")
+            },
+            io: {
+                readBytes: sum("readBytes"),    // Bytes actually fetched from storage
+                writeBytes: sum("writeBytes"),
+                readChars: sum("readChars"),    // Including reads served from the page cache
+                writeChars: sum("writeChars")
+            },
+            threads: sum("threads"),
+            contextSwitches: {
+                voluntary: sum("voluntaryContextSwitches"),
+                involuntary: sum("involuntaryContextSwitches")
+            },
+            sandbox: this._getSandboxData(pid),
+            timestamp: now
+        };
+
+        return this._redactProcessPayload(payload, [pid]);
+    }
+
+    /**
+     * Get Open Files
+     * ==============
+     * 
+     * Lists the files a process holds open, classified as file, directory,
+     * socket, pipe, device or anon_inode, with noise such as shared
+     * libraries, fonts and /dev/null filtered out. The regular files among
+     * them, most recently modified first, are the likely working set.
+     * 
+     * @param {number} pid - Process to inspect, 0 for the focused window's process
+     * @returns {string} JSON object with {files, counts, total, filteredCount, workingSet}
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
+     */
+    getOpenFiles(pid) {
+        return JSON.stringify(this._getOpenFilesData(pid));
+    }
+
+    /**
+     * Redacted getOpenFiles payload
+     */
+    _getOpenFilesData(pid) {
+        if (!pid) {
+            pid = this._requireAppProcess(this._requireFocusedWindow());
+        }
+
+        let openFiles;
+        try {
+            openFiles = getOpenFiles(pid);
+        } catch (e) {
+            throw procReadError(e, pid, "open files");
+        }
+
+        const payload = {pid: pid, ...openFiles, sandbox: this._getSandboxData(pid), timestamp: Date.now()};
+        return this._redactProcessPayload(payload, [pid]);
+    }
+
+    /**
+     * Get Network Connections
+     * =======================
+     * 
+     * Lists the TCP, UDP and unix sockets of a process with local and
+     * remote address, port and state, found by matching the socket inodes
+     * of its file descriptors against /proc/<pid>/net. Attributes browser
+     * and chat activity to remote hosts without browser integration.
+     * 
+     * @param {number} pid - Process to inspect, 0 for the focused window's process
+     * @param {boolean} includeTree - Include the sockets of all descendants (browser network processes)
+     * @returns {string} JSON object with {connections, counts, remoteAddresses}
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
+     */
+    getNetworkConnections(pid, includeTree) {
+        return JSON.stringify(this._getNetworkConnectionsData(pid, includeTree));
+    }
+
+    /**
+     * Redacted getNetworkConnections payload
+     */
+    _getNetworkConnectionsData(pid, includeTree) {
+        if (!pid) {
+            pid = this._requireAppProcess(this._requireFocusedWindow());
+        }
+
+        let connections;
+        try {
+            connections = getNetworkConnections(includeTree ? collectProcessFamily(pid) : [pid]);
+        } catch (e) {
+            throw procReadError(e, pid, "network connections");
+        }
+
+        const counts = {};
+        const remoteAddresses = new Set();
+        for (const connection of connections) {
+            counts[connection.protocol] = (counts[connection.protocol] || 0) + 1;
+            if (connection.state === "ESTABLISHED" && connection.remoteAddress &&
+                !/^(127\.|::1$|::ffff:127\.)/.test(connection.remoteAddress)) {
+                remoteAddresses.add(connection.remoteAddress);
+            }
+        }
+
+        const payload = {
+            pid: pid,
+            includeTree: includeTree,
+            connections: connections,
+            counts: counts,
+            remoteAddresses: [...remoteAddresses].sort(),   // Established, without loopback
+            sandbox: this._getSandboxData(pid),
+            timestamp: Date.now()
+        };
+        return this._redactProcessPayload(payload, [pid]);
+    }
+
+    /**
+     * Most recently modified file a window's process holds open
+     * 
+     * Fallback for IDE and document windows whose title doesn't reveal the
+     * file. Application state (config, data and cache directories, logs,
+     * databases) is skipped; if extensions are given, only those count.
+     * 
+     * @param {Meta.Window} window - Window whose process to inspect
+     * @param {Array<string>} extensions - Lower-case extensions without dot
+     * @returns {string} Absolute path, or empty
+     */
+    _getWorkingSetFile(window, extensions = []) {
+        const pid = window.get_pid();
+        if (pid <= 0) return "";
+
+        const stateDirs = [GLib.get_user_config_dir(), GLib.get_user_data_dir(), GLib.get_user_cache_dir(),
+            GLib.get_tmp_dir()].map(dir => `${dir}/`);
+        const isUserFile = path => !stateDirs.some(dir => path.startsWith(dir)) &&
+            !/\.(log|db|sqlite3?|vscdb|ldb)(-journal|-wal|-shm)?$/i.test(path);
+
+        try {
+            const entry = getOpenFiles(pid).workingSet.find(file => isUserFile(file.path) &&
+                (extensions.length === 0 || extensions.includes(file.path.split(".").pop().toLowerCase())));
+            return entry ? entry.path : "";
+        } catch (e) {
+            // Other user's process or already gone
+            return "";
+        }
+    }
+
+    /**
+     * Redact a payload about a process
+     * 
+     * The payload is treated like one about the first window owned by one
+     * of the processes; without such a window only secrets are scrubbed.
+     * 
+     * @param {Object} payload - Payload built for the process
+     * @param {Array<number>} pids - The process, optionally followed by its ancestors
+     * @returns {Object} Redacted payload carrying `redactionApplied`
+     */
+    _redactProcessPayload(payload, pids) {
+        const window = this._findWindowForProcesses(pids);
+        if (window) {
+            return this._redactWindowPayload(payload, window);
+        }
+        return this._getRedactor().redact(payload, {appType: "unknown", suppressed: false, reason: null});
+    }
+
+    /**
+     * First managed window owned by one of the given processes
+     * 
+     * A sandboxed app's window also belongs to the application process
+     * under its bwrap launcher (see _requireAppProcess()).
+     * 
+     * @param {Array<number>} pids - Candidate PIDs, most specific first
+     * @returns {Meta.Window|null} Window or null
+     */
+    _findWindowForProcesses(pids) {
+        const owners = this._getManagedWindows().map(w => {
+            const pid = w.get_pid();
+            return {window: w, pids: pid > 0 ? [pid, resolveAppProcess(pid)] : []};
+        });
+        for (const pid of pids) {
+            const owner = owners.find(candidate => candidate.pids.includes(pid));
+            if (owner) return owner.window;
+        }
+        return null;
+    }
+
+    // ============================================================================
+    // PHASE 2: APPLICATION-SPECIFIC DEEP DATA METHODS
+    // ============================================================================
+    //
+    // The following methods provide specialized context extraction for different
+    // types of applications. They use intelligent detection to determine the
+    // application type and extract relevant information like URLs from browsers,
+    // project paths from IDEs, working directories from terminals, etc.
+    //
+    // These methods return JSON objects with rich contextual data. When the
+    // focused window is not the expected application type they fail with the
+    // NotApplicable D-Bus error (see dbusErrors.js).
+    // ============================================================================
+
+    /**
+     * Get Browser URL and Context
+     * ===========================
+     * 
+     * Reports the tab a browser window shows: live from the companion
+     * browser extension when it is connected (see browserBridge.js), else
+     * from the browser's session file (Firefox and Chromium families, see
+     * browserSessions.js) matched by title. Other browsers, and tabs the
+     * session file doesn't know yet, fall back to looking for a URL in the
+     * window title. `site` categorizes the page by its URL or title (see
+     * siteCategorizer.js).
+     * 
+     * @returns {string} JSON object with browser context
+     * @throws NoFocusedWindow, NotApplicable (not a browser)
+     */
+    getBrowserUrl() {
+        const focusedWindow = this._requireFocusedWindow();
+        
+        return this._jsonReply(this._redactWindowPayload(this._getBrowserUrlData(focusedWindow), focusedWindow));
+    }
+
+    /**
+     * Browser URL and context for a specific window (see getBrowserUrl)
+     * 
+     * @param {Meta.Window} window - Window to inspect
+     * @returns {Object} Browser context, or error object if not a browser
+     */
+    _getBrowserUrlData(window) {
+        const windowClass = window.get_wm_class() || "";
+        const windowTitle = window.get_title() || "";
+        
+        // Check if the window is a browser using the classifier registry
+        const isBrowser = this._detectAppType(window) === "browser";
+        
+        if (!isBrowser) {
+            return {
+                error: "Not a browser window",
+                windowClass: windowClass,
+                isBrowser: false
+            };
+        }
+
+        if (!this._isCategoryEnabled("browser")) {
+            return {
+                error: "Browser inspection disabled in preferences",
+                windowClass: windowClass,
+                isBrowser: true,
+                inspectionDisabled: true
+            };
+        }
+        
+        const live = this._getBrowserBridgeData(window);
+        if (live) {
+            return {
+                url: live.tab.url,
+                domain: getUrlDomain(live.tab.url),
+                title: windowTitle,
+                tabIndex: live.tabs.findIndex(tab => tab.id === live.tab.id),
+                tabCount: live.tabs.length,
+                activeTabId: live.tab.id,
+                incognito: live.tab.incognito,
+                audible: live.tab.audible,
+                muted: live.tab.muted,
+                site: this._categorizeSite(live.tab.url, live.tab.title),
+                browserType: windowClass,
+                browser: live.browser,
+                isBrowser: true,
+                extractionMethod: "native_messaging"
+            };
+        }
+        
+        const session = this._getBrowserSessionData(window);
+        if (session) {
+            return {
+                url: session.url,
+                domain: session.domain,
+                title: windowTitle,
+                tabIndex: session.tabIndex,
+                tabCount: session.tabCount,
+                site: this._categorizeSite(session.url, session.pageTitle),
+                browserType: windowClass,
+                browser: session.browser,
+                profile: session.profile,
+                isBrowser: true,
+                extractionMethod: "session_store"
+            };
+        }
+        
+        // Attempt to extract URL from window title using common browser title patterns
+        let url = "";
+        
+        // Strategy 1: Look for titles with " - " separator containing URLs
+        // Example: "Page Title - https://example.com - Browser Name"
+        if (windowTitle.includes(" - ") && (windowTitle.includes("http") || windowTitle.includes("www"))) {
+            const parts = windowTitle.split(" - ");
+            url = parts.find(part => part.includes("http") || part.includes("www")) || "";
+        } 
+        // Strategy 2: Look for protocol indicators directly in title
+        // Example: "https://example.com"
+        else if (windowTitle.includes("://")) {
+            const urlMatch = windowTitle.match(/(https?:\/\/[^\s]+)/);
+            url = urlMatch ? urlMatch[1] : "";
+        }
+        
+        // Title suffixes such as " - Gmail" only match without the browser name
+        const product = findBrowserProduct(windowClass, window.get_sandboxed_app_id());
+        const pageTitle = product ? stripBrowserName(windowTitle, product.titleNames) : windowTitle;
+        
+        return {
+            url: url,
+            domain: getUrlDomain(url),
+            title: windowTitle,
+            tabIndex: null,
+            tabCount: null,
+            site: this._categorizeSite(url, pageTitle),
+            browserType: windowClass,
+            isBrowser: true,
+            extractionMethod: url ? "window_title" : "title_parsing_failed"
+        };
+    }
+    
+    /**
+     * Get Browser Tab Information
+     * ===========================
+     * 
+     * Returns the tabs of the focused browser window, with the one the
+     * window shows marked active: live from the companion browser extension,
+     * or read from the browser's session file. Without either only the
+     * title is known.
+     * 
+     * @returns {string} JSON object with available tab information
+     * @throws NoFocusedWindow
+     */
+    getBrowserTabInfo() {
+        const focusedWindow = this._requireFocusedWindow();
+        
+        return this._jsonReply(this._redactWindowPayload(this._getBrowserTabInfoData(focusedWindow), focusedWindow));
+    }
+
+    /**
+     * Browser tab information for a specific window (see getBrowserTabInfo)
+     * 
+     * @param {Meta.Window} window - Window to inspect
+     * @returns {Object} Available tab information
+     */
+    _getBrowserTabInfoData(window) {
+        const windowClass = window.get_wm_class() || "";
+        const windowTitle = window.get_title() || "";
+        
+        const inspect = this._detectAppType(window) === "browser" && this._isCategoryEnabled("browser");
+        const live = inspect ? this._getBrowserBridgeData(window) : null;
+        const session = inspect && !live ? this._getBrowserSessionData(window) : null;
+        if (!live && !session) {
+            return {
+                title: windowTitle,
+                windowClass: windowClass,
+                timestamp: Date.now(),
+                note: "No tab of the companion browser extension or the browser's session file matches this window"
+            };
+        }
+        
+        // The redactor only sees the window title; other tabs are checked here
+        const redactor = this._getRedactor();
+        const suppressTab = tab => redactor.assess({appType: "browser", title: tab.title, incognito: tab.incognito})
+            .suppressed ? {...tab, title: "", url: "", suppressed: true} : tab;
+        
+        if (live) {
+            const tabs = live.tabs.map((tab, index) => suppressTab({
+                index: index,
+                id: tab.id,
+                title: tab.title,
+                url: tab.url,
+                active: tab.id === live.tab.id,
+                pinned: tab.pinned,
+                audible: tab.audible,
+                muted: tab.muted,
+                incognito: tab.incognito,
+                status: tab.status
+            }));
+            return {
+                title: windowTitle,
+                windowClass: windowClass,
+                url: live.tab.url,
+                domain: getUrlDomain(live.tab.url),
+                tabIndex: tabs.findIndex(tab => tab.active),
+                tabCount: tabs.length,
+                activeTabId: live.tab.id,
+                incognito: live.tab.incognito,
+                audible: live.tab.audible,
+                tabs: tabs,
+                browser: live.browser,
+                browserVersion: live.browserVersion,
+                browserWindowId: live.browserWindowId,
+                matchedBy: live.matchedBy,
+                lastEventAt: live.lastMessageAt,
+                extractionMethod: "native_messaging",
+                timestamp: Date.now()
+            };
+        }
+        
+        const tabs = session.tabs.map(suppressTab);
+        return {
+            title: windowTitle,
+            windowClass: windowClass,
+            url: session.url,
+            domain: session.domain,
+            tabIndex: session.tabIndex,
+            tabCount: session.tabCount,
+            tabs: tabs,
+            browser: session.browser,
+            profile: session.profile,
+            sessionFile: session.sessionFile,
+            sessionModified: session.sessionModified,
+            matchedBy: session.matchedBy,
+            extractionMethod: "session_store",
+            timestamp: Date.now()
+        };
+    }
+    
+    /**
+     * Tab of a Firefox- or Chromium-family window, from the session file
+     * 
+     * @param {Meta.Window} window - Browser window
+     * @returns {Object|null} See BrowserSessionReader.resolve(), null for other
+     *                        browsers or when no session tab matches the title
+     */
+    _getBrowserSessionData(window) {
+        const product = findBrowserProduct(window.get_wm_class(), window.get_sandboxed_app_id());
+        if (!product) return null;
+
+        if (!this._browserSessions) {
+            this._browserSessions = new BrowserSessionReader();
+        }
+        return this._browserSessions.resolve(product, window.get_title() || "");
+    }
+    
+    /**
+     * Category and site name of a browser page (see siteCategorizer.js)
+     * 
+     * @param {string} url - Page URL, or empty when unknown
+     * @param {string} pageTitle - Page title without the browser name
+     * @returns {Object} {category, name, ruleId, matchedOn}
+     */
+    _categorizeSite(url, pageTitle) {
+        if (!this._siteCategorizer) {
+            this._siteCategorizer = new SiteCategorizer();
+        }
+        return this._siteCategorizer.categorize({url: url, title: pageTitle});
+    }
+    
+    /**
+     * Live tab of a browser window from the companion browser extension
+     * 
+     * @param {Meta.Window} window - Browser window
+     * @returns {Object|null} See BrowserBridge.findWindow(), null while no
+     *                        connection of the window's browser is open
+     */
+    _getBrowserBridgeData(window) {
+        const pid = window.get_pid();
+        if (pid <= 0 || !this._browserBridge) return null;
+
+        return this._browserBridge.findWindow([pid, resolveAppProcess(pid)], window.get_title() || "");
+    }
+    
+    /**
+     * Report Browser Event
+     * ====================
+     * 
+     * Entry point of the native messaging host (nativeHost/): the companion
+     * browser extension's tab snapshots and tab/window events as JSON. See
+     * browserBridge.js for the message types. The connection is the calling
+     * process as the bus daemon reports it, so a caller can only speak for
+     * the browser that started it.
+     * 
+     * @param {string} message - JSON message
+     * @param {Object} caller - Resolved caller, added by _dispatchDBusCall
+     * @returns {string} JSON {accepted, connected, needsSnapshot}; the host
+     *                   passes it back to the companion
+     * @throws InvalidArgs (malformed message, hostPid of another process)
+     */
+    reportBrowserEvent(message, caller) {
+        if (!this._browserBridge) {
+            this._browserBridge = new BrowserBridge();
+        }
+
+        try {
+            return JSON.stringify(this._browserBridge.handleMessage(caller.pid, JSON.parse(message)));
+        } catch (e) {
+            throw new ActiveWindowDetailsError(DBusErrors.INVALID_ARGS, `Invalid browser event: ${e.message}`);
+        }
+    }
+    
+    /**
+     * Get IDE Project Information
+     * ==========================
+     * 
+     * Detects IDE/editor windows and extracts project context by examining
+     * the working directory. Useful for tracking which projects developers
+     * are working on and understanding development workflows.
+     * 
+     * @returns {string} JSON object with project info
+     * @throws NoFocusedWindow, NotApplicable (not an IDE)
+     */
+    getIdeProject() {
+        const focusedWindow = this._requireFocusedWindow();
+        
+        return this._jsonReply(this._redactWindowPayload(this._getIdeProjectData(focusedWindow), focusedWindow));
+    }
+
+    /**
+     * IDE project information for a specific window (see getIdeProject)
+     * 
+     * @param {Meta.Window} window - Window to inspect
+     * @returns {Object} Project info, or error object if not an IDE
+     */
+    _getIdeProjectData(window) {
+        const windowClass = window.get_wm_class() || "";
+        const windowTitle = window.get_title() || "";
+        // Flatpak IDEs report their bwrap launcher, whose cwd isn't the project
+        const pid = window.get_pid() > 0 ? resolveAppProcess(window.get_pid()) : window.get_pid();
+        
+        // Check if the window is an IDE or code editor using the classifier registry
+        const isIde = this._detectAppType(window) === "ide";
+        
+        if (!isIde) {
+            return {
+                error: "Not an IDE window",
+                windowClass: windowClass,
+                isIde: false
+            };
+        }
+
+        if (!this._isCategoryEnabled("ide")) {
+            return {
+                error: "IDE inspection disabled in preferences",
+                windowClass: windowClass,
+                isIde: true,
+                inspectionDisabled: true
+            };
+        }
+        
+        // Editors in a terminal: the project is the repository they run in
+        const terminalEditor = this._classifyWindowByRules(window).appType === "terminal" ?
+            this._getTerminalEditor(window) : null;
+        const editorGit = terminalEditor ?
+            findGitContext(terminalEditor.cwd) || findGitContext(terminalEditor.files[0]) : null;
+        const editorProjectPath = editorGit ? editorGit.root : terminalEditor ? terminalEditor.cwd : "";
+        // Without a repository or a readable cwd the generic lookup below takes over
+        if (editorProjectPath) {
+            return {
+                projectPath: editorProjectPath,
+                projectName: editorProjectPath.split('/').pop() || "",
+                projectSource: editorGit ? "git_repository" : "working_directory",
+                git: editorGit,
+                editor: terminalEditor.editor,
+                hostTerminal: terminalEditor.hostTerminal,
+                ideType: terminalEditor.editor,
+                windowTitle: windowTitle,
+                isIde: true
+            };
+        }
+
+        // VS Code-family editors name the open folder in the title; the
+        // editor's own storage files tell where it is
+        const vscode = this._getVSCodeTitleData(window);
+        if (vscode && vscode.workspace && vscode.workspace.path) {
+            const workspace = vscode.workspace;
+            const projectPath = workspace.kind === "workspace" ?
+                GLib.path_get_dirname(workspace.path) : workspace.path;
+            return {
+                projectPath: projectPath,
+                projectName: workspace.kind === "workspace" ? vscode.rootName : GLib.path_get_basename(projectPath),
+                projectSource: "vscode_storage",
+                workspace: workspace,
+                git: findGitContext(projectPath),
+                ideType: windowClass,
+                windowTitle: windowTitle,
+                isIde: true
+            };
+        }
+
+        // JetBrains IDEs name the project in the title and list its path
+        // among their recent projects
+        const jetbrains = this._getJetBrainsTitleData(window);
+        if (jetbrains && jetbrains.projectPath) {
+            return {
+                projectPath: jetbrains.projectPath,
+                projectName: jetbrains.projectName,
+                projectSource: jetbrains.projectSource === "recent_projects" ?
+                    "jetbrains_recent_projects" : "window_title",
+                product: jetbrains.product,
+                productVersion: jetbrains.version,
+                git: findGitContext(jetbrains.projectPath),
+                ideType: windowClass,
+                windowTitle: windowTitle,
+                isIde: true
+            };
+        }
+        
+        // Extract project information from the IDE's working directory
+        // Most IDEs set their working directory to the project root
+        let projectPath = "";
+        try {
+            const GLib = imports.gi.GLib;
+            const Gio = imports.gi.Gio;
+            
+            // Get the current working directory of the IDE process
+            const cwdFile = Gio.File.new_for_path(`/proc/${pid}/cwd`);
+            const info = cwdFile.query_info('standard::symlink-target', Gio.FileQueryInfoFlags.NONE, null);
+            projectPath = info.get_symlink_target() || "";
+        } catch (e) {
+            console.log(`Error reading IDE working directory for PID ${pid}: ${e}`);
+        }
+        
+        // Editors started from the desktop run in the home directory; the
+        // repository of the file being edited tells the project then
+        let git = projectPath && projectPath !== GLib.get_home_dir() ? findGitContext(projectPath) : null;
+        let projectSource = git ? "git_repository" : "working_directory";
+        if (!git) {
+            git = findGitContext(this._getWorkingSetFile(window));
+            if (git) projectSource = "open_files";
+        }
+        if (git) {
+            projectPath = git.root;
+        }
+        
+        // Extract the project name from the path (typically the last directory component)
+        let projectName = "";
+        if (projectPath) {
+            // Split path by '/' and get the last non-empty part
+            projectName = projectPath.split('/').pop() || "";
+        }
+        
+        return {
+            projectPath: projectPath,
+            projectName: projectName,
+            projectSource: projectSource,   // Where projectPath came from
+            workspace: vscode ? vscode.workspace : null,
+            git: git,
+            ideType: windowClass,
+            windowTitle: windowTitle,
+            isIde: true
+        };
+    }
+    
+    /**
+     * Get IDE Active File Information
+     * ==============================
+     * 
+     * Attempts to determine which file is currently active/open in an IDE
+     * by parsing the window title. Many IDEs include the filename in their
+     * window title when a file is open.
+     * 
+     * @returns {string} JSON object with active file info or extraction failure
+     * @throws NoFocusedWindow
+     */
+    getIdeActiveFile() {
+        const focusedWindow = this._requireFocusedWindow();
+        
+        return this._jsonReply(this._redactWindowPayload(this._getIdeActiveFileData(focusedWindow), focusedWindow));
+    }
+
+    /**
+     * IDE active file for a specific window (see getIdeActiveFile)
+     * 
+     * @param {Meta.Window} window - Window to inspect
+     * @returns {Object} Active file info or extraction failure
+     */
+    _getIdeActiveFileData(window) {
+        const windowClass = window.get_wm_class() || "";
+        const windowTitle = window.get_title() || "";
+        
+        // Editors in a terminal name their files on the command line
+        const terminalEditor = this._classifyWindowByRules(window).appType === "terminal" ?
+            this._getTerminalEditor(window) : null;
+        if (terminalEditor) {
+            const files = terminalEditor.files;
+            return {
+                activeFile: files.length > 0 ? GLib.path_get_basename(files[0]) : "",
+                filePath: files[0] || "",
+                files: files,                   // Every file argument, the first is shown first
+                isDirty: null,
+                workspacePath: terminalEditor.cwd,
+                editorProcess: {
+                    pid: terminalEditor.pid,
+                    name: terminalEditor.name,
+                    exe: terminalEditor.exe,
+                    cmdline: terminalEditor.cmdline,
+                    cwd: terminalEditor.cwd
+                },
+                hostTerminal: terminalEditor.hostTerminal,
+                windowTitle: windowTitle,
+                ideType: terminalEditor.editor,
+                extractionMethod: files.length > 0 ? "cmdline" : "no_file_argument"
+            };
+        }
+
+        // VS Code-family titles have a known layout, including files without
+        // an extension and the dirty marker
+        const vscode = this._getVSCodeTitleData(window);
+        if (vscode) {
+            return {
+                activeFile: vscode.activeFile,
+                filePath: vscode.filePath,
+                isDirty: vscode.dirty,      // Unsaved changes
+                workspacePath: vscode.workspace ? vscode.workspace.path || vscode.workspace.uri : "",
+                windowTitle: windowTitle,
+                ideType: windowClass,
+                extractionMethod: vscode.activeFile ? "window_title" : "no_active_editor"
+            };
+        }
+
+        const jetbrains = this._getJetBrainsTitleData(window);
+        if (jetbrains) {
+            return {
+                activeFile: jetbrains.activeFile,
+                filePath: jetbrains.filePath,
+                relativePath: jetbrains.relativePath,   // Relative to workspacePath
+                module: jetbrains.module,
+                isDirty: null,
+                workspacePath: jetbrains.projectPath,
+                windowTitle: windowTitle,
+                ideType: windowClass,
+                product: jetbrains.product,
+                extractionMethod: jetbrains.activeFile ? "window_title" : "no_active_editor"
+            };
+        }
+        
+        // Attempt to extract the active filename from the window title
+        // Many IDEs follow the pattern: "filename.ext - Project Name - IDE Name"
+        let activeFile = "";
+        
+        if (windowTitle.includes(" - ")) {
+            const parts = windowTitle.split(" - ");
+            const firstPart = parts[0];
+            
+            // Heuristic: if the first part contains a dot (for file extension),
+            // doesn't contain slashes (not a full path), and is reasonably short,
+            // it's likely a filename
+            if (firstPart.includes(".") && !firstPart.includes("/") && firstPart.length < 50) {
+                activeFile = firstPart;
+            }
+        }
+        
+        let extractionMethod = activeFile ? "window_title" : "title_parsing_failed";
+        if (!activeFile) {
+            // Editors that keep the file open reveal it through /proc/<pid>/fd
+            activeFile = this._getWorkingSetFile(window);
+            if (activeFile) extractionMethod = "open_files";
+        }
+        
+        return {
+            activeFile: activeFile,
+            filePath: activeFile.startsWith("/") ? activeFile : "",
+            isDirty: null,
+            workspacePath: "",
+            windowTitle: windowTitle,
+            ideType: windowClass,
+            extractionMethod: extractionMethod
+        };
+    }
+    
+    /**
+     * Parsed title of a VS Code-family window with its workspace resolved
+     * 
+     * @param {Meta.Window} window - IDE window
+     * @returns {Object|null} See VSCodeWorkspaceResolver.resolve(), null for other IDEs
+     */
+    _getVSCodeTitleData(window) {
+        const product = findVSCodeProduct(window.get_wm_class(), window.get_sandboxed_app_id());
+        if (!product) return null;
+
+        if (!this._vscodeWorkspaces) {
+            this._vscodeWorkspaces = new VSCodeWorkspaceResolver();
+        }
+        return this._vscodeWorkspaces.resolve(product, window.get_title() || "");
+    }
+    
+    /**
+     * Parsed title of a JetBrains IDE window with its project resolved
+     * 
+     * @param {Meta.Window} window - IDE window
+     * @returns {Object|null} See JetBrainsProjectResolver.resolve(), null for other IDEs
+     */
+    _getJetBrainsTitleData(window) {
+        const product = findJetBrainsProduct(window.get_wm_class(), window.get_sandboxed_app_id());
+        if (!product) return null;
+
+        if (!this._jetbrainsProjects) {
+            this._jetbrainsProjects = new JetBrainsProjectResolver();
+        }
+        return this._jetbrainsProjects.resolve(product, window.get_title() || "");
+    }
+    
+    /**
+     * Get Terminal Context Information
+     * ===============================
+     * 
+     * Detects terminal windows and provides context about the terminal session:
+     * the shell's working directory and the command running in the foreground
+     * (found through the terminal's foreground process group). When the
+     * terminal hosts several shells, the one shown in the focused tab is
+     * picked from the window title.
+     * 
+     * @returns {string} JSON object with terminal context
+     * @throws NoFocusedWindow, NotApplicable (not a terminal)
+     */
+    getTerminalCommand() {
+        const focusedWindow = this._requireFocusedWindow();
+        
+        return this._jsonReply(this._redactWindowPayload(this._getTerminalCommandData(focusedWindow), focusedWindow));
+    }
+
+    /**
+     * Terminal context for a specific window (see getTerminalCommand)
+     * 
+     * @param {Meta.Window} window - Window to inspect
+     * @returns {Object} Terminal context, or error object if not a terminal
+     */
+    _getTerminalCommandData(window) {
+        const windowClass = window.get_wm_class() || "";
+        const windowTitle = window.get_title() || "";
+        const pid = window.get_pid();
+        
+        // Check if the window is a terminal emulator using the classifier
+        // registry; terminals running an editor still count here
+        const isTerminal = this._classifyWindowByRules(window).appType === "terminal";
+        
+        if (!isTerminal) {
+            return {
+                error: "Not a terminal window",
+                windowClass: windowClass,
+                isTerminal: false
+            };
+        }
+
+        if (!this._isCategoryEnabled("terminal")) {
+            return {
+                error: "Terminal inspection disabled in preferences",
+                windowClass: windowClass,
+                isTerminal: true,
+                inspectionDisabled: true
+            };
+        }
+        
+        // The terminal's own working directory; for terminal servers such as
+        // gnome-terminal-server this is usually / or $HOME
+        const terminalDir = pid > 0 ? readProcessCwd(pid) : "";
+
+        // The shells under the terminal, each with its foreground job
+        const {sessions, session, matchedBy} = this._findTerminalSession(window);
+
+        if (!session) {
+            return {
+                workingDirectory: terminalDir,
+                terminalWorkingDirectory: terminalDir,
+                windowTitle: windowTitle,
+                terminalType: windowClass,
+                isTerminal: true,
+                sessionCount: 0,
+                note: "No shell found under the terminal process"
+            };
+        }
+
+        const foreground = session.foreground;
+        const workingDirectory = session.shell.cwd || terminalDir;   // The shell's real cwd
+        return {
+            workingDirectory: workingDirectory,
+            terminalWorkingDirectory: terminalDir,
+            git: findGitContext(workingDirectory),
+            windowTitle: windowTitle,
+            terminalType: windowClass,
+            isTerminal: true,
+            shell: {
+                pid: session.shell.pid,
+                name: session.shell.comm,
+                exe: session.shell.exe
+            },
+            atPrompt: session.atPrompt,
+            foregroundCommand: session.atPrompt ? "" : foreground.comm,
+            foregroundProcess: session.atPrompt ? null : {
+                pid: foreground.pid,
+                name: foreground.comm,
+                exe: foreground.exe,
+                cmdline: foreground.cmdline,
+                cwd: foreground.cwd,
+                startTime: foreground.startTime
+            },
+            sessionCount: sessions.length,
+            matchedBy: matchedBy    // How the session was picked among several tabs
+        };
+    }
+
+    /**
+     * Shell sessions of a terminal window and the one in its focused tab
+     * 
+     * @param {Meta.Window} window - Terminal window
+     * @returns {Object} {sessions, session, matchedBy}, see _matchTerminalSession()
+     */
+    _findTerminalSession(window) {
+        const pid = window.get_pid();
+        let sessions = [];
+        try {
+            sessions = pid > 0 ? getTerminalSessions(pid) : [];
+        } catch (e) {
+            console.log(`Error reading terminal sessions for PID ${pid}: ${e}`);
+        }
+        return {sessions, ...this._matchTerminalSession(sessions, window.get_title() || "")};
+    }
+
+    /**
+     * Text editor running in the focused tab of a terminal window
+     * 
+     * @param {Meta.Window} window - Window classified as terminal by the rules
+     * @returns {Object|null} See findTerminalEditor(), plus hostTerminal
+     *                        {windowClass, pid, shellPid, shell, matchedBy}
+     */
+    _getTerminalEditor(window) {
+        if (!this._isCategoryEnabled("ide") || !this._isCategoryEnabled("terminal")) return null;
+
+        const windowId = window.get_id();
+        const title = window.get_title() || "";
+        const now = Date.now();
+        if (!this._terminalEditorCache) {
+            this._terminalEditorCache = new Map();  // Window id -> {title, checkedAt, editor}
+        }
+        const cached = this._terminalEditorCache.get(windowId);
+        if (cached && cached.title === title && now - cached.checkedAt < TERMINAL_EDITOR_LIFETIME) {
+            return cached.editor;
+        }
+
+        let editor = null;
+        const {session, matchedBy} = this._findTerminalSession(window);
+        if (session && !session.atPrompt) {
+            const found = findTerminalEditor(session.foreground);
+            if (found) {
+                editor = {
+                    ...found,
+                    hostTerminal: {
+                        windowClass: window.get_wm_class() || "",
+                        pid: window.get_pid(),
+                        shellPid: session.shell.pid,
+                        shell: session.shell.comm,
+                        matchedBy: matchedBy
+                    }
+                };
+            }
+        }
+        // Expired entries go, including those of closed windows
+        for (const [id, entry] of this._terminalEditorCache) {
+            if (now - entry.checkedAt >= TERMINAL_EDITOR_LIFETIME) this._terminalEditorCache.delete(id);
+        }
+        this._terminalEditorCache.set(windowId, {title, checkedAt: now, editor});
+        return editor;
+    }
+
+    /**
+     * Pick the shell session shown in the focused terminal tab
+     * 
+     * Terminal servers run the shells of every window and tab, so the
+     * window title decides: most terminals show the running command or the
+     * current directory there. Without a hint, the most recently started
+     * foreground job wins.
+     * 
+     * @param {Array<Object>} sessions - From getTerminalSessions()
+     * @param {string} title - Window title
+     * @returns {Object} {session, matchedBy}: "only_session", "title" or "most_recent"
+     */
+    _matchTerminalSession(sessions, title) {
+        if (sessions.length === 0) return {session: null, matchedBy: null};
+        if (sessions.length === 1) return {session: sessions[0], matchedBy: "only_session"};
+
+        const home = GLib.get_home_dir();
+        const score = session => {
+            let points = 0;
+            const command = session.foreground.comm;
+            if (!session.atPrompt && command && title.includes(command)) points += 4;
+
+            const cwd = session.foreground.cwd || session.shell.cwd;
+            if (cwd) {
+                const shortCwd = cwd.startsWith(home) ? `~${cwd.slice(home.length)}` : cwd;
+                if (title.includes(cwd) || title.includes(shortCwd)) {
+                    points += 2;
+                } else if (title.includes(GLib.path_get_basename(cwd))) {
+                    points += 1;
+                }
+            }
+            return points;
+        };
+
+        const ranked = sessions
+            .map(session => ({session, points: score(session)}))
+            .sort((a, b) => b.points - a.points ||
+                (b.session.foreground.startTime || 0) - (a.session.foreground.startTime || 0));
+        return {
+            session: ranked[0].session,
+            matchedBy: ranked[0].points > 0 ? "title" : "most_recent"
+        };
+    }
+    
+    /**
+     * Get File Manager Current Path
+     * ============================
+     * 
+     * Detects file manager windows and attempts to determine the current
+     * directory being viewed. Useful for understanding file system navigation
+     * and file management activities.
+     * 
+     * @returns {string} JSON object with current path
+     * @throws NoFocusedWindow, NotApplicable (not a file manager)
+     */
+    getFileManagerPath() {
+        const focusedWindow = this._requireFocusedWindow();
+        
+        return this._jsonReply(this._redactWindowPayload(this._getFileManagerPathData(focusedWindow), focusedWindow));
+    }
+
+    /**
+     * File manager path for a specific window (see getFileManagerPath)
+     * 
+     * @param {Meta.Window} window - Window to inspect
+     * @returns {Object} Current path, or error object if not a file manager
+     */
+    _getFileManagerPathData(window) {
+        const windowClass = window.get_wm_class() || "";
+        const windowTitle = window.get_title() || "";
+        
+        // Check if the window is a file manager using the classifier registry
+        const isFileManager = this._detectAppType(window) === "file_manager";
+        
+        if (!isFileManager) {
+            return {
+                error: "Not a file manager window",
+                windowClass: windowClass,
+                isFileManager: false
+            };
+        }
+
+        if (!this._isCategoryEnabled("file_manager")) {
+            return {
+                error: "File manager inspection disabled in preferences",
+                windowClass: windowClass,
+                isFileManager: true,
+                inspectionDisabled: true
+            };
+        }
+        
+        // Attempt to extract the current directory path from the window title
+        // Different file managers format their titles differently
+        let currentPath = "";
+        
+        // Look for filesystem paths in the title (starting with /)
+        if (windowTitle.includes("/")) {
+            // Use regex to find path-like strings in the title
+            const pathMatch = windowTitle.match(/([\/][^\s]*)/);
+            currentPath = pathMatch ? pathMatch[1] : "";
+        }
+        
+        return {
+            currentPath: currentPath,
+            git: findGitContext(currentPath),
+            windowTitle: windowTitle,
+            fileManagerType: windowClass,
+            isFileManager: true,
+            extractionMethod: currentPath ? "window_title" : "title_parsing_failed"
+        };
+    }
+    
+    /**
+     * Get Document Path and Information
+     * ================================
+     * 
+     * Detects document viewer applications and attempts to extract the path
+     * of the currently open document. Useful for tracking document workflows
+     * and understanding what content users are viewing.
+     * 
+     * @returns {string} JSON object with document info
+     * @throws NoFocusedWindow, NotApplicable (not a document application)
+     */
+    getDocumentPath() {
+        const focusedWindow = this._requireFocusedWindow();
+        
+        return this._jsonReply(this._redactWindowPayload(this._getDocumentPathData(focusedWindow), focusedWindow));
+    }
+
+    /**
+     * Document information for a specific window (see getDocumentPath)
+     * 
+     * @param {Meta.Window} window - Window to inspect
+     * @returns {Object} Document info, or error object if not a document app
+     */
+    _getDocumentPathData(window) {
+        const windowClass = window.get_wm_class() || "";
+        const windowTitle = window.get_title() || "";
+        
+        // Check if the window is a document viewer or office application
+        // using the classifier registry
+        const isDocument = this._detectAppType(window) === "document";
+        
+        if (!isDocument) {
+            return {
+                error: "Not a document application",
+                windowClass: windowClass,
+                isDocument: false
+            };
+        }
+
+        if (!this._isCategoryEnabled("document")) {
+            return {
+                error: "Document inspection disabled in preferences",
+                windowClass: windowClass,
+                isDocument: true,
+                inspectionDisabled: true
+            };
+        }
+        
+        // Extract document path from the window title using multiple strategies
+        let documentPath = "";
+        
+        // Strategy 1: Look for full paths with file extensions
+        if (windowTitle.includes("/")) {
+            // Match paths that include file extensions (e.g., /path/to/file.pdf)
+            const pathMatch = windowTitle.match(/([\/][^\s]*\.[a-zA-Z0-9]+)/);
+            documentPath = pathMatch ? pathMatch[1] : "";
+        } 
+        // Strategy 2: Look for filename in titles with separators
+        else if (windowTitle.includes(" - ")) {
+            const parts = windowTitle.split(" - ");
+            const docPart = parts[0];
+            // If the first part contains a dot (file extension), it's likely a filename
+            if (docPart.includes(".")) {
+                documentPath = docPart;
+            }
+        }
+        
+        let extractionMethod = documentPath ? "window_title" : "title_parsing_failed";
+        if (!documentPath) {
+            // Office suites and viewers usually keep the document open
+            documentPath = this._getWorkingSetFile(window, DOCUMENT_EXTENSIONS);
+            if (documentPath) extractionMethod = "open_files";
+        }
+        
+        return {
+            documentPath: documentPath,
+            windowTitle: windowTitle,
+            documentType: windowClass,
+            isDocument: true,
+            extractionMethod: extractionMethod
+        };
+    }
+    
+    /**
+     * Get Unified Application Context
+     * ==============================
+     * 
+     * This is the "smart" method that automatically detects the type of application
+     * currently focused and returns appropriate context information. It acts as
+     * a unified interface to all the specialized detection methods.
+     * 
+     * This method is ideal for applications that want comprehensive context
+     * without needing to call multiple specific methods.
+     * 
+     * @returns {string} JSON object with app type, context, and metadata
+     * @throws NoFocusedWindow
+     */
+    getAppContext() {
+        const focusedWindow = this._requireFocusedWindow();
+        
+        return this._jsonReply(this._redactWindowPayload(this._getAppContextData(focusedWindow), focusedWindow));
+    }
+
+    /**
+     * Unified application context for a specific window (see getAppContext)
+     * 
+     * @param {Meta.Window} window - Window to inspect
+     * @returns {Object} App type, context, and metadata
+     */
+    _getAppContextData(window) {
+        const windowClass = window.get_wm_class() || "";
+        const windowTitle = window.get_title() || "";
+        const pid = window.get_pid();
+        
+        // Automatically determine the application type and extract relevant context
+        // This uses the same detection logic as the specialized methods
+        const classification = this._classifyWindow(window);
+        const appType = classification.appType;
+        let context = {};
+        
+        // Categories disabled in the preferences are classified but not inspected
+        switch (this._isCategoryEnabled(appType) ? appType : "") {
+        case "browser":
+            // Get browser-specific context from our specialized helper
+            context = this._getBrowserUrlData(window);
+            break;
+        case "ide":
+            // For IDEs, we want both project and active file information
+            context = {
+                project: this._getIdeProjectData(window),
+                activeFile: this._getIdeActiveFileData(window)
+            };
+            break;
+        case "terminal":
+            context = this._getTerminalCommandData(window);
+            break;
+        case "file_manager":
+            context = this._getFileManagerPathData(window);
+            break;
+        case "document":
+            context = this._getDocumentPathData(window);
+            break;
+        }
+        
+        // Return a comprehensive context object with all available information
+        return {
+            appType: appType,           // Detected application type
+            classification: {           // Which classifier rule decided the type
+                ruleId: classification.ruleId,
+                matchedOn: classification.matchedOn
+            },
+            windowId: window.get_id(),  // Stable window id (see listWindows)
+            windowClass: windowClass,   // Raw window class for reference
+            windowTitle: windowTitle,   // Raw window title for reference
+            pid: pid,                   // Process ID for correlation
+            context: context,           // Application-specific context data
+            activityState: this._getActivityState(), // "active", "idle" or "away"
+            timestamp: Date.now()       // When this context was captured
+        };
+    }
+
+    /**
+     * Detect Application Type
+     * =======================
+     * 
+     * Classifies a window through the classifier registry. Shared by every
+     * Phase 2 method, getAppContext, listWindows and the focus history so
+     * they all report the same appType.
+     * 
+     * @param {Meta.Window} window - Window to classify
+     * @returns {string} "browser", "ide", "terminal", "file_manager", "document" or "unknown"
+     */
+    _detectAppType(window) {
+        return this._classifyWindow(window).appType;
+    }
+
+    /**
+     * Classify a window, looking into terminals for text editors
+     * 
+     * A terminal whose focused shell runs Vim, Emacs -nw, Helix, ... is an
+     * IDE (ruleId "terminal-editor"). This needs both the ide and the
+     * terminal category, since it inspects the terminal's processes.
+     * 
+     * @param {Meta.Window} window - Window to classify
+     * @returns {Object} {appType, ruleId, matchedOn}
+     */
+    _classifyWindow(window) {
+        const classification = this._classifyWindowByRules(window);
+        if (classification.appType === "terminal" && this._getTerminalEditor(window)) {
+            return {appType: "ide", ruleId: "terminal-editor", matchedOn: "foregroundProcess"};
+        }
+        return classification;
+    }
+
+    /**
+     * Classify a window against the classifier registry
+     * 
+     * The executable name and command line are only read from /proc when a
+     * rule actually needs them.
+     * 
+     * @param {Meta.Window} window - Window to classify
+     * @returns {Object} {appType, ruleId, matchedOn}
+     */
+    _classifyWindowByRules(window) {
+        if (!this._classifier) {
+            this._classifier = new AppClassifier();
+        }
+
+        const pid = window.get_pid();
+        let executable, cmdline;
+        const readExecutable = () => {
+            if (executable === undefined) executable = pid > 0 ? this._getProcessNameSync(pid) : "";
+            return executable;
+        };
+        const readCmdline = () => {
+            if (cmdline === undefined) cmdline = pid > 0 ? this._getProcessCmdlineSync(pid) : "";
+            return cmdline;
+        };
+
+        return this._classifier.classify({
+            wmClass: window.get_wm_class() || "",
+            appId: window.get_gtk_application_id() || "",
+            sandboxedAppId: window.get_sandboxed_app_id() || "",
+            get executable() {
+                return readExecutable();
+            },
+            get cmdline() {
+                return readCmdline();
+            }
+        });
+    }
+
+    /**
+     * Load the user classifier rules and reload them whenever the file changes
+     */
+    _loadClassifierRules() {
+        this._classifier.loadUserRules(USER_RULES_PATH);
+        this._classifier.errors.forEach(error => console.log(`Classifier rules: ${error}`));
+    }
+
+    /**
+     * Load the user site rules and reload them whenever the file changes
+     */
+    _loadSiteRules() {
+        this._siteCategorizer.loadUserRules(USER_SITE_RULES_PATH);
+        this._siteCategorizer.errors.forEach(error => console.log(`Site rules: ${error}`));
+    }
+
+    // ============================================================================
+    // PHASE 3: COMPREHENSIVE DATA COLLECTION
+    // ============================================================================
+    //
+    // This phase provides a single unified method that combines all available
+    // window and process information from Phase 1 and Phase 2 into one
+    // comprehensive response. This is ideal for applications that want all
+    // available data in a single call for maximum efficiency.
+    // ============================================================================
+
+    /**
+     * Get All Window Data (Phase 3 - Comprehensive Collection)
+     * ========================================================
+     * 
+     * This is the ultimate method that combines all Phase 1 (core) and Phase 2
+     * (application-specific) data into a single comprehensive JSON response.
+     * 
+     * Perfect for:
+     * - Time tracking applications that need complete context
+     * - Productivity analysis tools requiring full window/process information
+     * - Workflow monitoring systems needing comprehensive data
+     * - Any application wanting all available data in one efficient call
+     * 
+     * @returns {string} Complete JSON object with all available window/process data
+     * @throws NoFocusedWindow
+     */
+    getAllWindowData() {
+        const focusedWindow = this._requireFocusedWindow(JSON.stringify({
+            error: "No focused window found",
+            timestamp: Date.now(),
+            dataAvailable: false,
+            debug: "Using same logic as getWinFocusData"
+        }));
+
+        return JSON.stringify(this._redactWindowPayload(this._collectWindowData(focusedWindow), focusedWindow));
+    }
+
+    /**
+     * Collect all Phase 1 + Phase 2 data for a specific window
+     * 
+     * Shared by getAllWindowData (focused window) and getWindowDetails
+     * (any window by id).
+     * 
+     * @param {Meta.Window} window - Window to inspect
+     * @returns {Object} Complete window/process data
+     */
+    _collectWindowData(window) {
+        const timestamp = Date.now();
+
+        // Each section is timed separately so slow /proc reads or context
+        // detection show up in the performance block
+        const startTime = GLib.get_monotonic_time();
+        let sectionStart = startTime;
+        const sectionTimings = {};
+        const endSection = (name) => {
+            const now = GLib.get_monotonic_time();
+            // Monotonic time is in microseconds, report milliseconds
+            sectionTimings[name] = (now - sectionStart) / 1000;
+            sectionStart = now;
+        };
+
+        // Core window information
+        const windowPid = window.get_pid();
+        const core = {
+            windowId: window.get_id(),
+            title: window.get_title() || "",
+            windowClass: window.get_wm_class() || "",
+            role: window.get_role() || "",
+            pid: windowPid
+        };
+        endSection("window");
+
+        // Process details from /proc, of the application rather than its
+        // sandbox launcher
+        const appPid = windowPid > 0 ? resolveAppProcess(windowPid) : windowPid;
+        core.processName = this._getProcessNameSync(appPid);
+        const process = {
+            pid: appPid,
+            name: core.processName,
+            path: this._getProcessPathSync(appPid),
+            cmdline: this._getProcessCmdlineSync(appPid),
+            cwd: this._getProcessCwdSync(appPid),
+            parentPid: this._getProcessParentSync(appPid),
+            sandbox: this._getSandboxData(appPid)
+        };
+        endSection("process");
+
+        // Window placement
+        const geometry = this._getWindowGeometrySync(window);
+        const workspace = this._getWindowWorkspaceSync(window);
+        endSection("geometry");
+
+        // Application-specific context (same detection as getAppContext)
+        let appContextData = {};
+        try {
+            appContextData = this._getAppContextData(window);
+        } catch (e) {
+            console.log(`Error collecting application context for PID ${windowPid}: ${e}`);
+        }
+        endSection("applicationContext");
+
+        const detectedType = appContextData.appType || "unknown";
+        const allData = {
+            timestamp: timestamp,
+            dataCollectionVersion: "1.1",
+            extensionInfo: {
+                name: this.metadata.name || "",
+                uuid: this.metadata.uuid || "",
+                version: String(this.metadata.version || "")
+            },
+            core: core,
+            process: process,
+            geometry: geometry,
+            workspace: workspace,
+            applicationContext: {
+                detectedType: detectedType,
+                specificData: appContextData.context || {},
+                extractionMethods: this._getExtractionMethodsSummary(appContextData)
+            },
+            dataQuality: {
+                coreDataComplete: this._validateCoreData(core),
+                applicationContextAvailable: detectedType !== "unknown"
+            },
+            performance: {
+                collectionDuration: (GLib.get_monotonic_time() - startTime) / 1000,
+                sections: sectionTimings
+            }
+        };
+
+        return allData;
+    }
+
+    // ============================================================================
+    // HELPER METHODS FOR PHASE 3
+    // ============================================================================
+
+    /**
+     * Synchronous wrapper for process name extraction
+     */
+    _getProcessNameSync(pid) {
+        try {
+            const GLib = imports.gi.GLib;
+            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/comm`);
+            if (success) {
+                return new TextDecoder().decode(contents).trim();
+            }
+        } catch (e) {
+            // Silent fail for comprehensive data collection
+        }
+        return "";
+    }
+
+    /**
+     * Synchronous wrapper for process path extraction
+     */
+    _getProcessPathSync(pid) {
+        try {
+            return this._readExecutablePath(pid);
+        } catch (e) {
+            // Silent fail for comprehensive data collection
+        }
+        return "";
+    }
+
+    /**
+     * Synchronous wrapper for process command line extraction
+     */
+    _getProcessCmdlineSync(pid) {
+        try {
+            const GLib = imports.gi.GLib;
+            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/cmdline`);
+            if (success) {
+                return new TextDecoder().decode(contents).replace(/\0/g, ' ').trim();
+            }
+        } catch (e) {
+            // Silent fail for comprehensive data collection
+        }
+        return "";
+    }
+
+    /**
+     * Synchronous wrapper for process working directory extraction
+     */
+    _getProcessCwdSync(pid) {
+        try {
+            const Gio = imports.gi.Gio;
+            const file = Gio.File.new_for_path(`/proc/${pid}/cwd`);
+            const info = file.query_info('standard::symlink-target', Gio.FileQueryInfoFlags.NONE, null);
+            return info.get_symlink_target() || "";
+        } catch (e) {
+            // Silent fail for comprehensive data collection
+        }
+        return "";
+    }
+
+    /**
+     * Synchronous wrapper for process parent PID extraction
+     */
+    _getProcessParentSync(pid) {
+        try {
+            return readProcStat(pid).ppid || 0;
+        } catch (e) {
+            // Silent fail for comprehensive data collection
+        }
+        return 0;
+    }
+
+    /**
+     * Synchronous wrapper for window geometry extraction
+     */
+    _getWindowGeometrySync(window) {
+        try {
+            const rect = window.get_frame_rect();
+            return {
+                x: rect.x,
+                y: rect.y,
+                width: rect.width,
+                height: rect.height
+            };
+        } catch (e) {
+            return { x: 0, y: 0, width: 0, height: 0 };
+        }
+    }
+
+    /**
+     * Synchronous wrapper for workspace information extraction
+     */
+    _getWindowWorkspaceSync(window) {
+        try {
+            const workspace = window.get_workspace();
+            if (workspace) {
+                return {
+                    index: workspace.index(),
+                    name: workspace.meta_workspace ? 
+                          workspace.meta_workspace.get_name() : 
+                          `Workspace ${workspace.index() + 1}`
+                };
+            }
+        } catch (e) {
+            // Silent fail for comprehensive data collection
+        }
+        return { index: 0, name: "Unknown" };
+    }
+
+    /**
+     * Analyze extraction methods used for application context
+     */
+    _getExtractionMethodsSummary(appContextData) {
+        const methods = [];
+        
+        if (appContextData.context) {
+            if (appContextData.context.extractionMethod) {
+                methods.push(appContextData.context.extractionMethod);
+            }
+            if (appContextData.context.project && appContextData.context.project.extractionMethod) {
+                methods.push(`project_${appContextData.context.project.extractionMethod}`);
+            }
+            if (appContextData.context.activeFile && appContextData.context.activeFile.extractionMethod) {
+                methods.push(`file_${appContextData.context.activeFile.extractionMethod}`);
             }
         }
         
+        return methods.length > 0 ? methods : ["basic_window_analysis"];
+    }
+
+    /**
+     * Validate that core data collection was successful
+     */
+    _validateCoreData(coreData) {
+        const requiredFields = ['title', 'windowClass', 'pid', 'processName'];
+        return requiredFields.every(field => 
+            coreData[field] !== undefined && 
+            coreData[field] !== "" && 
+            coreData[field] !== 0
+        );
+    }
+
+    // ============================================================================
+    // WINDOW ENUMERATION
+    // ============================================================================
+    //
+    // All other methods look at the focused window only. These methods list
+    // every managed window and let clients query any of them by its stable
+    // id (Meta.Window.get_id(), valid for the lifetime of the window).
+    // ============================================================================
+
+    /**
+     * List All Windows
+     * ================
+     * 
+     * Returns every managed window (override-redirect windows such as menus
+     * and tooltips are skipped) in stacking order, bottom-most first.
+     * 
+     * @returns {string} JSON object with {windows: [...], count, focusedWindowId}
+     */
+    listWindows() {
+        const focusedWindow = this._getFocusedWindow();
+        const entries = this._listWindowsData();
+        
         return JSON.stringify({
-            activeFile: activeFile,
-            windowTitle: windowTitle,
-            ideType: windowClass,
-            extractionMethod: activeFile ? "window_title" : "title_parsing_failed"
+            windows: entries,
+            count: entries.length,
+            focusedWindowId: focusedWindow ? focusedWindow.get_id() : null,
+            timestamp: Date.now()
         });
     }
-    
+
     /**
-     * Get Terminal Context Information
-     * ===============================
+     * Redacted listWindows entries, bottom-most window first
+     * 
+     * @returns {Array<Object>} One entry per managed window
+     */
+    _listWindowsData() {
+        const windows = global.display.sort_windows_by_stacking(this._getManagedWindows());
+        const focusedWindow = this._getFocusedWindow();
+        
+        return windows.map((window, index) =>
+            this._getWindowSummaryData(window, index, window === focusedWindow));
+    }
+
+    /**
+     * Redacted listWindows entry for a single window
+     * 
+     * @param {Meta.Window} window - Window to describe
+     * @param {number} stackingOrder - Position in the stack, 0 is the bottom
+     * @param {boolean} focused - Whether the window has focus
+     * @returns {Object} Window entry
+     */
+    _getWindowSummaryData(window, stackingOrder, focused) {
+        const windowClass = window.get_wm_class() || "";
+        return this._redactWindowPayload({
+            id: window.get_id(),
+            title: window.get_title() || "",
+            wmClass: windowClass,
+            pid: window.get_pid(),
+            geometry: this._getWindowGeometrySync(window),
+            workspace: this._getWindowWorkspaceSync(window),
+            monitor: window.get_monitor(),
+            ...this._getWindowStateSync(window),
+            focused: focused,
+            stackingOrder: stackingOrder,
+            appType: this._detectAppType(window)
+        }, window);
+    }
+
+    /**
+     * Get Window Details
+     * ==================
      * 
-     * Detects terminal windows and provides context about the terminal session,
-     * including the working directory. Useful for understanding command-line
-     * workflows and tracking development activities.
+     * Returns the same comprehensive payload as getAllWindowData, but for
+     * any window identified by the id reported by listWindows.
      * 
-     * @returns {string} JSON object with terminal context or error if not a terminal
+     * @param {number} windowId - Stable window id from listWindows
+     * @returns {string} JSON object with all window/process data
+     * @throws WindowNotFound
      */
-    getTerminalCommand() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    getWindowDetails(windowId) {
+        return JSON.stringify(this._getWindowDetailsData(windowId));
+    }
 
-        if (!focusedWindow) return "";
-        
-        const windowClass = focusedWindow.get_wm_class() || "";
-        const windowTitle = focusedWindow.get_title() || "";
-        const pid = focusedWindow.get_pid();
-        
-        // Check if the focused window is a terminal emulator
-        // This covers the most common terminal applications on Linux
-        const terminalClasses = ["gnome-terminal", "terminal", "konsole", "xterm", "alacritty", "terminator"];
-        const isTerminal = terminalClasses.some(term => 
-            windowClass.toLowerCase().includes(term)
-        );
+    /**
+     * Redacted getWindowDetails payload
+     * 
+     * @param {number} windowId - Stable window id from listWindows
+     * @returns {Object} All window/process data plus the window state
+     * @throws WindowNotFound
+     */
+    _getWindowDetailsData(windowId) {
+        const window = this._getWindowById(windowId);
         
-        if (!isTerminal) {
-            return JSON.stringify({
-                error: "Not a terminal window",
-                windowClass: windowClass,
-                isTerminal: false
-            });
+        if (!window) {
+            throw new ActiveWindowDetailsError(DBusErrors.WINDOW_NOT_FOUND, `No window with id ${windowId}`,
+                JSON.stringify({
+                    error: "Window not found",
+                    windowId: windowId,
+                    timestamp: Date.now(),
+                    dataAvailable: false
+                }));
         }
         
-        // Get the current working directory of the terminal process
-        // This shows where the user's shell session is currently located
-        let workingDir = "";
-        try {
-            const GLib = imports.gi.GLib;
-            const Gio = imports.gi.Gio;
-            
-            // Read the terminal's current working directory
-            const cwdFile = Gio.File.new_for_path(`/proc/${pid}/cwd`);
-            const info = cwdFile.query_info('standard::symlink-target', Gio.FileQueryInfoFlags.NONE, null);
-            workingDir = info.get_symlink_target() || "";
-        } catch (e) {
-            console.log(`Error reading terminal working directory for PID ${pid}: ${e}`);
+        const details = this._collectWindowData(window);
+        details.windowState = {
+            monitor: window.get_monitor(),
+            ...this._getWindowStateSync(window),
+            focused: window.has_focus()
+        };
+        return this._redactWindowPayload(details, window);
+    }
+
+    /**
+     * The focused window, for methods that need one
+     * 
+     * @param {string} legacyResult - Reply in compatibility mode (see dbusErrors.js)
+     * @returns {Meta.Window} Focused window
+     * @throws NoFocusedWindow
+     */
+    _requireFocusedWindow(legacyResult = "") {
+        const focusedWindow = this._getFocusedWindow();
+        if (!focusedWindow) {
+            throw new ActiveWindowDetailsError(DBusErrors.NO_FOCUSED_WINDOW, "No window has focus", legacyResult);
         }
-        
-        return JSON.stringify({
-            workingDirectory: workingDir,
-            windowTitle: windowTitle,
-            terminalType: windowClass,
-            isTerminal: true,
-            note: "Command history requires shell-specific integration"
-        });
+        return focusedWindow;
     }
-    
+
     /**
-     * Get File Manager Current Path
-     * ============================
+     * PID of a window's process, for methods that read /proc
      * 
-     * Detects file manager windows and attempts to determine the current
-     * directory being viewed. Useful for understanding file system navigation
-     * and file management activities.
+     * @throws ProcessGone when Mutter doesn't know the process
+     */
+    _requireProcess(window) {
+        const pid = window.get_pid();
+        if (pid <= 0) {
+            throw new ActiveWindowDetailsError(DBusErrors.PROCESS_GONE, "The window's process is unknown");
+        }
+        return pid;
+    }
+
+    /**
+     * PID of the process running a window's application
      * 
-     * @returns {string} JSON object with current path or error if not a file manager
+     * Same as _requireProcess(), except that windows of sandboxed apps
+     * reporting their bwrap launcher resolve to the application under it.
+     * 
+     * @param {Meta.Window} window - Window whose process to return
+     * @returns {number} PID
+     * @throws ProcessGone
      */
-    getFileManagerPath() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    _requireAppProcess(window) {
+        return resolveAppProcess(this._requireProcess(window));
+    }
 
-        if (!focusedWindow) return "";
-        
-        const windowClass = focusedWindow.get_wm_class() || "";
-        const windowTitle = focusedWindow.get_title() || "";
-        
-        // Check if the focused window is a file manager
-        // This covers popular file managers across different desktop environments
-        const fileManagerClasses = ["nautilus", "files", "dolphin", "thunar", "pcmanfm", "nemo"];
-        const isFileManager = fileManagerClasses.some(fm => 
-            windowClass.toLowerCase().includes(fm)
-        );
-        
-        if (!isFileManager) {
-            return JSON.stringify({
-                error: "Not a file manager window",
-                windowClass: windowClass,
-                isFileManager: false
-            });
-        }
-        
-        // Attempt to extract the current directory path from the window title
-        // Different file managers format their titles differently
-        let currentPath = "";
-        
-        // Look for filesystem paths in the title (starting with /)
-        if (windowTitle.includes("/")) {
-            // Use regex to find path-like strings in the title
-            const pathMatch = windowTitle.match(/([\/][^\s]*)/);
-            currentPath = pathMatch ? pathMatch[1] : "";
+    /**
+     * Sandbox section of process payloads
+     * 
+     * @param {number} pid - Process to inspect
+     * @returns {Object} {sandbox, appId, runtime, containerId, containerName, appPath, runtimePath}
+     */
+    _getSandboxData(pid) {
+        return (this._sandboxResolver || new SandboxResolver()).resolve(pid);
+    }
+
+    /**
+     * Executable path of a process as seen from the host
+     * 
+     * Sandboxed processes see their executable under /app or /usr; these
+     * are mapped to the directories Flatpak mounts there.
+     * 
+     * @param {number} pid - Process to inspect
+     * @returns {string} Absolute path
+     * @throws GLib.Error if /proc/<pid>/exe can't be read
+     */
+    _readExecutablePath(pid) {
+        // Deleted executables (after an update) keep running with this suffix
+        const path = GLib.file_read_link(`/proc/${pid}/exe`).replace(/ \(deleted\)$/, "");
+        return toHostPath(this._getSandboxData(pid), path);
+    }
+
+    /**
+     * Serialize a Phase 2 payload, turning its `error` field into NotApplicable
+     * 
+     * @param {Object} payload - Payload from a `_get...Data(window)` helper
+     * @returns {string} JSON reply
+     * @throws NotApplicable
+     */
+    _jsonReply(payload) {
+        if (payload.error) {
+            throw new ActiveWindowDetailsError(DBusErrors.NOT_APPLICABLE, payload.error, JSON.stringify(payload));
         }
-        
-        return JSON.stringify({
-            currentPath: currentPath,
-            windowTitle: windowTitle,
-            fileManagerType: windowClass,
-            isFileManager: true,
-            extractionMethod: currentPath ? "window_title" : "title_parsing_failed"
-        });
+        return JSON.stringify(payload);
     }
-    
+
     /**
-     * Get Document Path and Information
-     * ================================
+     * Find the currently focused window
      * 
-     * Detects document viewer applications and attempts to extract the path
-     * of the currently open document. Useful for tracking document workflows
-     * and understanding what content users are viewing.
+     * @returns {Meta.Window|null} Focused window or null
+     */
+    _getFocusedWindow() {
+        // Get all window actors (visual representations of windows)
+        // Map to their underlying meta_window objects and find the focused one
+        return global.get_window_actors()
+            .map(a => a.meta_window)
+            .find(w => w.has_focus()) || null;
+    }
+
+    /**
+     * Find a managed window by its stable id
      * 
-     * @returns {string} JSON object with document info or error if not a document app
+     * @param {number} windowId - Id as returned by Meta.Window.get_id()
+     * @returns {Meta.Window|null} Matching window or null
      */
-    getDocumentPath() {
-        const focusedWindow = global.get_window_actors()
+    _getWindowById(windowId) {
+        // D-Bus delivers the uint64 id as a number, compare loosely against get_id()
+        return this._getManagedWindows()
+            .find(w => String(w.get_id()) === String(windowId)) || null;
+    }
+
+    /**
+     * All windows managed by Mutter, without override-redirect windows
+     * 
+     * @returns {Array<Meta.Window>} Managed windows
+     */
+    _getManagedWindows() {
+        return global.get_window_actors()
             .map(a => a.meta_window)
-            .find(w => w.has_focus());
+            .filter(w => w && !w.is_override_redirect());
+    }
+
+    /**
+     * Synchronous wrapper for window state flags
+     */
+    _getWindowStateSync(window) {
+        const maximizeFlags = window.get_maximized();
+        return {
+            minimized: window.minimized,
+            maximized: maximizeFlags === Meta.MaximizeFlags.BOTH,
+            maximizedHorizontally: (maximizeFlags & Meta.MaximizeFlags.HORIZONTAL) !== 0,
+            maximizedVertically: (maximizeFlags & Meta.MaximizeFlags.VERTICAL) !== 0,
+            fullscreen: window.is_fullscreen()
+        };
+    }
 
-        if (!focusedWindow) return "";
+    // ============================================================================
+    // FOCUS HISTORY
+    // ============================================================================
+    //
+    // Every focus and title transition seen by the focus tracking handlers is
+    // kept in a bounded ring buffer, so clients that were restarted can still
+    // find out what the user was working on in the last minutes.
+    // ============================================================================
+
+    /**
+     * Get Focus History
+     * =================
+     * 
+     * Returns recorded focus/title transitions in chronological order. Each
+     * entry carries {timestamp, wmClass, title, pid, appType, duration, ongoing};
+     * the ongoing entry's duration is measured up to now.
+     * 
+     * @param {number} sinceMs - Only entries active at or after this timestamp (ms since epoch), 0 for all
+     * @param {number} limit - Maximum number of (most recent) entries, 0 for no limit
+     * @returns {string} JSON object with the matching entries
+     */
+    getFocusHistory(sinceMs, limit) {
+        if (!this._focusHistory) return "";
         
-        const windowClass = focusedWindow.get_wm_class() || "";
-        const windowTitle = focusedWindow.get_title() || "";
+        const entries = this._focusHistory.query(Number(sinceMs), limit);
+        return JSON.stringify({
+            entries: entries,
+            count: entries.length,
+            capacity: this._focusHistory.capacity,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Clear Focus History
+     * ===================
+     * 
+     * Removes every recorded transition. The currently focused window starts
+     * a fresh entry so the history keeps tracking from this point on.
+     * 
+     * @returns {string} JSON object with the number of removed entries
+     */
+    clearFocusHistory() {
+        if (!this._focusHistory) return "";
         
-        // Check if the focused window is a document viewer or office application
-        // This includes PDF viewers, office suites, and other document applications
-        const documentClasses = ["evince", "okular", "libreoffice", "writer", "calc", "impress", "draw", "math", "acroread", "xpdf"];
-        const isDocument = documentClasses.some(doc => 
-            windowClass.toLowerCase().includes(doc)
-        );
+        const cleared = this._focusHistory.size;
+        this._focusHistory.clear();
+        this._recordFocusTransition(this._trackedWindow, this._lastAppContext);
         
-        if (!isDocument) {
-            return JSON.stringify({
-                error: "Not a document application",
-                windowClass: windowClass,
-                isDocument: false
-            });
-        }
+        return JSON.stringify({
+            cleared: cleared,
+            timestamp: Date.now()
+        });
+    }
+
+    // ============================================================================
+    // ACTIVITY LOG
+    // ============================================================================
+    //
+    // When enabled, every completed focus session is appended to a daily
+    // JSON Lines file so time-analysis pipelines don't need their own
+    // polling daemon. Writing is batched; see activityLog.js.
+    // ============================================================================
+
+    /**
+     * Get Activity Log Status
+     * =======================
+     * 
+     * Returns whether logging is enabled, where the files live, retention
+     * and size settings, write counters and the daily files on disk.
+     * 
+     * @returns {string} JSON object with log status
+     */
+    getLogStatus() {
+        if (!this._activityLog) return "";
         
-        // Extract document path from the window title using multiple strategies
-        let documentPath = "";
+        return JSON.stringify({
+            ...this._activityLog.getStatus(),
+            // The ongoing session is written once focus moves elsewhere
+            currentSessionStart: this._currentSession ? this._currentSession.start : null,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Flush Activity Log
+     * ==================
+     * 
+     * Writes all queued sessions to disk immediately instead of waiting for
+     * the next periodic flush. The ongoing session is not included.
+     * 
+     * @returns {string} JSON object with {written, dropped, files}
+     */
+    flushLog() {
+        if (!this._activityLog) return "";
         
-        // Strategy 1: Look for full paths with file extensions
-        if (windowTitle.includes("/")) {
-            // Match paths that include file extensions (e.g., /path/to/file.pdf)
-            const pathMatch = windowTitle.match(/([\/][^\s]*\.[a-zA-Z0-9]+)/);
-            documentPath = pathMatch ? pathMatch[1] : "";
-        } 
-        // Strategy 2: Look for filename in titles with separators
-        else if (windowTitle.includes(" - ")) {
-            const parts = windowTitle.split(" - ");
-            const docPart = parts[0];
-            // If the first part contains a dot (file extension), it's likely a filename
-            if (docPart.includes(".")) {
-                documentPath = docPart;
-            }
-        }
+        return JSON.stringify({
+            ...this._activityLog.flush(),
+            enabled: this._activityLog.enabled,
+            timestamp: Date.now()
+        });
+    }
+
+    // ============================================================================
+    // IDLE DETECTION
+    // ============================================================================
+    //
+    // A focused window doesn't mean someone is looking at it. The Mutter idle
+    // monitor and the screen lock state tell whether time should count as
+    // active, idle or away; see idleTracker.js.
+    // ============================================================================
+
+    /**
+     * Get Idle State
+     * ==============
+     * 
+     * Returns the user's presence state: "active", "idle" (no input for at
+     * least the idle threshold) or "away" (screen locked), together with the
+     * current idle duration reported by Mutter.
+     * 
+     * @returns {string} JSON object with {state, idle, away, idleTime, stateSince, thresholdMs}
+     */
+    getIdleState() {
+        if (!this._idleTracker) return "";
         
         return JSON.stringify({
-            documentPath: documentPath,
-            windowTitle: windowTitle,
-            documentType: windowClass,
-            isDocument: true,
-            extractionMethod: documentPath ? "window_title" : "title_parsing_failed"
+            ...this._idleTracker.getState(),
+            timestamp: Date.now()
         });
     }
-    
+
+    // ============================================================================
+    // VERSION INFORMATION
+    // ============================================================================
+
     /**
-     * Get Unified Application Context
-     * ==============================
-     * 
-     * This is the "smart" method that automatically detects the type of application
-     * currently focused and returns appropriate context information. It acts as
-     * a unified interface to all the specialized detection methods.
+     * Get Extension Version
+     * ====================
      * 
-     * This method is ideal for applications that want comprehensive context
-     * without needing to call multiple specific methods.
+     * Returns the current version of the Active Window Details extension.
+     * This is useful for debugging, compatibility checks, and automated testing.
      * 
-     * @returns {string} JSON object with app type, context, and metadata
+     * @returns {string} JSON object with version information
      */
-    getAppContext() {
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    getVersion() {
+        // The Extension base class loads metadata.json for ESM extensions
+        const metadata = this.metadata;
 
-        if (!focusedWindow) return "";
-        
-        const windowClass = focusedWindow.get_wm_class() || "";
-        const windowTitle = focusedWindow.get_title() || "";
-        const pid = focusedWindow.get_pid();
-        
-        // Automatically determine the application type and extract relevant context
-        // This uses the same detection logic as the specialized methods
-        let appType = "unknown";
-        let context = {};
-        
-        // Detection chain: check for each application type in order of specificity
-        
-        // Browser detection - check for common browser window classes
-        const browserClasses = ["firefox", "chrome", "brave-browser", "chromium", "safari", "edge"];
-        if (browserClasses.some(browser => 
-            windowClass.toLowerCase().includes(browser) || 
-            windowClass.toLowerCase().includes(browser.replace("-", ""))
-        )) {
-            appType = "browser";
-            // Get browser-specific context by calling our specialized method
-            context = JSON.parse(this.getBrowserUrl());
-        }
-        // IDE detection - check for development environments and code editors
-        else if (["code", "cursor", "atom", "sublime", "intellij", "pycharm", "vscode", "vim", "emacs", "gedit"].some(ide => 
-            windowClass.toLowerCase().includes(ide)
-        )) {
-            appType = "ide";
-            // For IDEs, we want both project and active file information
-            context = {
-                project: JSON.parse(this.getIdeProject()),
-                activeFile: JSON.parse(this.getIdeActiveFile())
-            };
-        }
-        // Terminal detection - check for terminal emulators
-        else if (["gnome-terminal", "terminal", "konsole", "xterm", "alacritty", "terminator"].some(term => 
-            windowClass.toLowerCase().includes(term)
-        )) {
-            appType = "terminal";
-            context = JSON.parse(this.getTerminalCommand());
-        }
-        // File manager detection - check for file browsers
-        else if (["nautilus", "files", "dolphin", "thunar", "pcmanfm", "nemo"].some(fm => 
-            windowClass.toLowerCase().includes(fm)
-        )) {
-            appType = "file_manager";
-            context = JSON.parse(this.getFileManagerPath());
-        }
-        // Document viewer detection - check for document and office applications
-        else if (["evince", "okular", "libreoffice", "writer", "calc", "impress", "draw", "math", "acroread", "xpdf"].some(doc => 
-            windowClass.toLowerCase().includes(doc)
-        )) {
-            appType = "document";
-            context = JSON.parse(this.getDocumentPath());
-        }
-        
-        // Return a comprehensive context object with all available information
         return JSON.stringify({
-            appType: appType,           // Detected application type
-            windowClass: windowClass,   // Raw window class for reference
-            windowTitle: windowTitle,   // Raw window title for reference
-            pid: pid,                   // Process ID for correlation
-            context: context,           // Application-specific context data
-            timestamp: Date.now()       // When this context was captured
+            version: String(metadata.version || ""),
+            name: metadata.name || "",
+            uuid: metadata.uuid || "",
+            description: metadata.description || "",
+            shellVersions: metadata["shell-version"] || [],
+            url: metadata.url || "",
+            timestamp: Date.now()
         });
     }
 
     // ============================================================================
-    // PHASE 3: COMPREHENSIVE DATA COLLECTION
+    // TYPED INTERFACE (ActiveWindowDetails2)
     // ============================================================================
     //
-    // This phase provides a single unified method that combines all available
-    // window and process information from Phase 1 and Phase 2 into one
-    // comprehensive response. This is ideal for applications that want all
-    // available data in a single call for maximum efficiency.
+    // Handlers of DBUS_NODE_INTERFACE2. They reuse the payload builders of the
+    // string interface, including redaction, and convert the result with
+    // toVardict() (see variants.js) instead of JSON.stringify().
     // ============================================================================
 
     /**
-     * Get All Window Data (Phase 3 - Comprehensive Collection)
-     * ========================================================
-     * 
-     * This is the ultimate method that combines all Phase 1 (core) and Phase 2
-     * (application-specific) data into a single comprehensive JSON response.
-     * 
-     * Perfect for:
-     * - Time tracking applications that need complete context
-     * - Productivity analysis tools requiring full window/process information
-     * - Workflow monitoring systems needing comprehensive data
-     * - Any application wanting all available data in one efficient call
+     * Focused window as a listWindows entry
      * 
-     * @returns {string} Complete JSON object with all available window/process data
+     * @returns {Object} Window entry (id, title, wmClass, pid, geometry, state, appType)
+     * @throws NoFocusedWindow
      */
-    getAllWindowData() {
-        // Use exact same logic as getWinFocusData for consistency
-        const focusedWindow = global.get_window_actors()
-            .map(a => a.meta_window)
-            .find(w => w.has_focus());
+    GetFocusedWindow() {
+        this._requireFocusedWindow();
+        return toVardict(this._getFocusedWindowSummary());
+    }
 
-        const timestamp = Date.now();
+    /**
+     * Focused window position and size
+     * 
+     * @returns {Array<number>} [x, y, width, height]
+     * @throws NoFocusedWindow
+     */
+    GetGeometry() {
+        const geometry = this._getWindowGeometrySync(this._requireFocusedWindow());
+        return [geometry.x, geometry.y, geometry.width, geometry.height];
+    }
 
-        if (!focusedWindow) {
-            return JSON.stringify({
-                error: "No focused window found",
-                timestamp: timestamp,
-                dataAvailable: false,
-                debug: "Using same logic as getWinFocusData"
-            });
+    /**
+     * Process id of the focused window
+     * 
+     * @returns {number} PID
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied for suppressed windows
+     */
+    GetPid() {
+        const focusedWindow = this._requireFocusedWindow();
+        // A PID can't be left empty, so suppressed windows refuse it
+        if (this._assessWindow(focusedWindow).suppressed) {
+            throw new ActiveWindowDetailsError(DBusErrors.ACCESS_DENIED, "The focused window is suppressed");
         }
+        return this._requireProcess(focusedWindow);
+    }
 
-        // Get basic window info using same pattern as other methods
-        const windowTitle = focusedWindow.get_title() || "";
-        const windowClass = focusedWindow.get_wm_class() || "";
-        const windowPid = focusedWindow.get_pid();
+    /**
+     * Process details of the focused window
+     * 
+     * @returns {Object} {pid, name, path, cmdline, cwd, parentPid, sandbox}
+     * @throws NoFocusedWindow, ProcessGone
+     */
+    GetProcess() {
+        const focusedWindow = this._requireFocusedWindow();
+        const pid = this._requireAppProcess(focusedWindow);
 
-        const allData = {
-            timestamp: timestamp,
-            dataCollectionVersion: "1.0",
-            extensionInfo: {
-                name: "Active Window Details",
-                uuid: "active-window-details@imaginationguild.com",
-                version: "1.0.0"
-            },
-            core: {
-                title: windowTitle,
-                windowClass: windowClass,
-                pid: windowPid
-            },
-            applicationContext: {
-                detectedType: "unknown",
-                specificData: {}
-            },
-            performance: {
-                collectionDuration: Date.now() - timestamp
-            }
-        };
+        return toVardict(this._redactWindowPayload({
+            pid: pid,
+            name: this._getProcessNameSync(pid),
+            path: this._getProcessPathSync(pid),
+            cmdline: this._getProcessCmdlineSync(pid),
+            cwd: this._getProcessCwdSync(pid),
+            parentPid: this._getProcessParentSync(pid),
+            sandbox: this._getSandboxData(pid)
+        }, focusedWindow));
+    }
 
-        return JSON.stringify(allData);
+    /**
+     * Same payload as getProcessTree
+     * 
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
+     */
+    GetProcessTree(pid, depth) {
+        return toVardict(this._getProcessTreeData(pid, depth));
     }
 
-    // ============================================================================
-    // HELPER METHODS FOR PHASE 3
-    // ============================================================================
+    /**
+     * Same payload as getProcessResources
+     * 
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
+     */
+    GetProcessResources(pid, includeTree) {
+        return toVardict(this._getProcessResourcesData(pid, includeTree));
+    }
 
     /**
-     * Synchronous wrapper for process name extraction
+     * Same payload as getOpenFiles
+     * 
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
      */
-    _getProcessNameSync(pid) {
-        try {
-            const GLib = imports.gi.GLib;
-            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/comm`);
-            if (success) {
-                return new TextDecoder().decode(contents).trim();
-            }
-        } catch (e) {
-            // Silent fail for comprehensive data collection
-        }
-        return "";
+    GetOpenFiles(pid) {
+        return toVardict(this._getOpenFilesData(pid));
     }
 
     /**
-     * Synchronous wrapper for process path extraction
+     * Same payload as getNetworkConnections
+     * 
+     * @throws NoFocusedWindow, ProcessGone, AccessDenied
      */
-    _getProcessPathSync(pid) {
-        try {
-            const GLib = imports.gi.GLib;
-            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/exe`);
-            if (success) {
-                return new TextDecoder().decode(contents).trim();
-            }
-        } catch (e) {
-            try {
-                const Gio = imports.gi.Gio;
-                const file = Gio.File.new_for_path(`/proc/${pid}/exe`);
-                const info = file.query_info('standard::symlink-target', Gio.FileQueryInfoFlags.NONE, null);
-                return info.get_symlink_target() || "";
-            } catch (e2) {
-                // Silent fail for comprehensive data collection
-            }
-        }
-        return "";
+    GetNetworkConnections(pid, includeTree) {
+        return toVardict(this._getNetworkConnectionsData(pid, includeTree));
     }
 
     /**
-     * Synchronous wrapper for process command line extraction
+     * Same payload as getAppContext
+     * 
+     * @throws NoFocusedWindow
      */
-    _getProcessCmdlineSync(pid) {
-        try {
-            const GLib = imports.gi.GLib;
-            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/cmdline`);
-            if (success) {
-                return new TextDecoder().decode(contents).replace(/\0/g, ' ').trim();
-            }
-        } catch (e) {
-            // Silent fail for comprehensive data collection
-        }
-        return "";
+    GetAppContext() {
+        const focusedWindow = this._requireFocusedWindow();
+        return toVardict(this._redactWindowPayload(this._getAppContextData(focusedWindow), focusedWindow));
     }
 
     /**
-     * Synchronous wrapper for process working directory extraction
+     * Same payload as getAllWindowData
+     * 
+     * @throws NoFocusedWindow
      */
-    _getProcessCwdSync(pid) {
-        try {
-            const Gio = imports.gi.Gio;
-            const file = Gio.File.new_for_path(`/proc/${pid}/cwd`);
-            const info = file.query_info('standard::symlink-target', Gio.FileQueryInfoFlags.NONE, null);
-            return info.get_symlink_target() || "";
-        } catch (e) {
-            // Silent fail for comprehensive data collection
-        }
-        return "";
+    GetAllWindowData() {
+        const focusedWindow = this._requireFocusedWindow();
+        return toVardict(this._redactWindowPayload(this._collectWindowData(focusedWindow), focusedWindow));
     }
 
     /**
-     * Synchronous wrapper for process parent PID extraction
+     * The windows of listWindows, bottom-most first
      */
-    _getProcessParentSync(pid) {
-        try {
-            const GLib = imports.gi.GLib;
-            const [success, contents] = GLib.file_get_contents(`/proc/${pid}/stat`);
-            if (success) {
-                const stat = new TextDecoder().decode(contents);
-                const parts = stat.split(' ');
-                return parseInt(parts[3]) || 0;
-            }
-        } catch (e) {
-            // Silent fail for comprehensive data collection
-        }
-        return 0;
+    ListWindows() {
+        return this._listWindowsData().map(entry => toVardict(entry));
     }
 
     /**
-     * Synchronous wrapper for window geometry extraction
+     * Same payload as getWindowDetails
+     * 
+     * @throws WindowNotFound
      */
-    _getWindowGeometrySync(window) {
-        try {
-            const rect = window.get_frame_rect();
-            return {
-                x: rect.x,
-                y: rect.y,
-                width: rect.width,
-                height: rect.height
-            };
-        } catch (e) {
-            return { x: 0, y: 0, width: 0, height: 0 };
-        }
+    GetWindowDetails(windowId) {
+        return toVardict(this._getWindowDetailsData(windowId));
     }
 
     /**
-     * Synchronous wrapper for workspace information extraction
+     * The entries of getFocusHistory
      */
-    _getWindowWorkspaceSync(window) {
-        try {
-            const workspace = window.get_workspace();
-            if (workspace) {
-                return {
-                    index: workspace.index(),
-                    name: workspace.meta_workspace ? 
-                          workspace.meta_workspace.get_name() : 
-                          `Workspace ${workspace.index() + 1}`
-                };
-            }
-        } catch (e) {
-            // Silent fail for comprehensive data collection
-        }
-        return { index: 0, name: "Unknown" };
+    GetFocusHistory(sinceMs, limit) {
+        if (!this._focusHistory) return [];
+        return this._focusHistory.query(Number(sinceMs), limit).map(entry => toVardict(entry));
+    }
+
+    ClearFocusHistory() {
+        return toVardict(JSON.parse(this.clearFocusHistory() || "{}"));
+    }
+
+    GetLogStatus() {
+        return toVardict(JSON.parse(this.getLogStatus() || "{}"));
+    }
+
+    FlushLog() {
+        return toVardict(JSON.parse(this.flushLog() || "{}"));
+    }
+
+    GetIdleState() {
+        return toVardict(JSON.parse(this.getIdleState() || "{}"));
     }
 
     /**
-     * Analyze extraction methods used for application context
+     * Extension version from metadata.json
      */
-    _getExtractionMethodsSummary(appContextData) {
-        const methods = [];
-        
-        if (appContextData.context) {
-            if (appContextData.context.extractionMethod) {
-                methods.push(appContextData.context.extractionMethod);
-            }
-            if (appContextData.context.project && appContextData.context.project.extractionMethod) {
-                methods.push(`project_${appContextData.context.project.extractionMethod}`);
-            }
-            if (appContextData.context.activeFile && appContextData.context.activeFile.extractionMethod) {
-                methods.push(`file_${appContextData.context.activeFile.extractionMethod}`);
-            }
-        }
-        
-        return methods.length > 0 ? methods : ["basic_window_analysis"];
+    GetVersion() {
+        return toVardict({
+            version: String(this.metadata.version || ""),
+            name: this.metadata.name || "",
+            uuid: this.metadata.uuid || "",
+            shellVersions: this.metadata["shell-version"] || [],
+            shellVersion: Config.PACKAGE_VERSION,
+            interfaceVersion: 2
+        });
     }
 
     /**
-     * Validate that core data collection was successful
+     * listWindows entry of the focused window, {} when nothing has focus
      */
-    _validateCoreData(coreData) {
-        const requiredFields = ['title', 'windowClass', 'pid', 'processName'];
-        return requiredFields.every(field => 
-            coreData[field] !== undefined && 
-            coreData[field] !== "" && 
-            coreData[field] !== 0
-        );
+    _getFocusedWindowSummary() {
+        const focusedWindow = this._getFocusedWindow();
+        if (!focusedWindow) return {};
+
+        const windows = global.display.sort_windows_by_stacking(this._getManagedWindows());
+        return this._getWindowSummaryData(focusedWindow, windows.indexOf(focusedWindow), true);
     }
 
-    // ============================================================================
-    // VERSION INFORMATION
-    // ============================================================================
+    /**
+     * FocusedWindow property, empty while callers are restricted
+     */
+    _getFocusedWindowProperty() {
+        if (this._authorizer && this._authorizer.signalRecipients !== null) return {};
+        return toVardict(this._getFocusedWindowSummary());
+    }
 
     /**
-     * Get Extension Version
-     * ====================
-     * 
-     * Returns the current version of the Active Window Details extension.
-     * This is useful for debugging, compatibility checks, and automated testing.
-     * 
-     * @returns {string} JSON object with version information
+     * ActivityState property, empty while callers are restricted
      */
-    getVersion() {
-        // Read the version from metadata.json
-        try {
-            const Me = imports.misc.extensionUtils.getCurrentExtension();
-            const metadata = Me.metadata;
-            
-            return JSON.stringify({
-                version: metadata.version || "1.0.0",
-                name: metadata.name || "Active Window Details",
-                uuid: metadata.uuid || "active-window-details@imaginationguild.com",
-                description: metadata.description || "",
-                shellVersions: metadata["shell-version"] || ["45", "46", "47"],
-                url: metadata.url || "",
-                timestamp: Date.now()
-            });
-        } catch (e) {
-            // Fallback if metadata reading fails
-            return JSON.stringify({
-<<<<<<< Current (Your changes)
-                version: "0.0.0",
-=======
-                version: "1.0.0",
->>>>>>> Incoming (Background Agent changes)
-                name: "Active Window Details",
-                uuid: "active-window-details@imaginationguild.com",
-                error: "Could not read metadata",
-                timestamp: Date.now()
-            });
-        }
+    _getActivityStateProperty() {
+        if (this._authorizer && this._authorizer.signalRecipients !== null) return "";
+        return this._getActivityState();
     }
 }
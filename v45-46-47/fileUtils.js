@@ -0,0 +1,94 @@
+/* fileUtils.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Forgiving readers for files other applications own (git repositories,
+ * editor and browser profiles, /proc). They may be missing, half-written or
+ * unreadable at any time, so every reader returns an empty value instead
+ * of throwing.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+/**
+ * Contents of a text file
+ *
+ * @param {string} path - File to read
+ * @returns {string} Contents, empty when the file doesn't exist or can't be read
+ */
+export function readText(path) {
+    try {
+        const [, contents] = GLib.file_get_contents(path);
+        return new TextDecoder().decode(contents);
+    } catch (e) {
+        return "";
+    }
+}
+
+/**
+ * Parsed contents of a JSON file
+ *
+ * @param {string} path - File to read
+ * @returns {*} Parsed value, null when the file can't be read or parsed
+ */
+export function readJson(path) {
+    try {
+        const [, contents] = GLib.file_get_contents(path);
+        return JSON.parse(new TextDecoder().decode(contents));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Modification time of a file
+ *
+ * @param {string} path - File to check
+ * @returns {number} Unix time in ms, 0 when the file doesn't exist
+ */
+export function getModificationTime(path) {
+    try {
+        const info = Gio.File.new_for_path(path).query_info('time::modified', Gio.FileQueryInfoFlags.NONE, null);
+        return info.get_modification_date_time().to_unix() * 1000;
+    } catch (e) {
+        return 0;
+    }
+}
+
+/**
+ * Names in a directory
+ *
+ * @param {string} path - Directory to list
+ * @returns {Array<string>} Names in directory order, empty when it can't be listed
+ */
+export function listDirectory(path) {
+    const names = [];
+    try {
+        const dir = GLib.Dir.open(path, 0);
+        let name;
+        while ((name = dir.read_name()) !== null) {
+            names.push(name);
+        }
+        dir.close();
+    } catch (e) {
+        // Missing, not a directory or not readable
+    }
+    return names;
+}
@@ -0,0 +1,187 @@
+/* focusHistory.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Bounded in-memory history of focus and title transitions. Every time the
+ * focused window (or its title) changes, a new entry is opened and the
+ * previous one is closed with its final duration. Once the buffer is full
+ * the oldest entries are overwritten.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+/**
+ * Default number of transitions kept in memory
+ */
+export const DEFAULT_HISTORY_SIZE = 500;
+
+/**
+ * Focus History Ring Buffer
+ * =========================
+ *
+ * Stores focus transitions in a fixed-size circular array. Entries have the
+ * shape {timestamp, wmClass, title, pid, appType, activityState, idle, duration};
+ * the newest entry stays "ongoing" until the next transition closes it.
+ * Going idle or away is a transition too, so entries never mix active and
+ * idle time.
+ */
+export class FocusHistory {
+    /**
+     * @param {number} capacity - Maximum number of entries to keep
+     */
+    constructor(capacity = DEFAULT_HISTORY_SIZE) {
+        this._capacity = Math.max(1, capacity);
+        this.clear();
+    }
+
+    /**
+     * Maximum number of entries the buffer can hold
+     */
+    get capacity() {
+        return this._capacity;
+    }
+
+    /**
+     * Number of entries currently stored
+     */
+    get size() {
+        return this._count;
+    }
+
+    /**
+     * Record a new transition
+     *
+     * Closes the currently open entry (fixing its duration) and opens a new
+     * one. The oldest entry is dropped when the buffer is full.
+     *
+     * @param {Object} entry - {wmClass, title, pid, appType, activityState, redactionApplied}
+     * @param {number} timestamp - When the transition happened (ms since epoch)
+     * @returns {Object} The stored entry
+     */
+    record(entry, timestamp = Date.now()) {
+        this.close(timestamp);
+
+        const stored = {
+            timestamp: timestamp,
+            wmClass: entry.wmClass || "",
+            title: entry.title || "",
+            pid: entry.pid || 0,
+            appType: entry.appType || "unknown",
+            activityState: entry.activityState || "active",
+            idle: (entry.activityState || "active") !== "active",
+            redactionApplied: entry.redactionApplied === true,
+            duration: null
+        };
+
+        // Write at the slot after the newest entry, overwriting the oldest when full
+        const index = (this._start + this._count) % this._capacity;
+        this._entries[index] = stored;
+        if (this._count < this._capacity) {
+            this._count++;
+        } else {
+            this._start = (this._start + 1) % this._capacity;
+        }
+
+        return stored;
+    }
+
+    /**
+     * Close the currently open entry without opening a new one
+     *
+     * Used when focus moves to nothing (e.g. all windows closed).
+     *
+     * @param {number} timestamp - When the entry ended (ms since epoch)
+     */
+    close(timestamp = Date.now()) {
+        const newest = this._newest();
+        if (newest && newest.duration === null) {
+            newest.duration = Math.max(0, timestamp - newest.timestamp);
+        }
+    }
+
+    /**
+     * Query entries in chronological order
+     *
+     * @param {number} sinceMs - Only entries that were still active at or after
+     *                           this timestamp (ms since epoch); 0 for all
+     * @param {number} limit - Maximum number of entries, keeping the most
+     *                         recent ones; 0 for no limit
+     * @returns {Array<Object>} Copies of the matching entries
+     */
+    query(sinceMs = 0, limit = 0) {
+        const now = Date.now();
+        let entries = [];
+
+        for (let i = 0; i < this._count; i++) {
+            const entry = this._entries[(this._start + i) % this._capacity];
+            const ongoing = entry.duration === null;
+            const duration = ongoing ? now - entry.timestamp : entry.duration;
+
+            if (sinceMs > 0 && entry.timestamp + duration < sinceMs) continue;
+
+            entries.push({
+                ...entry,
+                duration: duration,
+                ongoing: ongoing
+            });
+        }
+
+        if (limit > 0 && entries.length > limit) {
+            entries = entries.slice(entries.length - limit);
+        }
+        return entries;
+    }
+
+    /**
+     * Change the capacity, keeping the most recent entries that still fit
+     *
+     * @param {number} capacity - New maximum number of entries
+     */
+    resize(capacity) {
+        capacity = Math.max(1, capacity);
+        if (capacity === this._capacity) return;
+
+        const kept = [];
+        for (let i = Math.max(0, this._count - capacity); i < this._count; i++) {
+            kept.push(this._entries[(this._start + i) % this._capacity]);
+        }
+
+        this._capacity = capacity;
+        this.clear();
+        kept.forEach((entry, i) => {
+            this._entries[i] = entry;
+        });
+        this._count = kept.length;
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this._entries = new Array(this._capacity);
+        this._start = 0;
+        this._count = 0;
+    }
+
+    /**
+     * Most recently recorded entry, or null when empty
+     */
+    _newest() {
+        if (this._count === 0) return null;
+        return this._entries[(this._start + this._count - 1) % this._capacity];
+    }
+}
@@ -0,0 +1,224 @@
+/* gitContext.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Finds the git repository a path belongs to and describes its state by
+ * reading the repository files directly, without running git:
+ *
+ *   {root: "/home/user/src/app", branch: "main", detached: false,
+ *    commit: "3f9c...", remotes: [{name: "origin", url: "git@github.com:user/app.git"}],
+ *    operation: null, ...}
+ *
+ * Linked worktrees (.git file pointing to <repo>/.git/worktrees/<name>) and
+ * submodules (.git file pointing to <superproject>/.git/modules/<name>) are
+ * followed to the directory that holds the shared refs and config.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {readText} from './fileUtils.js';
+
+/**
+ * Directory levels walked up from the given path
+ */
+const MAX_SEARCH_DEPTH = 64;
+
+/**
+ * Files git leaves in the git directory while an operation is in progress,
+ * checked in order
+ */
+const OPERATION_MARKERS = [
+    {file: "rebase-merge", operation: "rebase"},
+    {file: "rebase-apply/applying", operation: "am"},
+    {file: "rebase-apply", operation: "rebase"},
+    {file: "MERGE_HEAD", operation: "merge"},
+    {file: "CHERRY_PICK_HEAD", operation: "cherry-pick"},
+    {file: "REVERT_HEAD", operation: "revert"},
+    {file: "BISECT_LOG", operation: "bisect"}
+];
+
+/**
+ * Git context of a path
+ *
+ * @param {string} path - Absolute path of a file or directory
+ * @returns {Object|null} {root, gitDir, worktree, submodule, superproject,
+ *                        branch, detached, commit, upstream, remotes, operation},
+ *                        null if the path isn't inside a repository
+ */
+export function findGitContext(path) {
+    if (!path || !GLib.path_is_absolute(path)) return null;
+
+    const repository = findRepository(path);
+    if (!repository) return null;
+
+    const {root, gitDir} = repository;
+    const commonDir = readCommonDir(gitDir);
+    const config = parseGitConfig(readText(GLib.build_filenamev([commonDir, "config"])));
+    const operation = OPERATION_MARKERS.find(marker =>
+        GLib.file_test(GLib.build_filenamev([gitDir, marker.file]), GLib.FileTest.EXISTS));
+
+    // HEAD is "ref: refs/heads/<branch>" or, when detached, a commit id
+    const head = readText(GLib.build_filenamev([gitDir, "HEAD"])).trim();
+    let branch = head.startsWith("ref: refs/heads/") ? head.slice("ref: refs/heads/".length) : null;
+    const detached = !head.startsWith("ref: ");
+    if (detached && operation && operation.operation === "rebase") {
+        // HEAD is detached while rebasing; the branch being rebased is noted aside
+        const headName = readText(GLib.build_filenamev([gitDir, operation.file, "head-name"])).trim() ||
+            readText(GLib.build_filenamev([gitDir, "rebase-apply", "head-name"])).trim();
+        if (headName.startsWith("refs/heads/")) branch = headName.slice("refs/heads/".length);
+    }
+
+    const commit = detached ? (/^[0-9a-f]{40,64}$/.test(head) ? head : null) :
+        resolveRef(commonDir, head.slice("ref: ".length));
+
+    const branchConfig = branch ? config[`branch.${branch}`] : null;
+    const upstream = branchConfig && branchConfig.remote && branchConfig.merge ?
+        `${branchConfig.remote}/${branchConfig.merge.replace(/^refs\/heads\//, "")}` : null;
+
+    const remotes = Object.keys(config)
+        .filter(section => section.startsWith("remote."))
+        .map(section => ({
+            name: section.slice("remote.".length),
+            url: config[section].url || "",
+            ...(config[section].pushurl ? {pushUrl: config[section].pushurl} : {})
+        }));
+
+    const modulesIndex = gitDir.lastIndexOf("/.git/modules/");
+    return {
+        root: root,
+        name: GLib.path_get_basename(root),
+        gitDir: gitDir,
+        worktree: commonDir !== gitDir,     // Linked worktree (git worktree add)
+        submodule: modulesIndex >= 0,
+        superproject: modulesIndex >= 0 ? gitDir.slice(0, modulesIndex) : null,
+        branch: branch,
+        detached: detached,
+        commit: commit,
+        upstream: upstream,
+        remotes: remotes,
+        operation: operation ? operation.operation : null
+    };
+}
+
+/**
+ * Walk up from a path to the first directory with a .git entry
+ *
+ * @returns {Object|null} {root, gitDir}
+ */
+function findRepository(path) {
+    let dir = GLib.file_test(path, GLib.FileTest.IS_DIR) ? path : GLib.path_get_dirname(path);
+    dir = GLib.canonicalize_filename(dir, null);
+
+    for (let level = 0; level < MAX_SEARCH_DEPTH; level++) {
+        const dotGit = GLib.build_filenamev([dir, ".git"]);
+        if (GLib.file_test(dotGit, GLib.FileTest.IS_DIR)) {
+            return {root: dir, gitDir: dotGit};
+        }
+        if (GLib.file_test(dotGit, GLib.FileTest.IS_REGULAR)) {
+            // Worktrees and submodules: "gitdir: <path>", relative to the .git file
+            const match = readText(dotGit).match(/^gitdir:\s*(.+?)\s*$/m);
+            if (match) {
+                return {root: dir, gitDir: GLib.canonicalize_filename(match[1], dir)};
+            }
+        }
+
+        const parent = GLib.path_get_dirname(dir);
+        if (parent === dir) break;
+        dir = parent;
+    }
+    return null;
+}
+
+/**
+ * Directory with the refs and config shared by all worktrees
+ */
+function readCommonDir(gitDir) {
+    const commonDir = readText(GLib.build_filenamev([gitDir, "commondir"])).trim();
+    return commonDir ? GLib.canonicalize_filename(commonDir, gitDir) : gitDir;
+}
+
+/**
+ * Commit a ref points to, from its loose file or packed-refs
+ *
+ * @returns {string|null} Commit id, null for unborn branches and reftable repositories
+ */
+function resolveRef(commonDir, ref) {
+    const loose = readText(GLib.build_filenamev([commonDir, ref])).trim();
+    if (/^[0-9a-f]{40,64}$/.test(loose)) return loose;
+
+    for (const line of readText(GLib.build_filenamev([commonDir, "packed-refs"])).split("\n")) {
+        const [id, name] = line.trim().split(" ");
+        if (name === ref && /^[0-9a-f]{40,64}$/.test(id)) return id;
+    }
+    return null;
+}
+
+/**
+ * Parse a git config file into {"<section>.<subsection>": {key: value}}
+ *
+ * Section and key names are lower-cased as git treats them
+ * case-insensitively; subsection names (remote and branch names) are kept.
+ * Includes are not followed.
+ */
+function parseGitConfig(text) {
+    const sections = {};
+    let current = null;
+    for (const rawLine of text.split("\n")) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith("#") || line.startsWith(";")) continue;
+
+        const header = line.match(/^\[\s*([A-Za-z0-9.-]+)(?:\s+"((?:[^"\\]|\\.)*)")?\s*\]/);
+        if (header) {
+            const name = header[1].toLowerCase();
+            const key = header[2] !== undefined ? `${name}.${header[2].replace(/\\(.)/g, "$1")}` : name;
+            current = sections[key] = sections[key] || {};
+            continue;
+        }
+
+        const entry = line.match(/^([A-Za-z][A-Za-z0-9-]*)\s*(?:=\s*(.*))?$/);
+        if (entry && current) {
+            current[entry[1].toLowerCase()] = parseConfigValue(entry[2]);
+        }
+    }
+    return sections;
+}
+
+/**
+ * Strip quotes, escapes and trailing comments from a config value
+ */
+function parseConfigValue(raw) {
+    if (raw === undefined) return "true";   // "key" alone means true
+
+    let value = "";
+    let quoted = false;
+    for (let i = 0; i < raw.length; i++) {
+        const c = raw[i];
+        if (c === '"') {
+            quoted = !quoted;
+        } else if (c === "\\" && i + 1 < raw.length) {
+            const next = raw[++i];
+            value += {n: "\n", t: "\t", b: "\b"}[next] || next;
+        } else if (!quoted && (c === "#" || c === ";")) {
+            break;
+        } else {
+            value += c;
+        }
+    }
+    return value.trim();
+}
@@ -0,0 +1,165 @@
+/* idleTracker.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Follows the user's presence through the Mutter core idle monitor and the
+ * shell's session mode. The tracker is in one of three states:
+ *
+ * - "active": The user interacted within the idle threshold
+ * - "idle":   No input for at least the idle threshold
+ * - "away":   The screen is locked (always wins over active/idle)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+/**
+ * Default number of seconds without input before the user counts as idle
+ */
+export const DEFAULT_IDLE_THRESHOLD = 300;
+
+/**
+ * Idle and Away Tracker
+ * =====================
+ *
+ * Calls onStateChanged(state, since) whenever the state changes. `since` is
+ * when the new state actually began: for idle this is the time of the last
+ * input, not the moment the threshold was crossed.
+ */
+export class IdleTracker {
+    /**
+     * @param {number} thresholdSeconds - Seconds without input before going idle
+     * @param {Function} onStateChanged - Callback receiving (state, since)
+     */
+    constructor(thresholdSeconds, onStateChanged) {
+        this._thresholdMs = Math.max(1, thresholdSeconds) * 1000;
+        this._onStateChanged = onStateChanged;
+        this._monitor = null;
+        this._idleWatchId = 0;
+        this._activeWatchId = 0;
+        this._sessionModeUpdatedId = 0;
+        this._state = "active";
+        this._stateSince = Date.now();
+    }
+
+    /**
+     * Current state: "active", "idle" or "away"
+     */
+    get state() {
+        return this._state;
+    }
+
+    /**
+     * Install the idle watch and start following screen lock changes
+     */
+    start() {
+        if (this._monitor) return;
+
+        this._monitor = global.backend.get_core_idle_monitor();
+        this._idleWatchId = this._monitor.add_idle_watch(this._thresholdMs, () => this._onIdle());
+        this._sessionModeUpdatedId = Main.sessionMode.connect('updated', () => this._syncLocked());
+
+        // Start out in the right state if we are enabled while idle or locked
+        if (this._monitor.get_idletime() >= this._thresholdMs) {
+            this._onIdle();
+        }
+        this._syncLocked();
+    }
+
+    /**
+     * Remove all watches and disconnect from the session mode
+     */
+    stop() {
+        if (this._sessionModeUpdatedId) {
+            Main.sessionMode.disconnect(this._sessionModeUpdatedId);
+            this._sessionModeUpdatedId = 0;
+        }
+        if (this._monitor) {
+            if (this._idleWatchId) this._monitor.remove_watch(this._idleWatchId);
+            if (this._activeWatchId) this._monitor.remove_watch(this._activeWatchId);
+            this._idleWatchId = 0;
+            this._activeWatchId = 0;
+            this._monitor = null;
+        }
+    }
+
+    /**
+     * Describe the current presence state
+     *
+     * @returns {Object} {state, idle, away, idleTime, stateSince, thresholdMs}
+     */
+    getState() {
+        return {
+            state: this._state,
+            idle: this._state !== "active",
+            away: this._state === "away",
+            idleTime: this._monitor ? this._monitor.get_idletime() : 0,
+            stateSince: this._stateSince,
+            thresholdMs: this._thresholdMs
+        };
+    }
+
+    /**
+     * The idle threshold was crossed
+     */
+    _onIdle() {
+        // The user-active watch fires once, on the next input event
+        if (!this._activeWatchId) {
+            this._activeWatchId = this._monitor.add_user_active_watch(() => this._onActive());
+        }
+        if (this._state === "away") return;
+
+        this._setState("idle", Date.now() - this._monitor.get_idletime());
+    }
+
+    /**
+     * Input arrived after having been idle
+     */
+    _onActive() {
+        this._activeWatchId = 0;
+        if (this._state === "away") return;
+
+        this._setState("active", Date.now());
+    }
+
+    /**
+     * Enter or leave the away state following the screen lock
+     */
+    _syncLocked() {
+        const locked = Main.sessionMode.isLocked;
+
+        if (locked && this._state !== "away") {
+            this._setState("away", Date.now());
+        } else if (!locked && this._state === "away") {
+            // Unlocking requires input, but fall back to idle if the monitor disagrees
+            const idle = this._monitor.get_idletime() >= this._thresholdMs;
+            if (idle && !this._activeWatchId) {
+                this._activeWatchId = this._monitor.add_user_active_watch(() => this._onActive());
+            }
+            this._setState(idle ? "idle" : "active", Date.now());
+        }
+    }
+
+    _setState(state, since) {
+        if (state === this._state) return;
+
+        this._state = state;
+        this._stateSince = since;
+        this._onStateChanged(state, since);
+    }
+}
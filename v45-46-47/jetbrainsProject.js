@@ -0,0 +1,330 @@
+/* jetbrainsProject.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Project context of JetBrains IDE windows (IntelliJ IDEA, PyCharm,
+ * WebStorm, GoLand, CLion, Rider, RustRover, DataGrip, ...). Their titles
+ * name the project and the active file:
+ *
+ *   "shop – src/main/kotlin/Cart.kt"                            (new UI)
+ *   "shop [~/src/shop] – …/kotlin/Cart.kt [shop.main] – IntelliJ IDEA"   (classic UI)
+ *
+ * and every product keeps its recently opened projects, with absolute
+ * paths, in ~/.config/JetBrains/<Product><Version>/options/recentProjects.xml
+ * (~/.var/app/<app id>/config/JetBrains for Flatpak installs).
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {getModificationTime, listDirectory, readText} from './fileUtils.js';
+
+/**
+ * JetBrains products
+ *
+ * wmClass and sandboxedAppId identify the windows, configPrefix is the
+ * configuration directory name before the version ("PyCharmCE2024.1") and
+ * vendor the directory holding it under ~/.config.
+ */
+export const JETBRAINS_PRODUCTS = [
+    {wmClass: "jetbrains-idea", sandboxedAppId: "com.jetbrains.IntelliJ-IDEA-Ultimate",
+        name: "IntelliJ IDEA Ultimate", titleName: "IntelliJ IDEA", configPrefix: "IntelliJIdea", vendor: "JetBrains"},
+    {wmClass: "jetbrains-idea-ce", sandboxedAppId: "com.jetbrains.IntelliJ-IDEA-Community",
+        name: "IntelliJ IDEA Community Edition", titleName: "IntelliJ IDEA", configPrefix: "IdeaIC", vendor: "JetBrains"},
+    {wmClass: "jetbrains-pycharm", sandboxedAppId: "com.jetbrains.PyCharm-Professional",
+        name: "PyCharm Professional", titleName: "PyCharm", configPrefix: "PyCharm", vendor: "JetBrains"},
+    {wmClass: "jetbrains-pycharm-ce", sandboxedAppId: "com.jetbrains.PyCharm-Community",
+        name: "PyCharm Community Edition", titleName: "PyCharm", configPrefix: "PyCharmCE", vendor: "JetBrains"},
+    {wmClass: "jetbrains-webstorm", sandboxedAppId: "com.jetbrains.WebStorm",
+        name: "WebStorm", titleName: "WebStorm", configPrefix: "WebStorm", vendor: "JetBrains"},
+    {wmClass: "jetbrains-goland", sandboxedAppId: "com.jetbrains.GoLand",
+        name: "GoLand", titleName: "GoLand", configPrefix: "GoLand", vendor: "JetBrains"},
+    {wmClass: "jetbrains-clion", sandboxedAppId: "com.jetbrains.CLion",
+        name: "CLion", titleName: "CLion", configPrefix: "CLion", vendor: "JetBrains"},
+    {wmClass: "jetbrains-rider", sandboxedAppId: "com.jetbrains.Rider",
+        name: "Rider", titleName: "Rider", configPrefix: "Rider", vendor: "JetBrains"},
+    {wmClass: "jetbrains-rustrover", sandboxedAppId: "com.jetbrains.RustRover",
+        name: "RustRover", titleName: "RustRover", configPrefix: "RustRover", vendor: "JetBrains"},
+    {wmClass: "jetbrains-datagrip", sandboxedAppId: "com.jetbrains.DataGrip",
+        name: "DataGrip", titleName: "DataGrip", configPrefix: "DataGrip", vendor: "JetBrains"},
+    {wmClass: "jetbrains-phpstorm", sandboxedAppId: "com.jetbrains.PhpStorm",
+        name: "PhpStorm", titleName: "PhpStorm", configPrefix: "PhpStorm", vendor: "JetBrains"},
+    {wmClass: "jetbrains-rubymine", sandboxedAppId: "com.jetbrains.RubyMine",
+        name: "RubyMine", titleName: "RubyMine", configPrefix: "RubyMine", vendor: "JetBrains"},
+    {wmClass: "jetbrains-studio", sandboxedAppId: "com.google.AndroidStudio",
+        name: "Android Studio", titleName: "Android Studio", configPrefix: "AndroidStudio", vendor: "Google"}
+];
+
+/**
+ * How long a parsed recentProjects.xml is reused before its modification
+ * time is checked again
+ */
+const RECENT_PROJECTS_LIFETIME = 10 * 1000;
+
+/**
+ * Title separators: an en dash since 2020, a plain hyphen before
+ */
+const TITLE_SEPARATOR = /\s+[–—]\s+/;
+const LEGACY_TITLE_SEPARATOR = /\s+-\s+/;
+
+/**
+ * Shortened path prefix in titles ("…/kotlin/Cart.kt")
+ */
+const ELLIPSIS_PREFIX = /^(…|\.\.\.)\//;
+
+/**
+ * JetBrains Project Resolver
+ * ==========================
+ *
+ * Parsed recentProjects.xml files are kept until they change on disk.
+ */
+export class JetBrainsProjectResolver {
+    constructor() {
+        this._recentProjects = new Map();   // path -> {modified, checkedAt, projects}
+    }
+
+    /**
+     * Project and active file of a JetBrains window
+     *
+     * @param {Object} product - From findJetBrainsProduct()
+     * @param {string} title - Window title
+     * @param {number} now - Current time in ms
+     * @returns {Object} {product, version, configDir, projectName, projectPath, projectSource,
+     *                   activeFile, relativePath, filePath, module}
+     */
+    resolve(product, title, now = Date.now()) {
+        const parsed = parseJetBrainsTitle(title, product.titleName);
+        const config = findConfigDir(product);
+        const projects = config ? this._readRecentProjects(config.path, now) : [];
+
+        let projectPath = parsed.projectPathHint;
+        let projectSource = projectPath ? "window_title" : null;
+        if (!projectPath) {
+            const project = matchProject(projects, title, parsed.projectName);
+            if (project) {
+                projectPath = project.path;
+                projectSource = "recent_projects";
+            }
+        }
+
+        // The title shows the path relative to the project root, shortened
+        // with "…/" when long, or only the file name
+        const shortened = ELLIPSIS_PREFIX.test(parsed.file);
+        let relativePath = shortened ? "" : parsed.file;
+        let filePath = "";
+        if (projectPath && relativePath) {
+            const candidate = GLib.build_filenamev([projectPath, relativePath]);
+            if (GLib.file_test(candidate, GLib.FileTest.IS_REGULAR)) filePath = candidate;
+        }
+        if (!filePath && !relativePath.includes("/")) {
+            relativePath = "";  // A bare file name may live anywhere in the project
+        }
+
+        return {
+            product: product.name,
+            version: config ? config.version : null,
+            configDir: config ? config.path : null,
+            projectName: parsed.projectName,
+            projectPath: projectPath || "",
+            projectSource: projectSource,   // "window_title", "recent_projects" or null
+            activeFile: parsed.file ? GLib.path_get_basename(parsed.file) : "",
+            relativePath: relativePath,     // Relative to projectPath, empty when unknown
+            filePath: filePath,
+            module: parsed.module
+        };
+    }
+
+    /**
+     * Projects of a configuration directory, parsed once per change
+     */
+    _readRecentProjects(configDir, now) {
+        const path = GLib.build_filenamev([configDir, "options", "recentProjects.xml"]);
+        let cached = this._recentProjects.get(path);
+        if (cached && now - cached.checkedAt < RECENT_PROJECTS_LIFETIME) return cached.projects;
+
+        const modified = getModificationTime(path);
+        if (!cached || cached.modified !== modified) {
+            cached = {modified, projects: parseRecentProjects(readText(path))};
+            this._recentProjects.set(path, cached);
+        }
+        cached.checkedAt = now;
+        return cached.projects;
+    }
+}
+
+/**
+ * JetBrains product of a window
+ *
+ * Unknown jetbrains-* classes (new products, Gateway) get a generic entry
+ * without configuration directory lookup.
+ *
+ * @param {string} wmClass - Window class
+ * @param {string} sandboxedAppId - Flatpak app id, or empty
+ * @returns {Object|null} Entry of JETBRAINS_PRODUCTS, null for other windows
+ */
+export function findJetBrainsProduct(wmClass, sandboxedAppId) {
+    const windowClass = (wmClass || "").toLowerCase();
+    const product = JETBRAINS_PRODUCTS.find(candidate =>
+        candidate.wmClass === windowClass || candidate.sandboxedAppId === sandboxedAppId);
+    if (product) return product;
+
+    if (!windowClass.startsWith("jetbrains-")) return null;
+    const name = windowClass.slice("jetbrains-".length);
+    return {wmClass: windowClass, sandboxedAppId: null, name: name, titleName: name, configPrefix: null, vendor: null};
+}
+
+/**
+ * Split a JetBrains window title into project and file
+ *
+ * @param {string} title - Window title
+ * @param {string} titleName - Product name that may end the title
+ * @returns {Object} {projectName, projectPathHint, file, module}
+ */
+export function parseJetBrainsTitle(title, titleName) {
+    const text = (title || "").trim();
+    let segments = text.split(TITLE_SEPARATOR);
+    if (segments.length === 1) segments = text.split(LEGACY_TITLE_SEPARATOR);
+
+    // "IntelliJ IDEA", "PyCharm 2024.1", ... at the end (classic UI)
+    if (segments.length > 1 && segments[segments.length - 1].toLowerCase().startsWith(titleName.toLowerCase())) {
+        segments.pop();
+    }
+
+    // "shop [~/src/shop]": the classic UI adds the path when names are ambiguous
+    const project = (segments[0] || "").match(/^(.*?)(?:\s+\[(.+)\])?$/);
+    let projectPathHint = project[2] || "";
+    if (projectPathHint.startsWith("~/")) {
+        projectPathHint = GLib.build_filenamev([GLib.get_home_dir(), projectPathHint.slice(2)]);
+    }
+    if (!GLib.path_is_absolute(projectPathHint)) projectPathHint = "";
+
+    // "…/kotlin/Cart.kt [shop.main]": the module the file belongs to
+    const file = (segments.slice(1).join(" – ")).match(/^(.*?)(?:\s+\[([^\]]+)\])?$/);
+
+    return {
+        projectName: project[1],
+        projectPathHint: projectPathHint,
+        file: file[1],
+        module: file[2] || null
+    };
+}
+
+/**
+ * Newest configuration directory of a product
+ *
+ * With several versions installed, the one whose recentProjects.xml
+ * changed last is the one in use.
+ *
+ * @returns {Object|null} {path, version}
+ */
+function findConfigDir(product) {
+    if (!product.configPrefix) return null;
+
+    const bases = [GLib.get_user_config_dir()];
+    if (product.sandboxedAppId) {
+        bases.unshift(GLib.build_filenamev([GLib.get_home_dir(), ".var", "app", product.sandboxedAppId, "config"]));
+    }
+
+    const pattern = new RegExp(`^${product.configPrefix}(\\d{4}\\.\\d+)$`);
+    const candidates = [];
+    for (const base of bases) {
+        const vendorDir = GLib.build_filenamev([base, product.vendor]);
+        for (const name of listDirectory(vendorDir)) {
+            const match = name.match(pattern);
+            if (!match) continue;
+
+            const path = GLib.build_filenamev([vendorDir, name]);
+            candidates.push({
+                path: path,
+                version: match[1],
+                used: getModificationTime(GLib.build_filenamev([path, "options", "recentProjects.xml"]))
+            });
+        }
+    }
+
+    candidates.sort((a, b) => b.used - a.used || compareVersions(b.version, a.version));
+    return candidates.length > 0 ? {path: candidates[0].path, version: candidates[0].version} : null;
+}
+
+/**
+ * Projects listed in recentProjects.xml
+ *
+ * @param {string} xml - File contents
+ * @returns {Array<Object>} {path, name, frameTitle, opened, activated}, most recently activated first
+ */
+export function parseRecentProjects(xml) {
+    const home = GLib.get_home_dir();
+    const projects = [];
+    const entryPattern = /<entry key="([^"]*)">([\s\S]*?)<\/entry>/g;
+    let entry;
+    while ((entry = entryPattern.exec(xml)) !== null) {
+        const info = entry[2].match(/<RecentProjectMetaInfo\b([^>]*)>/);
+        if (!info) continue;
+
+        const path = decodeXml(entry[1]).replace("$USER_HOME$", home);
+        const attribute = name => {
+            const match = info[1].match(new RegExp(`\\b${name}="([^"]*)"`));
+            return match ? decodeXml(match[1]) : null;
+        };
+        const option = name => {
+            const match = entry[2].match(new RegExp(`<option name="${name}" value="(\\d+)"`));
+            return match ? Number(match[1]) : 0;
+        };
+
+        projects.push({
+            path: path,
+            name: readProjectName(path),
+            frameTitle: attribute("frameTitle"),
+            opened: attribute("opened") === "true",
+            activated: option("activationTimestamp") || option("projectOpenTimestamp")
+        });
+    }
+    return projects.sort((a, b) => b.activated - a.activated);
+}
+
+/**
+ * Name a project is shown with: .idea/.name if the user renamed it, else
+ * the directory name
+ */
+function readProjectName(path) {
+    const name = readText(GLib.build_filenamev([path, ".idea", ".name"])).trim();
+    return name || GLib.path_get_basename(path);
+}
+
+/**
+ * Project a window shows: same frame title, else same name (open projects first)
+ */
+function matchProject(projects, title, projectName) {
+    const byTitle = projects.find(project => project.frameTitle && project.frameTitle === title);
+    if (byTitle) return byTitle;
+
+    const named = projects.filter(project => project.name === projectName);
+    return named.find(project => project.opened) || named[0] || null;
+}
+
+function compareVersions(a, b) {
+    const [aMajor, aMinor] = a.split(".").map(Number);
+    const [bMajor, bMinor] = b.split(".").map(Number);
+    return aMajor - bMajor || aMinor - bMinor;
+}
+
+function decodeXml(text) {
+    return text.replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">").replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, "&");
+}
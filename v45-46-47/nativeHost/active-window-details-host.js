@@ -0,0 +1,145 @@
+#!/usr/bin/env -S gjs -m
+/* active-window-details-host.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Native messaging host of the companion browser extension. The browser
+ * starts it when the companion calls runtime.connectNative() and talks to it
+ * over stdin/stdout: every message is a 32-bit length in native byte order
+ * followed by that much UTF-8 JSON. Each message is forwarded to the
+ * extension's reportBrowserEvent method, which ties the tabs to the browser
+ * process that started this host (the bus daemon tells it our PID); the
+ * reply is passed back to the companion. When the companion disconnects, the browser
+ * closes stdin and the host says goodbye before it exits.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+// GLib 2.80 moved the Unix streams to GioUnix
+let GioUnix = null;
+try {
+    GioUnix = (await import('gi://GioUnix')).default;
+} catch (e) {
+    // Older GLib, Gio still has them
+}
+const UnixInputStream = GioUnix ? GioUnix.InputStream : Gio.UnixInputStream;
+const UnixOutputStream = GioUnix ? GioUnix.OutputStream : Gio.UnixOutputStream;
+
+const DBUS_NAME = "org.gnome.Shell";
+const DBUS_OBJECT_PATH = "/org/gnome/Shell/Extensions/ActiveWindowDetails";
+const DBUS_INTERFACE_NAME = "org.gnome.Shell.Extensions.ActiveWindowDetails";
+
+/**
+ * Largest message accepted from the browser. The protocol allows 4 GB; tab
+ * snapshots stay far below this.
+ */
+const MAX_MESSAGE_SIZE = 8 * 1024 * 1024;
+
+const input = new UnixInputStream({fd: 0, close_fd: false});
+const output = new UnixOutputStream({fd: 1, close_fd: false});
+
+/**
+ * Read exactly count bytes
+ *
+ * @returns {Uint8Array|null} null at the end of the stream
+ */
+function readExactly(count) {
+    const data = new Uint8Array(count);
+    let offset = 0;
+    while (offset < count) {
+        const bytes = input.read_bytes(count - offset, null);
+        if (bytes.get_size() === 0) return null;
+        data.set(bytes.toArray(), offset);
+        offset += bytes.get_size();
+    }
+    return data;
+}
+
+/**
+ * Next message from the browser
+ *
+ * @returns {Object|null} Parsed message, null when the browser closed stdin
+ */
+function readMessage() {
+    const header = readExactly(4);
+    if (!header) return null;
+
+    // Native byte order, little-endian on every platform GNOME Shell runs on
+    const size = new DataView(header.buffer).getUint32(0, true);
+    if (size > MAX_MESSAGE_SIZE) throw new Error(`Message of ${size} bytes is too large`);
+
+    const body = readExactly(size);
+    if (!body) return null;
+    return JSON.parse(new TextDecoder().decode(body));
+}
+
+/**
+ * Send a message to the browser
+ */
+function writeMessage(message) {
+    const body = new TextEncoder().encode(JSON.stringify(message));
+    const header = new Uint8Array(4);
+    new DataView(header.buffer).setUint32(0, body.length, true);
+    output.write_all(header, null);
+    output.write_all(body, null);
+    output.flush(null);
+}
+
+/**
+ * Forward a message to the extension
+ *
+ * @returns {Object} Reply of reportBrowserEvent
+ * @throws GLib.Error when the extension isn't running or refuses the call
+ */
+function forward(message) {
+    const reply = Gio.DBus.session.call_sync(DBUS_NAME, DBUS_OBJECT_PATH, DBUS_INTERFACE_NAME,
+        'reportBrowserEvent', new GLib.Variant('(s)', [JSON.stringify(message)]),
+        new GLib.VariantType('(s)'), Gio.DBusCallFlags.NONE, -1, null);
+    const [json] = reply.deepUnpack();
+    // Legacy error replies are empty
+    return json ? JSON.parse(json) : {accepted: false, connected: false, needsSnapshot: false};
+}
+
+for (;;) {
+    let message;
+    try {
+        message = readMessage();
+    } catch (e) {
+        // A broken stream can't be resynchronized
+        printerr(`active-window-details-host: ${e.message}`);
+        break;
+    }
+    if (!message) break;
+
+    let reply;
+    try {
+        reply = {type: "reply", ...forward(message)};
+    } catch (e) {
+        // Extension disabled, shell restarting or access denied; the companion retries later
+        reply = {type: "error", message: e.message};
+    }
+    writeMessage(reply);
+}
+
+try {
+    forward({type: "disconnect"});
+} catch (e) {
+    // The extension forgets the connection once this process is gone anyway
+}
@@ -0,0 +1,345 @@
+/* prefs.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Preferences window. Every row is bound to a key of the
+ * org.gnome.shell.extensions.active-window-details schema; the extension
+ * listens for changes and applies them without being disabled/enabled.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Adw from 'gi://Adw';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Gtk from 'gi://Gtk';
+
+import {ExtensionPreferences} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+import {ACCESS_LEVELS, ACCESS_LEVEL_DESCRIPTIONS} from './callerAuthorizer.js';
+
+/**
+ * Application categories that can be inspected, in display order
+ */
+const CATEGORIES = [
+    {id: "browser", title: "Browsers", subtitle: "Page URLs and titles"},
+    {id: "ide", title: "IDEs and Editors", subtitle: "Project paths and active files"},
+    {id: "terminal", title: "Terminals", subtitle: "Working directories"},
+    {id: "file_manager", title: "File Managers", subtitle: "Current folder"},
+    {id: "document", title: "Document Viewers", subtitle: "Open document paths"},
+];
+
+export default class ActiveWindowDetailsPreferences extends ExtensionPreferences {
+    /**
+     * Build the preferences pages
+     *
+     * @param {Adw.PreferencesWindow} window - Window provided by the shell
+     */
+    fillPreferencesWindow(window) {
+        const settings = this.getSettings();
+
+        window.add(this._buildTrackingPage(settings));
+        window.add(this._buildLoggingPage(settings));
+        window.add(this._buildPrivacyPage(settings));
+        window.add(this._buildAccessPage(settings, window));
+    }
+
+    /**
+     * Categories, idle detection and focus history
+     */
+    _buildTrackingPage(settings) {
+        const page = new Adw.PreferencesPage({
+            title: "Tracking",
+            icon_name: "preferences-system-symbolic",
+        });
+
+        const categoriesGroup = new Adw.PreferencesGroup({
+            title: "Application Categories",
+            description: "Extract application-specific context for these window types",
+        });
+        page.add(categoriesGroup);
+
+        for (const category of CATEGORIES) {
+            const row = new Adw.SwitchRow({
+                title: category.title,
+                subtitle: category.subtitle,
+                active: settings.get_strv('enabled-categories').includes(category.id),
+            });
+            // The categories live in one string array, so toggle membership by hand
+            row.connect('notify::active', () => {
+                const enabled = settings.get_strv('enabled-categories').filter(id => id !== category.id);
+                if (row.active) enabled.push(category.id);
+                settings.set_strv('enabled-categories', enabled);
+            });
+            categoriesGroup.add(row);
+        }
+
+        const activityGroup = new Adw.PreferencesGroup({title: "Activity"});
+        page.add(activityGroup);
+
+        activityGroup.add(this._buildSpinRow(settings, 'idle-threshold', {
+            title: "Idle Threshold",
+            subtitle: "Seconds without input before time counts as idle",
+            lower: 10, upper: 7200, step: 30,
+        }));
+        activityGroup.add(this._buildSpinRow(settings, 'history-size', {
+            title: "Focus History Size",
+            subtitle: "Transitions kept in memory for getFocusHistory",
+            lower: 10, upper: 100000, step: 100,
+        }));
+
+        return page;
+    }
+
+    /**
+     * On-disk activity log
+     */
+    _buildLoggingPage(settings) {
+        const page = new Adw.PreferencesPage({
+            title: "Activity Log",
+            icon_name: "document-save-symbolic",
+        });
+
+        const group = new Adw.PreferencesGroup({
+            title: "Activity Log",
+            description: "Append every focus session to a daily JSON Lines file",
+        });
+        page.add(group);
+
+        const enabledRow = new Adw.SwitchRow({title: "Write Activity Log"});
+        settings.bind('log-enabled', enabledRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(enabledRow);
+
+        const directoryRow = new Adw.EntryRow({
+            title: "Log Directory (empty for ~/.local/share/active-window-details)",
+            show_apply_button: true,
+        });
+        directoryRow.set_text(settings.get_string('log-directory'));
+        // Only save on apply so half-typed paths don't recreate the log
+        directoryRow.connect('apply', () => {
+            settings.set_string('log-directory', directoryRow.get_text().trim());
+        });
+        group.add(directoryRow);
+
+        group.add(this._buildSpinRow(settings, 'log-retention-days', {
+            title: "Retention",
+            subtitle: "Days to keep daily files (0 keeps them forever)",
+            lower: 0, upper: 3650, step: 1,
+        }));
+        group.add(this._buildSpinRow(settings, 'log-max-file-size', {
+            title: "Maximum File Size",
+            subtitle: "MiB per daily file",
+            lower: 1, upper: 1024, step: 1,
+        }));
+
+        // Dim the directory while logging is off
+        settings.bind('log-enabled', directoryRow, 'sensitive', Gio.SettingsBindFlags.GET);
+
+        return page;
+    }
+
+    /**
+     * What gets stored about windows
+     */
+    _buildPrivacyPage(settings) {
+        const page = new Adw.PreferencesPage({
+            title: "Privacy",
+            icon_name: "security-high-symbolic",
+        });
+
+        const group = new Adw.PreferencesGroup({
+            title: "Recorded Data",
+            description: "Applies to the focus history and the activity log",
+        });
+        page.add(group);
+
+        const titlesRow = new Adw.SwitchRow({
+            title: "Record Window Titles",
+            subtitle: "When off, only the window class and application type are kept",
+        });
+        settings.bind('record-window-titles', titlesRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(titlesRow);
+
+        const contextRow = new Adw.SwitchRow({
+            title: "Log Application Context",
+            subtitle: "URLs, project paths and working directories in activity log entries",
+        });
+        settings.bind('log-app-context', contextRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(contextRow);
+
+        const redactionGroup = new Adw.PreferencesGroup({
+            title: "Redaction",
+            description: "Applies to every D-Bus reply and signal as well as the history and the log. " +
+                "Title and secret patterns are set with gsettings (redaction-denylist-titles, redaction-extra-patterns).",
+        });
+        page.add(redactionGroup);
+
+        const privateRow = new Adw.SwitchRow({
+            title: "Hide Private Browser Windows",
+            subtitle: "Private and incognito windows are reported by application type only",
+        });
+        settings.bind('redaction-suppress-private', privateRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        redactionGroup.add(privateRow);
+
+        const secretsRow = new Adw.SwitchRow({
+            title: "Scrub Secrets",
+            subtitle: "Passwords, tokens and API keys in command lines, titles and URLs",
+        });
+        settings.bind('redaction-scrub-secrets', secretsRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        redactionGroup.add(secretsRow);
+
+        const denylistRow = new Adw.EntryRow({
+            title: "Hidden Applications (comma-separated window classes or app ids)",
+            show_apply_button: true,
+        });
+        denylistRow.set_text(settings.get_strv('redaction-denylist-apps').join(", "));
+        denylistRow.connect('apply', () => {
+            const apps = denylistRow.get_text().split(",").map(app => app.trim()).filter(app => app);
+            settings.set_strv('redaction-denylist-apps', apps);
+        });
+        redactionGroup.add(denylistRow);
+
+        return page;
+    }
+
+    /**
+     * Which applications may call the D-Bus interface
+     */
+    _buildAccessPage(settings, window) {
+        const page = new Adw.PreferencesPage({
+            title: "Access",
+            icon_name: "system-lock-screen-symbolic",
+        });
+
+        const group = new Adw.PreferencesGroup({
+            title: "Access Control",
+            description: "Applications are identified by their executable path",
+        });
+        page.add(group);
+
+        const enabledRow = new Adw.SwitchRow({
+            title: "Restrict Callers",
+            subtitle: "When off, any process on the session bus can read everything",
+        });
+        settings.bind('authorization-enabled', enabledRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(enabledRow);
+
+        const consentRow = new Adw.SwitchRow({
+            title: "Ask for Unknown Applications",
+            subtitle: "Show a notification instead of denying them outright",
+        });
+        settings.bind('authorization-consent', consentRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        settings.bind('authorization-enabled', consentRow, 'sensitive', Gio.SettingsBindFlags.GET);
+        group.add(consentRow);
+
+        const legacyRow = new Adw.SwitchRow({
+            title: "Legacy Error Replies",
+            subtitle: "Reply with empty strings or error JSON instead of D-Bus errors, for old scripts",
+        });
+        settings.bind('legacy-error-strings', legacyRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(legacyRow);
+
+        const callersGroup = new Adw.PreferencesGroup({
+            title: "Allowed Applications",
+            description: ACCESS_LEVELS.map(level => `${level}: ${ACCESS_LEVEL_DESCRIPTIONS[level]}`).join("\n"),
+        });
+        page.add(callersGroup);
+
+        const addRow = new Adw.EntryRow({
+            title: "Allow Executable (full path, or interpreter and script path; basic access)",
+            show_apply_button: true,
+        });
+        addRow.connect('apply', () => {
+            const path = addRow.get_text().trim();
+            if (path) this._setCallerLevel(settings, path, ACCESS_LEVELS[0]);
+            addRow.set_text("");
+        });
+        callersGroup.add(addRow);
+
+        // One row per allowed executable, rebuilt whenever the list changes
+        let callerRows = [];
+        const refresh = () => {
+            callerRows.forEach(row => callersGroup.remove(row));
+            callerRows = [];
+
+            const callers = settings.get_value('authorized-callers').deepUnpack();
+            for (const [path, level] of Object.entries(callers)) {
+                const row = new Adw.ComboRow({
+                    title: path,
+                    model: Gtk.StringList.new(ACCESS_LEVELS),
+                    selected: Math.max(0, ACCESS_LEVELS.indexOf(level)),
+                });
+                row.connect('notify::selected', () => {
+                    this._setCallerLevel(settings, path, ACCESS_LEVELS[row.selected]);
+                });
+
+                const removeButton = new Gtk.Button({
+                    icon_name: "user-trash-symbolic",
+                    tooltip_text: "Remove",
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ["flat"],
+                });
+                removeButton.connect('clicked', () => this._setCallerLevel(settings, path, null));
+                row.add_suffix(removeButton);
+
+                callersGroup.add(row);
+                callerRows.push(row);
+            }
+        };
+        refresh();
+
+        const changedId = settings.connect('changed::authorized-callers', refresh);
+        window.connect('close-request', () => {
+            settings.disconnect(changedId);
+            return false;
+        });
+
+        return page;
+    }
+
+    /**
+     * Set or (with a null level) remove an allowlist entry
+     */
+    _setCallerLevel(settings, path, level) {
+        const callers = settings.get_value('authorized-callers').deepUnpack();
+        if (level) {
+            if (callers[path] === level) return;
+            callers[path] = level;
+        } else {
+            delete callers[path];
+        }
+        settings.set_value('authorized-callers', new GLib.Variant('a{ss}', callers));
+    }
+
+    /**
+     * Spin row bound to an unsigned integer key
+     */
+    _buildSpinRow(settings, key, {title, subtitle, lower, upper, step}) {
+        const row = new Adw.SpinRow({
+            title: title,
+            subtitle: subtitle,
+            adjustment: new Gtk.Adjustment({
+                lower: lower,
+                upper: upper,
+                step_increment: step,
+                page_increment: step * 10,
+            }),
+        });
+        settings.bind(key, row, 'value', Gio.SettingsBindFlags.DEFAULT);
+        return row;
+    }
+}
@@ -0,0 +1,823 @@
+/* procfs.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Helpers for reading process information from /proc. Readers throw the
+ * GLib error of the failed read so callers can turn it into a D-Bus error
+ * with procReadError() (see dbusErrors.js).
+ *
+ * /proc/<pid>/stat is parsed from the last ")" on: the command name in
+ * parentheses may itself contain spaces and parentheses.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import {listDirectory} from './fileUtils.js';
+
+/**
+ * Clock ticks per second used by the start time in /proc/<pid>/stat.
+ * sysconf(_SC_CLK_TCK) isn't reachable from GJS; it is 100 on every
+ * architecture GNOME Shell runs on.
+ */
+const CLOCK_TICKS = 100;
+
+/**
+ * Deepest descendant level getProcessTree() walks
+ */
+export const MAX_TREE_DEPTH = 16;
+
+/**
+ * Nodes getProcessTree() returns at most, ancestors included
+ */
+const MAX_TREE_NODES = 512;
+
+/**
+ * Levels below the terminal process searched for shells
+ */
+const SHELL_SEARCH_DEPTH = 3;
+
+/**
+ * CPU samples older than this are dropped (ms)
+ */
+const CPU_SAMPLE_LIFETIME = 10 * 60 * 1000;
+
+/**
+ * File descriptors getOpenFiles() examines at most
+ */
+const MAX_OPEN_FILES = 1024;
+
+/**
+ * Entries of the working set returned by getOpenFiles()
+ */
+const WORKING_SET_SIZE = 20;
+
+/**
+ * Open files that say nothing about what the user works on: shared
+ * libraries, fonts, caches, locale and icon data, pseudo devices
+ */
+const OPEN_FILE_NOISE_PATTERNS = [
+    /\.so(\.\d+)*$/,
+    /\/fonts?\//i,
+    /\.(ttf|otf|ttc|pfb|woff2?)$/i,
+    /\/\.cache\//,
+    /\/icons\/.*\.cache$/,
+    /^\/usr\/(lib|lib64|share\/locale|lib\/locale)\//,
+    /^\/(proc|sys)\//,
+    /^\/dev\/(null|zero|u?random|full|tty|ptmx|pts\/\d+|shm\/)/,
+    /^\/memfd:/,
+    /\/dconf\/user$/,
+    /\.(compiled|lock)$/
+];
+
+/**
+ * TCP states by the hex code in /proc/net/tcp; for UDP only ESTABLISHED
+ * (connected) and CLOSE (unconnected) occur
+ */
+const TCP_STATES = {
+    "01": "ESTABLISHED", "02": "SYN_SENT", "03": "SYN_RECV", "04": "FIN_WAIT1",
+    "05": "FIN_WAIT2", "06": "TIME_WAIT", "07": "CLOSE", "08": "CLOSE_WAIT",
+    "09": "LAST_ACK", "0A": "LISTEN", "0B": "CLOSING", "0C": "NEW_SYN_RECV"
+};
+
+const UNIX_TYPES = {"0001": "stream", "0002": "dgram", "0005": "seqpacket"};
+const UNIX_STATES = {"01": "UNCONNECTED", "02": "CONNECTING", "03": "CONNECTED", "04": "DISCONNECTING"};
+
+/**
+ * Read a /proc file as text
+ *
+ * @param {string} path - File to read
+ * @returns {string} Contents
+ * @throws GLib.Error when the file can't be read
+ */
+export function readProcFile(path) {
+    const [, contents] = GLib.file_get_contents(path);
+    return new TextDecoder().decode(contents);
+}
+
+/**
+ * Parse the contents of /proc/<pid>/stat
+ *
+ * @param {string} text - File contents
+ * @returns {Object|null} {pid, comm, state, ppid, pgrp, session, ttyNr, tpgid,
+ *                        cpuTicks, threads, startTicks}, null when the contents are malformed
+ */
+export function parseProcStat(text) {
+    const open = text.indexOf("(");
+    const close = text.lastIndexOf(")");
+    if (open < 0 || close < open) return null;
+
+    // Fields after the command name, starting with field 3 (state)
+    const fields = text.slice(close + 2).trim().split(/\s+/);
+    if (fields.length < 20) return null;
+
+    return {
+        pid: parseInt(text.slice(0, open)),
+        comm: text.slice(open + 1, close),
+        state: fields[0],
+        ppid: parseInt(fields[1]),
+        pgrp: parseInt(fields[2]),
+        session: parseInt(fields[3]),
+        ttyNr: parseInt(fields[4]),
+        tpgid: parseInt(fields[5]),
+        cpuTicks: parseInt(fields[11]) + parseInt(fields[12]),   // utime + stime
+        threads: parseInt(fields[17]),
+        startTicks: parseInt(fields[19])    // Field 22, since boot
+    };
+}
+
+/**
+ * Read and parse /proc/<pid>/stat
+ *
+ * @param {number} pid - Process to read
+ * @returns {Object} See parseProcStat()
+ * @throws GLib.Error when the process doesn't exist or can't be read
+ */
+export function readProcStat(pid) {
+    const stat = parseProcStat(readProcFile(`/proc/${pid}/stat`));
+    if (!stat) {
+        throw new GLib.Error(GLib.FileError, GLib.FileError.INVAL, `Malformed /proc/${pid}/stat`);
+    }
+    return stat;
+}
+
+/**
+ * Direct children of a process
+ *
+ * Collected from /proc/<pid>/task/<tid>/children of every thread, since a
+ * child belongs to the thread that forked it. Kernels built without
+ * CONFIG_PROC_CHILDREN don't have those files; /proc is scanned instead.
+ *
+ * @param {number} pid - Parent process
+ * @returns {Array<number>} Child PIDs in ascending order
+ */
+export function readProcessChildren(pid) {
+    const children = new Set();
+    let found = false;
+
+    for (const tid of listDirectory(`/proc/${pid}/task`)) {
+        try {
+            const text = readProcFile(`/proc/${pid}/task/${tid}/children`);
+            found = true;
+            for (const child of text.split(/\s+/)) {
+                if (child) children.add(parseInt(child));
+            }
+        } catch (e) {
+            // Thread exited, or no children files on this kernel
+        }
+    }
+
+    if (!found) {
+        for (const name of listDirectory("/proc")) {
+            if (!/^\d+$/.test(name)) continue;
+            try {
+                if (readProcStat(name).ppid === pid) children.add(parseInt(name));
+            } catch (e) {
+                // Process exited while scanning
+            }
+        }
+    }
+    return [...children].sort((a, b) => a - b);
+}
+
+/**
+ * Describe a single process
+ *
+ * @param {number} pid - Process to describe
+ * @returns {Object} {pid, ppid, comm, exe, cmdline, state, startTime}
+ * @throws GLib.Error when the process doesn't exist or can't be read
+ */
+export function readProcessNode(pid) {
+    const stat = readProcStat(pid);
+
+    // exe and cmdline are unreadable for other users' processes and kernel threads
+    let exe = "";
+    try {
+        exe = GLib.file_read_link(`/proc/${pid}/exe`);
+    } catch (e) {
+        // Leave empty
+    }
+    let cmdline = "";
+    try {
+        cmdline = readProcFile(`/proc/${pid}/cmdline`).replace(/\0/g, " ").trim();
+    } catch (e) {
+        // Leave empty
+    }
+
+    return {
+        pid: stat.pid,
+        ppid: stat.ppid,
+        comm: stat.comm,
+        exe: exe,
+        cmdline: cmdline,
+        state: stat.state,
+        startTime: ticksToTimestamp(stat.startTicks)
+    };
+}
+
+/**
+ * Command line arguments of a process, split where the kernel separates them
+ *
+ * @param {number} pid - Process to inspect
+ * @returns {Array<string>} argv, empty when it can't be read
+ */
+export function readProcessArgv(pid) {
+    try {
+        const args = readProcFile(`/proc/${pid}/cmdline`).split("\0");
+        // The last argument is NUL-terminated too
+        if (args[args.length - 1] === "") args.pop();
+        return args;
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Ancestors and descendants of a process
+ *
+ * Ancestors are listed from the parent up to the root of the PID namespace
+ * (init/systemd). Descendants are nested through `children` up to `depth`
+ * levels below the process.
+ *
+ * @param {number} pid - Process at the center of the tree
+ * @param {number} depth - Descendant levels to include, capped at MAX_TREE_DEPTH
+ * @returns {Object} {process, ancestors, depth, nodeCount, truncated}
+ * @throws GLib.Error when the process itself doesn't exist or can't be read
+ */
+export function getProcessTree(pid, depth) {
+    const budget = {remaining: MAX_TREE_NODES, truncated: false};
+    const process = readProcessNode(pid);
+    budget.remaining--;
+
+    const ancestors = [];
+    const seen = new Set([process.pid]);
+    let ppid = process.ppid;
+    while (ppid > 0 && !seen.has(ppid) && budget.remaining > 0) {
+        try {
+            const ancestor = readProcessNode(ppid);
+            ancestors.push(ancestor);
+            seen.add(ppid);
+            budget.remaining--;
+            ppid = ancestor.ppid;
+        } catch (e) {
+            // Parent outside our PID namespace, or exited meanwhile
+            break;
+        }
+    }
+
+    const levels = Math.min(Math.max(0, depth), MAX_TREE_DEPTH);
+    addDescendants(process, levels, budget);
+
+    return {
+        process: process,
+        ancestors: ancestors,
+        depth: levels,
+        nodeCount: MAX_TREE_NODES - budget.remaining,
+        truncated: budget.truncated
+    };
+}
+
+/**
+ * Fill `node.children` recursively
+ */
+function addDescendants(node, levels, budget) {
+    node.children = [];
+    if (levels <= 0) return;
+
+    for (const childPid of readProcessChildren(node.pid)) {
+        if (budget.remaining <= 0) {
+            budget.truncated = true;
+            return;
+        }
+        try {
+            const child = readProcessNode(childPid);
+            budget.remaining--;
+            node.children.push(child);
+            addDescendants(child, levels - 1, budget);
+        } catch (e) {
+            // Child exited while walking the tree
+        }
+    }
+}
+
+/**
+ * Shells running under a terminal emulator and their foreground jobs
+ *
+ * A shell is the leader of a session with a controlling terminal. The
+ * terminal's foreground process group (tpgid) tells what runs in it: the
+ * shell itself while it waits at the prompt, otherwise the job started
+ * from it. Servers like gnome-terminal-server host the shells of all
+ * their windows and tabs.
+ *
+ * @param {number} terminalPid - Process of the terminal emulator
+ * @returns {Array<Object>} {shell, foreground, atPrompt}; shell and foreground
+ *                          are process nodes with `cwd`, foreground is the shell at the prompt
+ */
+export function getTerminalSessions(terminalPid) {
+    const sessions = [];
+    const budget = {remaining: MAX_TREE_NODES};
+
+    const visit = (pid, levels) => {
+        for (const childPid of readProcessChildren(pid)) {
+            if (budget.remaining-- <= 0) return;
+
+            let stat;
+            try {
+                stat = readProcStat(childPid);
+            } catch (e) {
+                continue;
+            }
+
+            if (stat.ttyNr !== 0 && stat.session === stat.pid) {
+                const session = readTerminalSession(stat);
+                if (session) sessions.push(session);
+            } else if (levels > 1) {
+                // Helpers between the terminal and its shells (e.g. a login wrapper)
+                visit(childPid, levels - 1);
+            }
+        }
+    };
+    visit(terminalPid, SHELL_SEARCH_DEPTH);
+
+    return sessions;
+}
+
+/**
+ * Describe a shell and the foreground process group of its terminal
+ */
+function readTerminalSession(shellStat) {
+    let shell;
+    try {
+        shell = {...readProcessNode(shellStat.pid), cwd: readProcessCwd(shellStat.pid)};
+    } catch (e) {
+        return null;
+    }
+
+    let foreground = shell;
+    if (shellStat.tpgid > 0 && shellStat.tpgid !== shellStat.pid) {
+        try {
+            // The group id is the PID of the job's first process
+            foreground = {...readProcessNode(shellStat.tpgid), cwd: readProcessCwd(shellStat.tpgid)};
+        } catch (e) {
+            // Job leader already exited, the rest of the pipeline may still run
+        }
+    }
+
+    return {
+        shell: shell,
+        foreground: foreground,
+        atPrompt: foreground === shell
+    };
+}
+
+/**
+ * Working directory of a process, empty when it can't be read
+ *
+ * @param {number} pid - Process to inspect
+ * @returns {string} Absolute path
+ */
+export function readProcessCwd(pid) {
+    try {
+        return GLib.file_read_link(`/proc/${pid}/cwd`);
+    } catch (e) {
+        return "";
+    }
+}
+
+/**
+ * A process and all of its descendants
+ *
+ * @param {number} pid - Root process
+ * @returns {Array<number>} PIDs, the root first; at most MAX_TREE_NODES
+ */
+export function collectProcessFamily(pid) {
+    const pids = [pid];
+    const seen = new Set(pids);
+    for (let i = 0; i < pids.length && pids.length < MAX_TREE_NODES; i++) {
+        for (const child of readProcessChildren(pids[i])) {
+            if (seen.has(child) || pids.length >= MAX_TREE_NODES) continue;
+            seen.add(child);
+            pids.push(child);
+        }
+    }
+    return pids;
+}
+
+/**
+ * Resource usage of a single process
+ *
+ * Memory and context switches come from /proc/<pid>/status, PSS and swap
+ * from /proc/<pid>/smaps_rollup, I/O from /proc/<pid>/io. The last two need
+ * ptrace access to the process; their values are null when denied.
+ *
+ * @param {number} pid - Process to read
+ * @returns {Object} {pid, comm, startTicks, cpuTicks, cpuTimeMs, threads, rssBytes, pssBytes,
+ *                    swapBytes, readBytes, writeBytes, readChars, writeChars,
+ *                    voluntaryContextSwitches, involuntaryContextSwitches}
+ * @throws GLib.Error when the process doesn't exist or can't be read
+ */
+export function readProcessResources(pid) {
+    const stat = readProcStat(pid);
+    const status = readKeyValueFile(`/proc/${pid}/status`);
+    const rollup = readKeyValueFile(`/proc/${pid}/smaps_rollup`);
+    const io = readKeyValueFile(`/proc/${pid}/io`);
+
+    return {
+        pid: stat.pid,
+        comm: stat.comm,
+        startTicks: stat.startTicks,
+        cpuTicks: stat.cpuTicks,
+        cpuTimeMs: stat.cpuTicks * 1000 / CLOCK_TICKS,
+        threads: stat.threads,
+        rssBytes: kilobytes(status.VmRSS),
+        pssBytes: kilobytes(rollup.Pss),
+        swapBytes: kilobytes(rollup.Swap !== undefined ? rollup.Swap : status.VmSwap),
+        readBytes: number(io.read_bytes),
+        writeBytes: number(io.write_bytes),
+        readChars: number(io.rchar),
+        writeChars: number(io.wchar),
+        voluntaryContextSwitches: number(status.voluntary_ctxt_switches),
+        involuntaryContextSwitches: number(status.nonvoluntary_ctxt_switches)
+    };
+}
+
+/**
+ * Open file descriptors of a process
+ *
+ * @param {number} pid - Process to inspect
+ * @returns {Array<Object>} {fd, target, type, deleted}; type is "file", "directory",
+ *                          "socket", "pipe", "device", "anon_inode" or "other"
+ * @throws GLib.Error when /proc/<pid>/fd can't be listed
+ */
+export function readOpenFiles(pid) {
+    const dir = GLib.Dir.open(`/proc/${pid}/fd`, 0);
+    const files = [];
+    try {
+        let name;
+        while ((name = dir.read_name()) !== null && files.length < MAX_OPEN_FILES) {
+            let target;
+            try {
+                target = GLib.file_read_link(`/proc/${pid}/fd/${name}`);
+            } catch (e) {
+                continue;   // Closed meanwhile
+            }
+            const deleted = target.endsWith(" (deleted)");
+            if (deleted) target = target.slice(0, -" (deleted)".length);
+            files.push({fd: parseInt(name), target: target, type: classifyFdTarget(target), deleted: deleted});
+        }
+    } finally {
+        dir.close();
+    }
+    return files.sort((a, b) => a.fd - b.fd);
+}
+
+/**
+ * Open files of a process, without noise, plus the likely working set
+ *
+ * The working set are the regular files the process holds open, most
+ * recently modified first, with the access mode they were opened with.
+ *
+ * @param {number} pid - Process to inspect
+ * @returns {Object} {files, counts, total, filteredCount, workingSet}
+ * @throws GLib.Error when /proc/<pid>/fd can't be listed
+ */
+export function getOpenFiles(pid) {
+    const all = readOpenFiles(pid);
+
+    const counts = {};
+    for (const file of all) {
+        counts[file.type] = (counts[file.type] || 0) + 1;
+    }
+
+    const files = all.filter(file => !isOpenFileNoise(file));
+    const seen = new Set();
+    const workingSet = [];
+    for (const file of files) {
+        if (file.type !== "file" || file.deleted || seen.has(file.target)) continue;
+        seen.add(file.target);
+
+        const info = queryFileInfo(file.target);
+        if (!info) continue;
+        workingSet.push({
+            path: file.target,
+            fd: file.fd,
+            mode: readFdAccessMode(pid, file.fd),
+            size: info.get_size(),
+            modified: info.get_modification_date_time().to_unix() * 1000
+        });
+    }
+    workingSet.sort((a, b) => b.modified - a.modified);
+
+    return {
+        files: files.map(file => ({fd: file.fd, path: file.target, type: file.type, deleted: file.deleted})),
+        counts: counts,
+        total: all.length,
+        filteredCount: all.length - files.length,
+        workingSet: workingSet.slice(0, WORKING_SET_SIZE)
+    };
+}
+
+/**
+ * Kind of object a /proc/<pid>/fd link points to
+ */
+function classifyFdTarget(target) {
+    if (target.startsWith("socket:")) return "socket";
+    if (target.startsWith("pipe:")) return "pipe";
+    if (target.startsWith("anon_inode:")) return "anon_inode";
+    if (target.startsWith("/dev/")) return "device";
+    if (!target.startsWith("/")) return "other";
+    return GLib.file_test(target, GLib.FileTest.IS_DIR) ? "directory" : "file";
+}
+
+function isOpenFileNoise(file) {
+    if (file.type === "anon_inode" || file.type === "other") return true;
+    return file.target.startsWith("/") && OPEN_FILE_NOISE_PATTERNS.some(pattern => pattern.test(file.target));
+}
+
+/**
+ * Size and modification time of a regular file, null for anything else
+ */
+function queryFileInfo(path) {
+    try {
+        const info = Gio.File.new_for_path(path).query_info('standard::type,standard::size,time::modified',
+            Gio.FileQueryInfoFlags.NONE, null);
+        return info.get_file_type() === Gio.FileType.REGULAR ? info : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * "r", "w" or "rw" from the flags in /proc/<pid>/fdinfo/<fd>
+ */
+function readFdAccessMode(pid, fd) {
+    const flags = readKeyValueFile(`/proc/${pid}/fdinfo/${fd}`).flags;
+    if (flags === undefined) return null;
+    // O_ACCMODE: 0 read-only, 1 write-only, 2 read-write
+    return ["r", "w", "rw"][parseInt(flags, 8) & 3] || null;
+}
+
+/**
+ * Network connections of a process
+ *
+ * The socket inodes among the process's file descriptors are looked up in
+ * the socket tables of its network namespace (/proc/<pid>/net/*), so
+ * sandboxed applications report their own connections.
+ *
+ * @param {Array<number>} pids - Processes whose sockets to include, the first
+ *                               one's network namespace is read
+ * @returns {Array<Object>} {protocol, pid, fd, inode, state, ...}; inet sockets carry
+ *                          localAddress/localPort/remoteAddress/remotePort, unix sockets type/path
+ * @throws GLib.Error when the file descriptors of the first process can't be listed
+ */
+export function getNetworkConnections(pids) {
+    const owners = new Map();   // Socket inode -> {pid, fd}
+    pids.forEach((pid, index) => {
+        let files;
+        try {
+            files = readOpenFiles(pid);
+        } catch (e) {
+            if (index === 0) throw e;
+            return;     // Child exited or belongs to another user
+        }
+        for (const file of files) {
+            const match = file.type === "socket" && file.target.match(/^socket:\[(\d+)\]$/);
+            if (match && !owners.has(match[1])) owners.set(match[1], {pid: pid, fd: file.fd});
+        }
+    });
+
+    const connections = [];
+    for (const protocol of ["tcp", "tcp6", "udp", "udp6"]) {
+        for (const entry of readInetTable(pids[0], protocol)) {
+            const owner = owners.get(entry.inode);
+            if (owner) connections.push({protocol: protocol, ...owner, ...entry, inode: parseInt(entry.inode)});
+        }
+    }
+    for (const entry of readUnixTable(pids[0])) {
+        const owner = owners.get(entry.inode);
+        if (owner) connections.push({protocol: "unix", ...owner, ...entry, inode: parseInt(entry.inode)});
+    }
+    return connections;
+}
+
+/**
+ * Rows of /proc/<pid>/net/{tcp,tcp6,udp,udp6}
+ */
+function readInetTable(pid, protocol) {
+    const rows = [];
+    let text;
+    try {
+        text = readProcFile(`/proc/${pid}/net/${protocol}`);
+    } catch (e) {
+        return rows;    // IPv6 disabled, or process gone
+    }
+
+    for (const line of text.split("\n").slice(1)) {
+        const fields = line.trim().split(/\s+/);
+        if (fields.length < 10) continue;
+        const [localAddress, localPort] = parseSocketAddress(fields[1]);
+        const [remoteAddress, remotePort] = parseSocketAddress(fields[2]);
+        rows.push({
+            inode: fields[9],
+            state: TCP_STATES[fields[3].toUpperCase()] || fields[3],
+            localAddress: localAddress,
+            localPort: localPort,
+            remoteAddress: remoteAddress,
+            remotePort: remotePort
+        });
+    }
+    return rows;
+}
+
+/**
+ * Rows of /proc/<pid>/net/unix
+ */
+function readUnixTable(pid) {
+    const rows = [];
+    let text;
+    try {
+        text = readProcFile(`/proc/${pid}/net/unix`);
+    } catch (e) {
+        return rows;
+    }
+
+    // Num RefCount Protocol Flags Type St Inode [Path]
+    for (const line of text.split("\n").slice(1)) {
+        const fields = line.trim().split(/\s+/);
+        if (fields.length < 7) continue;
+        rows.push({
+            inode: fields[6],
+            type: UNIX_TYPES[fields[4]] || fields[4],
+            state: UNIX_STATES[fields[5]] || fields[5],
+            path: fields.slice(7).join(" ")     // "@..." for abstract sockets, empty if unnamed
+        });
+    }
+    return rows;
+}
+
+/**
+ * "0100007F:0035" to ["127.0.0.1", 53]
+ *
+ * Addresses are written as 32 bit words in host byte order (little endian
+ * on all architectures GNOME Shell runs on), the port big endian.
+ */
+function parseSocketAddress(field) {
+    const [hex, port] = field.split(":");
+    const bytes = [];
+    for (let word = 0; word < hex.length; word += 8) {
+        for (let i = 6; i >= 0; i -= 2) {
+            bytes.push(parseInt(hex.slice(word + i, word + i + 2), 16));
+        }
+    }
+    return [bytes.length === 4 ? bytes.join(".") : formatIPv6(bytes), parseInt(port, 16)];
+}
+
+/**
+ * Format 16 address bytes the usual way ("::1", "::ffff:192.0.2.1", "2001:db8::5")
+ */
+function formatIPv6(bytes) {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push((bytes[i] << 8) | bytes[i + 1]);
+    }
+
+    // IPv4-mapped addresses of dual-stack sockets
+    if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+        return `::ffff:${bytes.slice(12).join(".")}`;
+    }
+
+    // Compress the longest run of zero groups
+    let bestStart = -1, bestLength = 0;
+    for (let start = 0; start < 8; start++) {
+        let length = 0;
+        while (start + length < 8 && groups[start + length] === 0) length++;
+        if (length > bestLength && length > 1) {
+            bestStart = start;
+            bestLength = length;
+        }
+    }
+    const hex = groups.map(group => group.toString(16));
+    if (bestStart < 0) return hex.join(":");
+    return `${hex.slice(0, bestStart).join(":")}::${hex.slice(bestStart + bestLength).join(":")}`;
+}
+
+/**
+ * CPU Sampler
+ * ===========
+ *
+ * CPU usage is the CPU time a process used between two samples divided by
+ * the wall time in between, so the first sample of a process has no
+ * percentage. Samples are keyed by PID and start time, a reused PID starts
+ * over.
+ */
+export class CpuSampler {
+    constructor() {
+        this._samples = new Map();  // "pid:startTicks" -> {cpuTicks, time}
+    }
+
+    /**
+     * Record a sample and compare it with the previous one
+     *
+     * @param {Object} resources - From readProcessResources()
+     * @param {number} now - Sample time (ms since epoch)
+     * @returns {Object|null} {percent, intervalMs}, null for the first sample
+     */
+    sample(resources, now = Date.now()) {
+        const key = `${resources.pid}:${resources.startTicks}`;
+        const previous = this._samples.get(key);
+        this._samples.set(key, {cpuTicks: resources.cpuTicks, time: now});
+
+        if (!previous || now <= previous.time) return null;
+
+        const intervalMs = now - previous.time;
+        const cpuMs = (resources.cpuTicks - previous.cpuTicks) * 1000 / CLOCK_TICKS;
+        return {
+            percent: Math.round(cpuMs / intervalMs * 1000) / 10,   // 100 is one full core
+            intervalMs: intervalMs
+        };
+    }
+
+    /**
+     * Forget samples that weren't refreshed recently
+     */
+    prune(now = Date.now()) {
+        for (const [key, sample] of this._samples) {
+            if (now - sample.time > CPU_SAMPLE_LIFETIME) this._samples.delete(key);
+        }
+    }
+}
+
+/**
+ * Parse a "Key: value" file such as /proc/<pid>/status, empty when unreadable
+ */
+function readKeyValueFile(path) {
+    const values = {};
+    try {
+        for (const line of readProcFile(path).split("\n")) {
+            const colon = line.indexOf(":");
+            if (colon > 0) values[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+        }
+    } catch (e) {
+        // Process exited, or no ptrace access
+    }
+    return values;
+}
+
+/**
+ * "1234 kB" to bytes, null when missing
+ */
+function kilobytes(value) {
+    const amount = number(value);
+    return amount === null ? null : amount * 1024;
+}
+
+/**
+ * Leading integer of a field, null when missing
+ */
+function number(value) {
+    const parsed = parseInt(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Convert a start time in clock ticks since boot to ms since epoch
+ */
+function ticksToTimestamp(ticks) {
+    const bootTime = getBootTime();
+    if (bootTime === null || !Number.isFinite(ticks)) return null;
+    return Math.round(bootTime * 1000 + ticks * 1000 / CLOCK_TICKS);
+}
+
+let _bootTime;
+
+/**
+ * Boot time in seconds since epoch, from the btime line of /proc/stat
+ */
+function getBootTime() {
+    if (_bootTime === undefined) {
+        _bootTime = null;
+        try {
+            const match = readProcFile("/proc/stat").match(/^btime\s+(\d+)/m);
+            if (match) _bootTime = parseInt(match[1]);
+        } catch (e) {
+            // Start times stay null
+        }
+    }
+    return _bootTime;
+}
@@ -0,0 +1,110 @@
+/* ruleRegistry.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Shared parts of the rule registries (appClassifier.js, siteCategorizer.js):
+ * reading a user rules file and merging its rules with the built-in ones
+ * into match order. Each registry compiles single rules itself, since what a
+ * rule matches on differs.
+ *
+ * User rules files look like this, or are a bare array of rules:
+ *
+ *   {
+ *     "rules": [{"id": "...", "priority": 50, "match": {...}, ...}],
+ *     "replaceDefaults": false
+ *   }
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+/**
+ * Priority given to user rules that don't specify one, so they win over
+ * the built-in rules (which stay below it)
+ */
+export const DEFAULT_USER_PRIORITY = 50;
+
+/**
+ * Read a user rules file
+ *
+ * A missing file simply means no user rules.
+ *
+ * @param {string} path - Path of the rules file
+ * @returns {Object} {rules, replaceDefaults, errors}; rules without a
+ *                   priority get DEFAULT_USER_PRIORITY
+ */
+export function readUserRules(path) {
+    const result = {rules: [], replaceDefaults: false, errors: []};
+    if (!GLib.file_test(path, GLib.FileTest.EXISTS)) return result;
+
+    try {
+        const [success, contents] = GLib.file_get_contents(path);
+        if (success) {
+            const config = JSON.parse(new TextDecoder().decode(contents));
+            // Accept both {"rules": [...]} and a bare array of rules
+            const rules = Array.isArray(config) ? config : (config.rules || []);
+            result.replaceDefaults = !Array.isArray(config) && config.replaceDefaults === true;
+            result.rules = rules.map(rule => ({
+                priority: DEFAULT_USER_PRIORITY,
+                ...rule
+            }));
+        }
+    } catch (e) {
+        result.errors.push(`Could not read ${path}: ${e.message || e}`);
+    }
+    return result;
+}
+
+/**
+ * Compile built-in and user rules into match order
+ *
+ * A user rule with the same id as a built-in rule replaces it. The highest
+ * priority comes first; on equal priority, user rules come before built-in
+ * ones and earlier rules before later ones. Invalid rules are skipped and
+ * reported in errors.
+ *
+ * @param {Array<Object>} defaultRules - Built-in rules
+ * @param {Array<Object>} userRules - Rules from readUserRules()
+ * @param {boolean} replaceDefaults - Drop the built-in rules
+ * @param {Function} compileRule - (rule) -> registry-specific fields; throws
+ *                                 an Error for invalid rules
+ * @returns {Object} {compiled, errors}; compiled rules also have id,
+ *                   priority and order
+ */
+export function compileRules(defaultRules, userRules, replaceDefaults, compileRule) {
+    const userIds = new Set(userRules.map(rule => rule.id).filter(id => id));
+    const defaults = replaceDefaults ? [] : defaultRules.filter(rule => !userIds.has(rule.id));
+
+    const compiled = [];
+    const errors = [];
+    [...userRules, ...defaults].forEach((rule, order) => {
+        try {
+            compiled.push({
+                ...compileRule(rule),
+                id: rule.id || `rule-${order}`,
+                priority: Number(rule.priority) || 0,
+                order: order
+            });
+        } catch (e) {
+            errors.push(`Skipping rule "${rule.id || order}": ${e.message || e}`);
+        }
+    });
+
+    compiled.sort((a, b) => b.priority - a.priority || a.order - b.order);
+    return {compiled, errors};
+}
@@ -0,0 +1,329 @@
+/* sandboxResolver.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Finds out whether a process runs in a Flatpak or Snap sandbox or in a
+ * container (Toolbox, Distrobox, Podman, Docker, LXC), so process payloads
+ * can say which application and runtime they really belong to:
+ *
+ *   {sandbox: "flatpak", appId: "org.mozilla.firefox",
+ *    runtime: "org.freedesktop.Platform/x86_64/23.08", containerId: "1823412597", ...}
+ *
+ * Sources, in order: /.flatpak-info inside the process's root, the snap
+ * scope in /proc/<pid>/cgroup, container marker files inside the process's
+ * root (/run/.containerenv, /run/.toolboxenv, /.dockerenv) and container
+ * runtime scopes in the cgroup path. Distrobox is only recognized in
+ * processes found to run in a container by one of these or by their mount
+ * namespace.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {readProcessChildren, readProcFile, readProcStat} from './procfs.js';
+
+/**
+ * Result for processes that run directly on the host
+ */
+export const NO_SANDBOX = {
+    sandbox: "none",
+    appId: null,
+    runtime: null,
+    containerId: null,
+    containerName: null,
+    appPath: null,          // Host directory mounted as /app (Flatpak)
+    runtimePath: null       // Host directory mounted as /usr (Flatpak)
+};
+
+/**
+ * Executables that only set up a sandbox and run the application as child
+ */
+const LAUNCHER_EXECUTABLES = ["bwrap", "flatpak-bwrap", "snap-confine"];
+
+/**
+ * Resolved sandboxes kept per process
+ */
+const MAX_CACHED_PROCESSES = 128;
+
+/**
+ * Container runtime scopes in cgroup paths
+ */
+const CGROUP_CONTAINER_PATTERNS = [
+    {sandbox: "podman", pattern: /libpod-(?:conmon-)?([0-9a-f]{64})/},
+    {sandbox: "docker", pattern: /docker[-/]([0-9a-f]{64})/},
+    {sandbox: "lxc", pattern: /\/lxc(?:\.payload)?[./]([^/]+)/}
+];
+
+/**
+ * Sandbox Resolver
+ * ================
+ *
+ * A process never changes its sandbox, so results are cached by PID and
+ * start time (a reused PID is resolved again).
+ */
+export class SandboxResolver {
+    constructor() {
+        this._cache = new Map();    // "pid:startTicks" -> result
+    }
+
+    /**
+     * Sandbox of a process
+     *
+     * @param {number} pid - Process to inspect
+     * @returns {Object} See NO_SANDBOX; copies are returned
+     */
+    resolve(pid) {
+        let key;
+        try {
+            key = `${pid}:${readProcStat(pid).startTicks}`;
+        } catch (e) {
+            return {...NO_SANDBOX};
+        }
+
+        let result = this._cache.get(key);
+        if (!result) {
+            result = resolveSandbox(pid);
+            if (this._cache.size >= MAX_CACHED_PROCESSES) {
+                // Maps iterate in insertion order, drop the oldest
+                this._cache.delete(this._cache.keys().next().value);
+            }
+            this._cache.set(key, result);
+        }
+        return {...result};
+    }
+}
+
+/**
+ * Sandbox of a process, without caching
+ *
+ * @param {number} pid - Process to inspect
+ * @returns {Object} See NO_SANDBOX
+ */
+export function resolveSandbox(pid) {
+    return detectSandbox(`/proc/${pid}/root`, readOptional(`/proc/${pid}/cgroup`), {
+        pid: pid,
+        separateMounts: hasSeparateMounts(pid)
+    });
+}
+
+/**
+ * Sandbox of a process, from its root directory and cgroup
+ *
+ * @param {string} root - Root directory of the process (/proc/<pid>/root)
+ * @param {string} cgroup - Contents of /proc/<pid>/cgroup
+ * @param {Object} options - pid: the process, to find its snap base;
+ *                           separateMounts: whether it runs in another
+ *                           mount namespace than the shell
+ * @returns {Object} See NO_SANDBOX
+ */
+export function detectSandbox(root, cgroup, {pid = 0, separateMounts = false} = {}) {
+    const flatpak = readFlatpakInfo(`${root}/.flatpak-info`);
+    if (flatpak) return flatpak;
+
+    const snap = cgroup.match(/snap\.([a-z0-9][a-z0-9-]*)\.[A-Za-z0-9-]+?(?:[-.]([0-9a-f-]{36}))?\.scope/);
+    if (snap) {
+        return {
+            ...NO_SANDBOX,
+            sandbox: "snap",
+            appId: snap[1],
+            runtime: pid ? readSnapBase(pid, snap[1]) : null,
+            containerId: snap[2] || null
+        };
+    }
+
+    const container = readContainerEnv(root);
+    const cgroupMatch = CGROUP_CONTAINER_PATTERNS
+        .map(({sandbox, pattern}) => ({sandbox, match: cgroup.match(pattern)}))
+        .find(({match}) => match);
+    const cgroupId = cgroupMatch ? cgroupMatch.match[1] : null;
+    const dockerEnv = GLib.file_test(`${root}/.dockerenv`, GLib.FileTest.EXISTS);
+
+    if (GLib.file_test(`${root}/run/.toolboxenv`, GLib.FileTest.EXISTS)) {
+        return containerResult("toolbox", container, cgroupId);
+    }
+    // Distrobox mounts its helper scripts into every container, but the host
+    // has them too when distrobox is installed there, so only look for them
+    // once the process is known to run in a container
+    const inContainer = container !== null || dockerEnv || Boolean(cgroupMatch) || separateMounts;
+    if (inContainer && GLib.file_test(`${root}/usr/bin/distrobox-host-exec`, GLib.FileTest.EXISTS)) {
+        return containerResult("distrobox", container, cgroupId);
+    }
+    if (container && container.engine) {
+        return containerResult(container.engine.split("-")[0], container, cgroupId);
+    }
+    if (dockerEnv) {
+        return containerResult("docker", container, cgroupId);
+    }
+    if (cgroupMatch) {
+        return containerResult(cgroupMatch.sandbox, container, cgroupId);
+    }
+    return {...NO_SANDBOX};
+}
+
+/**
+ * The process that runs the application rather than its sandbox launcher
+ *
+ * Windows may report the PID of bwrap, whose only job is to start the
+ * sandboxed application as its child.
+ *
+ * @param {number} pid - PID reported for a window
+ * @returns {number} PID of the first descendant that isn't a launcher
+ */
+export function resolveAppProcess(pid) {
+    let current = pid;
+    for (let level = 0; level < 4; level++) {
+        let exe;
+        try {
+            exe = GLib.file_read_link(`/proc/${current}/exe`);
+        } catch (e) {
+            break;
+        }
+        if (!LAUNCHER_EXECUTABLES.includes(GLib.path_get_basename(exe))) break;
+
+        const children = readProcessChildren(current);
+        if (children.length === 0) break;
+        current = children[0];
+    }
+    return current;
+}
+
+/**
+ * Translate a path seen inside a sandbox to the host
+ *
+ * Flatpak mounts the application at /app and its runtime at /usr; other
+ * paths (the home directory, /tmp through portals) are the same on both
+ * sides or not reachable from the host anyway.
+ *
+ * @param {Object} sandbox - From resolve()
+ * @param {string} path - Path as the sandboxed process sees it
+ * @returns {string} Host path
+ */
+export function toHostPath(sandbox, path) {
+    if (sandbox.sandbox !== "flatpak" || !path) return path;
+    if (sandbox.appPath && (path === "/app" || path.startsWith("/app/"))) {
+        return sandbox.appPath + path.slice("/app".length);
+    }
+    if (sandbox.runtimePath && (path === "/usr" || path.startsWith("/usr/"))) {
+        return sandbox.runtimePath + path.slice("/usr".length);
+    }
+    return path;
+}
+
+/**
+ * Parse /.flatpak-info of a sandboxed process
+ */
+function readFlatpakInfo(path) {
+    const keyFile = new GLib.KeyFile();
+    try {
+        keyFile.load_from_file(path, GLib.KeyFileFlags.NONE);
+    } catch (e) {
+        return null;
+    }
+
+    const get = (group, key) => {
+        try {
+            return keyFile.get_string(group, key);
+        } catch (e) {
+            return null;
+        }
+    };
+    // Runtime refs look like "runtime/org.gnome.Platform/x86_64/46"
+    const runtime = get("Application", "runtime");
+    return {
+        ...NO_SANDBOX,
+        sandbox: "flatpak",
+        appId: get("Application", "name"),
+        runtime: runtime ? runtime.replace(/^runtime\//, "") : null,
+        containerId: get("Instance", "instance-id"),
+        appPath: get("Instance", "app-path"),
+        runtimePath: get("Instance", "runtime-path")
+    };
+}
+
+/**
+ * Base snap ("core22", ...) of a snap, from the revision the process runs
+ */
+function readSnapBase(pid, name) {
+    try {
+        const exe = GLib.file_read_link(`/proc/${pid}/exe`);
+        const revision = exe.match(new RegExp(`^/snap/${name}/([^/]+)/`));
+        if (!revision) return null;
+
+        const yaml = readProcFile(`/snap/${name}/${revision[1]}/meta/snap.yaml`);
+        const base = yaml.match(/^base:\s*(\S+)/m);
+        return base ? base[1] : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Key/value pairs of /run/.containerenv (written by Podman, possibly empty),
+ * null when there is none
+ */
+function readContainerEnv(root) {
+    let text;
+    try {
+        text = readProcFile(`${root}/run/.containerenv`);
+    } catch (e) {
+        return null;
+    }
+
+    const values = {};
+    for (const line of text.split("\n")) {
+        const match = line.match(/^(\w+)="?(.*?)"?$/);
+        if (match) values[match[1]] = match[2];
+    }
+    return values;
+}
+
+/**
+ * Whether a process runs in another mount namespace than the shell, as
+ * processes in containers do
+ */
+function hasSeparateMounts(pid) {
+    try {
+        return GLib.file_read_link(`/proc/${pid}/ns/mnt`) !==
+            GLib.file_read_link("/proc/self/ns/mnt");
+    } catch (e) {
+        return false;
+    }
+}
+
+function containerResult(sandbox, container, cgroupId) {
+    container = container || {};
+    const id = container.id || cgroupId;
+    return {
+        ...NO_SANDBOX,
+        sandbox: sandbox,
+        runtime: container.image || null,
+        containerId: id && /^[0-9a-f]{64}$/.test(id) ? id.slice(0, 12) : id || null,
+        containerName: container.name || null
+    };
+}
+
+/**
+ * Contents of a file, empty when it can't be read
+ */
+function readOptional(path) {
+    try {
+        return readProcFile(path);
+    } catch (e) {
+        return "";
+    }
+}
@@ -0,0 +1,492 @@
+/* siteCategorizer.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Rule-based registry that turns the page a browser window shows into a
+ * category ("code_review", "code", "docs", "email", "chat", "meeting",
+ * "video", "social", "search") and a site name. Rules match on the URL's
+ * domain and path or, when the URL isn't known, on the page title:
+ *
+ *   https://github.com/owner/repo/pull/12 -> {category: "code_review", name: "GitHub"}
+ *   "Inbox (3) - user@example.org - Gmail" -> {category: "email", name: "Gmail"}
+ *
+ * Additional rules can be loaded from a user JSON file, by default
+ * ~/.config/active-window-details/sites.json:
+ *
+ *   {
+ *     "rules": [
+ *       {
+ *         "id": "company-wiki",
+ *         "category": "docs",
+ *         "site": "Company Wiki",
+ *         "priority": 50,
+ *         "match": {"domain": "wiki.example.com", "titleSuffix": " - Company Wiki"}
+ *       }
+ *     ],
+ *     "replaceDefaults": false
+ *   }
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {compileRules, readUserRules} from './ruleRegistry.js';
+
+/**
+ * Default location of the user rules file
+ */
+export const USER_SITE_RULES_PATH = GLib.build_filenamev([
+    GLib.get_user_config_dir(), 'active-window-details', 'sites.json']);
+
+/**
+ * Page properties a rule can match on. domain and path describe the URL,
+ * titleSuffix and title the page title.
+ */
+export const SITE_MATCH_FIELDS = ["domain", "path", "titleSuffix", "title"];
+
+/**
+ * Built-in Rules
+ * ==============
+ *
+ * domain matches the host and its subdomains ("google.com" covers
+ * "mail.google.com"); path is a regex on the URL path. A rule with both
+ * needs both. titleSuffix ends the page title, title is a regex on it.
+ * Code review rules have priority 10 so they come before the rule for the
+ * whole code hosting site.
+ */
+export const DEFAULT_SITE_RULES = [
+    // Code review
+    {
+        id: "github-review",
+        category: "code_review",
+        site: "GitHub",
+        priority: 10,
+        match: {
+            domain: "github.com",
+            path: "^/[^/]+/[^/]+/(pull/\\d+|compare/)",
+            title: "\\bPull Request #\\d+ · .+ · GitHub$"
+        }
+    },
+    {
+        id: "gitlab-review",
+        category: "code_review",
+        site: "GitLab",
+        priority: 10,
+        match: {
+            domain: "gitlab.com",
+            path: "/-/merge_requests/\\d+",
+            title: "\\(!\\d+\\) · Merge requests · .+ · GitLab$"
+        }
+    },
+    {
+        id: "gerrit",
+        category: "code_review",
+        site: "Gerrit",
+        match: {
+            domain: "googlesource.com",
+            path: "^/c/",
+            titleSuffix: " · Gerrit Code Review"
+        }
+    },
+
+    // Code hosting
+    {
+        id: "github",
+        category: "code",
+        site: "GitHub",
+        match: {domain: "github.com", titleSuffix: "· GitHub"}
+    },
+    {
+        id: "gitlab",
+        category: "code",
+        site: "GitLab",
+        match: {domain: "gitlab.com", titleSuffix: "· GitLab"}
+    },
+    {
+        id: "bitbucket",
+        category: "code",
+        site: "Bitbucket",
+        match: {domain: "bitbucket.org", titleSuffix: " — Bitbucket"}
+    },
+    {
+        id: "codeberg",
+        category: "code",
+        site: "Codeberg",
+        match: {domain: "codeberg.org", titleSuffix: " - Codeberg.org"}
+    },
+
+    // Documentation and reference
+    {
+        id: "google-docs",
+        category: "docs",
+        site: "Google Docs",
+        match: {
+            domain: "docs.google.com",
+            titleSuffix: [" - Google Docs", " - Google Sheets", " - Google Slides"]
+        }
+    },
+    {
+        id: "mdn",
+        category: "docs",
+        site: "MDN",
+        match: {domain: "developer.mozilla.org", titleSuffix: " | MDN"}
+    },
+    {
+        id: "stack-overflow",
+        category: "docs",
+        site: "Stack Overflow",
+        match: {domain: ["stackoverflow.com", "stackexchange.com"], titleSuffix: " - Stack Overflow"}
+    },
+    {
+        id: "read-the-docs",
+        category: "docs",
+        site: "Read the Docs",
+        match: {domain: ["readthedocs.io", "readthedocs.org"], titleSuffix: " — Read the Docs"}
+    },
+    {
+        id: "wikipedia",
+        category: "docs",
+        site: "Wikipedia",
+        match: {domain: "wikipedia.org", titleSuffix: " - Wikipedia"}
+    },
+    {
+        id: "confluence",
+        category: "docs",
+        site: "Confluence",
+        match: {domain: "atlassian.net", path: "^/wiki/", titleSuffix: " - Confluence"}
+    },
+    {
+        id: "notion",
+        category: "docs",
+        site: "Notion",
+        match: {domain: "notion.so"}
+    },
+    {
+        id: "docs-sites",
+        category: "docs",
+        site: "Documentation",
+        match: {domain: ["docs.python.org", "docs.rs", "pkg.go.dev", "devdocs.io", "docs.gtk.org",
+            "gjs-docs.gnome.org", "developer.gnome.org"]}
+    },
+
+    // Email
+    {
+        id: "gmail",
+        category: "email",
+        site: "Gmail",
+        match: {domain: "mail.google.com", titleSuffix: " - Gmail"}
+    },
+    {
+        id: "outlook",
+        category: "email",
+        site: "Outlook",
+        match: {domain: ["outlook.live.com", "outlook.office.com", "outlook.office365.com"], titleSuffix: " - Outlook"}
+    },
+    {
+        id: "proton-mail",
+        category: "email",
+        site: "Proton Mail",
+        match: {domain: "mail.proton.me", titleSuffix: " | Proton Mail"}
+    },
+    {
+        id: "fastmail",
+        category: "email",
+        site: "Fastmail",
+        match: {domain: "app.fastmail.com", titleSuffix: " | Fastmail"}
+    },
+
+    // Chat and meetings
+    {
+        id: "slack",
+        category: "chat",
+        site: "Slack",
+        match: {domain: ["app.slack.com", "slack.com"], titleSuffix: " - Slack"}
+    },
+    {
+        id: "discord",
+        category: "chat",
+        site: "Discord",
+        match: {domain: "discord.com", path: "^/channels/", titleSuffix: " | Discord"}
+    },
+    {
+        id: "element",
+        category: "chat",
+        site: "Element",
+        match: {domain: "app.element.io"}
+    },
+    {
+        id: "microsoft-teams",
+        category: "chat",
+        site: "Microsoft Teams",
+        match: {domain: "teams.microsoft.com", titleSuffix: " | Microsoft Teams"}
+    },
+    {
+        id: "whatsapp",
+        category: "chat",
+        site: "WhatsApp",
+        match: {domain: "web.whatsapp.com"}
+    },
+    {
+        id: "telegram",
+        category: "chat",
+        site: "Telegram",
+        match: {domain: "web.telegram.org"}
+    },
+    {
+        id: "google-meet",
+        category: "meeting",
+        site: "Google Meet",
+        match: {domain: "meet.google.com", title: "^Meet( - .+)?$"}
+    },
+    {
+        id: "zoom",
+        category: "meeting",
+        site: "Zoom",
+        match: {domain: ["zoom.us", "app.zoom.us"]}
+    },
+
+    // Video
+    {
+        id: "youtube",
+        category: "video",
+        site: "YouTube",
+        match: {domain: ["youtube.com", "youtu.be"], titleSuffix: " - YouTube"}
+    },
+    {
+        id: "vimeo",
+        category: "video",
+        site: "Vimeo",
+        match: {domain: "vimeo.com", titleSuffix: " on Vimeo"}
+    },
+    {
+        id: "twitch",
+        category: "video",
+        site: "Twitch",
+        match: {domain: "twitch.tv", titleSuffix: " - Twitch"}
+    },
+    {
+        id: "netflix",
+        category: "video",
+        site: "Netflix",
+        match: {domain: "netflix.com", titleSuffix: " | Netflix"}
+    },
+
+    // Social media
+    {
+        id: "x",
+        category: "social",
+        site: "X",
+        match: {domain: ["x.com", "twitter.com"], titleSuffix: [" / X", " / Twitter"]}
+    },
+    {
+        id: "reddit",
+        category: "social",
+        site: "Reddit",
+        match: {domain: "reddit.com", title: "( : r/\\w+| - Reddit)$"}
+    },
+    {
+        id: "linkedin",
+        category: "social",
+        site: "LinkedIn",
+        match: {domain: "linkedin.com", titleSuffix: " | LinkedIn"}
+    },
+    {
+        id: "mastodon",
+        category: "social",
+        site: "Mastodon",
+        match: {domain: ["mastodon.social", "fosstodon.org"], titleSuffix: " - Mastodon"}
+    },
+    {
+        id: "bluesky",
+        category: "social",
+        site: "Bluesky",
+        match: {domain: "bsky.app", titleSuffix: " — Bluesky"}
+    },
+    {
+        id: "facebook",
+        category: "social",
+        site: "Facebook",
+        match: {domain: "facebook.com", titleSuffix: " | Facebook"}
+    },
+    {
+        id: "instagram",
+        category: "social",
+        site: "Instagram",
+        match: {domain: "instagram.com", titleSuffix: " • Instagram"}
+    },
+    {
+        id: "hacker-news",
+        category: "social",
+        site: "Hacker News",
+        match: {domain: "news.ycombinator.com", titleSuffix: " | Hacker News"}
+    },
+
+    // Search
+    {
+        id: "search-engines",
+        category: "search",
+        site: "Search",
+        match: {
+            domain: ["google.com", "bing.com", "duckduckgo.com", "search.brave.com", "startpage.com", "kagi.com"],
+            path: "^/(search|html)?/?$",
+            titleSuffix: [" - Google Search", " at DuckDuckGo", " - Brave Search"]
+        }
+    }
+];
+
+/**
+ * Site Categorizer Registry
+ * =========================
+ *
+ * Holds the compiled rules and categorizes pages against them. The URL is
+ * asked first: the title is chosen by the page and only used when no rule
+ * matches the URL (or the URL isn't known). In both passes the highest
+ * priority matching rule wins; on equal priority, user rules are checked
+ * before built-in ones and earlier rules before later ones.
+ */
+export class SiteCategorizer {
+    /**
+     * @param {Array<Object>} defaultRules - Built-in rules
+     */
+    constructor(defaultRules = DEFAULT_SITE_RULES) {
+        this._defaultRules = defaultRules;
+        this._userRules = [];
+        this._replaceDefaults = false;
+        this._errors = [];
+        this._compile();
+    }
+
+    /**
+     * Problems found in the most recently loaded user rules
+     */
+    get errors() {
+        return this._errors;
+    }
+
+    /**
+     * Load user rules from a JSON file (see ruleRegistry.js)
+     *
+     * A missing file simply means no user rules. Invalid rules are skipped
+     * and reported through `errors`.
+     *
+     * @param {string} path - Path of the rules file
+     * @returns {number} Number of user rules loaded
+     */
+    loadUserRules(path = USER_SITE_RULES_PATH) {
+        const {rules, replaceDefaults, errors} = readUserRules(path);
+        this._userRules = rules;
+        this._replaceDefaults = replaceDefaults;
+        this._errors = errors;
+
+        this._compile();
+        return this._userRules.length;
+    }
+
+    /**
+     * Categorize a page
+     *
+     * @param {Object} input - {url, title}; title is the page title without
+     *                         the browser name. Either may be empty
+     * @returns {Object} {category, name, ruleId, matchedOn}; matchedOn is
+     *                   "url" or "title". Unmatched pages are "unknown" and
+     *                   named after their domain (null without a URL)
+     */
+    categorize(input) {
+        const location = parseLocation(input.url);
+        const title = (input.title || "").replace(/\s+/g, " ").trim();
+
+        if (location) {
+            const rule = this._compiled.find(candidate => candidate.matchesUrl(location));
+            if (rule) return {category: rule.category, name: rule.site, ruleId: rule.id, matchedOn: "url"};
+        }
+        if (title) {
+            const rule = this._compiled.find(candidate => candidate.matchesTitle(title));
+            if (rule) return {category: rule.category, name: rule.site, ruleId: rule.id, matchedOn: "title"};
+        }
+        return {category: "unknown", name: location && location.domain ? location.domain : null,
+            ruleId: null, matchedOn: null};
+    }
+
+    /**
+     * Build the sorted list of compiled rules from defaults and user rules
+     */
+    _compile() {
+        const {compiled, errors} = compileRules(this._defaultRules, this._userRules, this._replaceDefaults,
+            rule => this._compileRule(rule));
+        this._compiled = compiled;
+        this._errors.push(...errors);
+    }
+
+    _compileRule(rule) {
+        if (!rule.category || typeof rule.category !== "string") {
+            throw new Error("missing category");
+        }
+        const match = rule.match || {};
+        const patterns = field => match[field] === undefined ? [] : [].concat(match[field]).map(String);
+
+        const domains = patterns("domain").map(domain => domain.toLowerCase().replace(/^www\./, ""));
+        const paths = patterns("path").map(pattern => new RegExp(pattern, "i"));
+        const suffixes = patterns("titleSuffix").map(suffix => suffix.replace(/\s+/g, " ").toLowerCase());
+        const titles = patterns("title").map(pattern => new RegExp(pattern, "i"));
+        if (!SITE_MATCH_FIELDS.some(field => match[field] !== undefined)) {
+            throw new Error("no match fields");
+        }
+
+        const hasUrlFields = domains.length > 0 || paths.length > 0;
+        return {
+            category: rule.category,
+            // Unnamed rules fall back to the domain when one is given
+            site: typeof rule.site === "string" && rule.site ? rule.site : (domains[0] || null),
+            // Domain and path have to agree; either alone is enough when the other is missing
+            matchesUrl: location => hasUrlFields &&
+                (domains.length === 0 || domains.some(domain =>
+                    location.domain === domain || location.domain.endsWith(`.${domain}`))) &&
+                (paths.length === 0 || paths.some(regex => regex.test(location.path))),
+            matchesTitle: title => suffixes.some(suffix => title.toLowerCase().endsWith(suffix)) ||
+                titles.some(regex => regex.test(title))
+        };
+    }
+}
+
+/**
+ * Domain (lower-cased, without "www.") and path of a URL
+ *
+ * @returns {Object|null} {domain, path}, null for URLs without a host
+ */
+function parseLocation(url) {
+    if (!url) return null;
+
+    let host = "";
+    let path = "/";
+    if (url.includes("://")) {
+        try {
+            const uri = GLib.Uri.parse(url, GLib.UriFlags.NONE);
+            host = uri.get_host() || "";
+            path = uri.get_path() || "/";
+        } catch (e) {
+            return null;
+        }
+    } else if (/^www\./i.test(url)) {
+        // As found in window titles
+        const [, bareHost, barePath] = url.match(/^([^/?#:]+)(?::\d+)?([^?#]*)/);
+        host = bareHost;
+        path = barePath || "/";
+    }
+    if (!host) return null;
+    return {domain: host.toLowerCase().replace(/^www\./, "").replace(/\.$/, ""), path: path};
+}
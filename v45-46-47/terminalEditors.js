@@ -0,0 +1,169 @@
+/* terminalEditors.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Recognizes editors running inside a terminal (Vim, Neovim, Helix, Emacs
+ * -nw, nano, micro, Kakoune). They have no window of their own: the
+ * terminal's window is focused and the editor is the foreground job of one
+ * of its shells, so it is found through getTerminalSessions() and its files
+ * are read from its command line:
+ *
+ *   nvim -O +42 src/main.c include/main.h
+ *   -> {editor: "neovim", files: ["/home/user/proj/src/main.c", "/home/user/proj/include/main.h"]}
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {collectProcessFamily, readProcessArgv, readProcessCwd, readProcessNode} from './procfs.js';
+
+/**
+ * Terminal editors
+ *
+ * names matches the process name or the basename of argv[0].
+ * optionsWithValue lists the options whose value is the next argument (and
+ * therefore no file). terminalFlags, when set, is required on the command
+ * line: without it the editor opened a window of its own. Files may carry
+ * a position suffix ("main.c:42:7") where positionSuffix is set.
+ */
+export const TERMINAL_EDITORS = [
+    {
+        id: "neovim",
+        names: /^nvim$/,
+        optionsWithValue: ["-c", "-S", "-u", "-i", "-s", "-w", "-W", "-t", "-q", "--cmd", "--listen", "--startuptime"]
+    },
+    {
+        id: "vim",
+        names: /^(vi|vim|vim\.(basic|tiny|nox)|view|rvim|vimdiff)$/,
+        optionsWithValue: ["-c", "-S", "-u", "-U", "-i", "-T", "-s", "-w", "-W", "-t", "-q", "--cmd", "--servername",
+            "--startuptime"]
+    },
+    {
+        id: "helix",
+        names: /^(hx|helix)$/,
+        optionsWithValue: ["-c", "--config", "--log", "-w", "--working-dir"],
+        positionSuffix: true
+    },
+    {
+        id: "emacs",
+        names: /^(emacs(-nox|-gtk|-lucid|-pgtk|-[\d.]+)?|emacsclient)$/,
+        optionsWithValue: ["-l", "--load", "-f", "--funcall", "--eval", "-L", "--directory", "--chdir",
+            "-s", "--socket-name", "-a", "--alternate-editor", "--init-directory"],
+        terminalFlags: ["-nw", "--no-window-system", "-t", "--tty"]
+    },
+    {
+        id: "nano",
+        names: /^r?nano$/,
+        optionsWithValue: ["-o", "--operatingdir", "-r", "--fill", "-T", "--tabsize", "-Y", "--syntax",
+            "-s", "--speller", "-X", "--wordchars", "-Q", "--quotestr"]
+    },
+    {
+        id: "micro",
+        names: /^micro$/,
+        optionsWithValue: ["-config-dir", "-options"],
+        positionSuffix: true
+    },
+    {
+        id: "kakoune",
+        names: /^kak$/,
+        optionsWithValue: ["-c", "-s", "-e", "-E", "-ui", "-debug"]
+    }
+];
+
+/**
+ * Processes of a foreground job searched for an editor (e.g. vim started by
+ * `git commit`)
+ */
+const MAX_JOB_PROCESSES = 32;
+
+/**
+ * Editor running as (or under) the foreground job of a terminal
+ *
+ * @param {Object} foreground - Foreground process node from getTerminalSessions()
+ * @returns {Object|null} {editor, pid, name, exe, cmdline, cwd, files}; files are absolute paths
+ */
+export function findTerminalEditor(foreground) {
+    for (const pid of collectProcessFamily(foreground.pid).slice(0, MAX_JOB_PROCESSES)) {
+        let node;
+        try {
+            node = pid === foreground.pid ? foreground : readProcessNode(pid);
+        } catch (e) {
+            continue;   // Exited meanwhile
+        }
+
+        const argv = readProcessArgv(pid);
+        const program = argv.length > 0 ? GLib.path_get_basename(argv[0]) : "";
+        const editor = TERMINAL_EDITORS.find(candidate =>
+            candidate.names.test(node.comm) || candidate.names.test(program));
+        if (!editor) continue;
+        if (editor.terminalFlags && !argv.some(arg => editor.terminalFlags.includes(arg))) continue;
+
+        const cwd = node.cwd || readProcessCwd(pid);
+        return {
+            editor: editor.id,
+            pid: pid,
+            name: node.comm,
+            exe: node.exe,
+            cmdline: node.cmdline,
+            cwd: cwd,
+            files: parseEditorFiles(editor, argv.slice(1), cwd)
+        };
+    }
+    return null;
+}
+
+/**
+ * File arguments of an editor command line, made absolute
+ *
+ * @param {Object} editor - Entry of TERMINAL_EDITORS
+ * @param {Array<string>} args - Arguments without argv[0]
+ * @param {string} cwd - Editor's working directory
+ * @returns {Array<string>} Absolute paths
+ */
+export function parseEditorFiles(editor, args, cwd) {
+    const files = [];
+    let onlyFiles = false;
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!onlyFiles) {
+            if (arg === "--") {
+                onlyFiles = true;
+                continue;
+            }
+            // "+42", "+/pattern", "+42:7": position of the next file
+            if (arg.startsWith("+")) continue;
+            if (arg.startsWith("-") && arg !== "-") {
+                if (editor.optionsWithValue.includes(arg)) i++;
+                continue;
+            }
+        }
+        if (arg === "-") continue;  // stdin
+
+        let file = arg;
+        if (editor.positionSuffix && !GLib.file_test(absolutePath(file, cwd), GLib.FileTest.EXISTS)) {
+            file = file.replace(/(:\d+){1,2}$/, "");
+        }
+        files.push(absolutePath(file, cwd));
+    }
+    return files;
+}
+
+function absolutePath(path, cwd) {
+    if (path.startsWith("~/")) return GLib.build_filenamev([GLib.get_home_dir(), path.slice(2)]);
+    return GLib.path_is_absolute(path) || !cwd ? path : GLib.canonicalize_filename(path, cwd);
+}
@@ -0,0 +1,115 @@
+/* variants.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Converts the JSON payloads of the string interface into native D-Bus
+ * values for the typed ActiveWindowDetails2 interface. Objects become
+ * a{sv} dictionaries with the same keys as the JSON payloads:
+ *
+ *   string -> s        boolean -> b        integer -> x        fraction -> d
+ *   object -> a{sv}    list of objects -> aa{sv}               list of strings -> as
+ *
+ * Well-known keys get fixed types (process ids are u, window ids are t) and
+ * geometry objects {x, y, width, height} become (iiii). Null values are left
+ * out, since a{sv} has no null.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+/**
+ * Keys with a fixed D-Bus type regardless of their JSON value
+ */
+const KEY_TYPES = {
+    pid: 'u',
+    parentPid: 'u',
+    id: 't',
+    windowId: 't',
+    focusedWindowId: 't'
+};
+
+/**
+ * Convert an object into the contents of an a{sv} dictionary
+ *
+ * The result can be passed wherever GLib.Variant expects an a{sv} value.
+ *
+ * @param {Object} object - JSON-compatible object
+ * @returns {Object} Keys mapped to GLib.Variant values
+ */
+export function toVardict(object) {
+    const dict = {};
+    for (const [key, value] of Object.entries(object || {})) {
+        const variant = toVariant(value, key);
+        if (variant !== null) dict[key] = variant;
+    }
+    return dict;
+}
+
+/**
+ * Convert a single JSON value into a GLib.Variant
+ *
+ * @param {*} value - JSON-compatible value
+ * @param {string} key - Key the value is stored under, for KEY_TYPES
+ * @returns {GLib.Variant|null} Variant, or null for null/undefined values
+ */
+export function toVariant(value, key = "") {
+    if (value === null || value === undefined) return null;
+    if (value instanceof GLib.Variant) return value;
+
+    const keyType = KEY_TYPES[key];
+    if (keyType) {
+        const number = Number(value);
+        // Unknown ids and pids ("" or -1) are left out rather than wrapped around
+        if (!Number.isInteger(number) || number < 0 || value === "") return null;
+        return new GLib.Variant(keyType, number);
+    }
+
+    if (isGeometry(value)) {
+        return new GLib.Variant('(iiii)', [value.x, value.y, value.width, value.height]);
+    }
+
+    switch (typeof value) {
+    case "string":
+        return new GLib.Variant('s', value);
+    case "boolean":
+        return new GLib.Variant('b', value);
+    case "number":
+        return Number.isInteger(value) ? new GLib.Variant('x', value) : new GLib.Variant('d', value);
+    }
+
+    if (Array.isArray(value)) {
+        if (value.length > 0 && value.every(item => typeof item === "string")) {
+            return new GLib.Variant('as', value);
+        }
+        if (value.length > 0 && value.every(item => item && typeof item === "object" && !Array.isArray(item))) {
+            return new GLib.Variant('aa{sv}', value.map(item => toVardict(item)));
+        }
+        return new GLib.Variant('av', value.map(item => toVariant(item)).filter(item => item !== null));
+    }
+
+    return new GLib.Variant('a{sv}', toVardict(value));
+}
+
+/**
+ * Whether a value is a window geometry {x, y, width, height}
+ */
+function isGeometry(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value) &&
+        Object.keys(value).length === 4 &&
+        ["x", "y", "width", "height"].every(field => Number.isInteger(value[field]));
+}
@@ -0,0 +1,350 @@
+/* vscodeWorkspace.js
+ *
+ * Active Window Details GNOME Shell Extension
+ * ===============================
+ *
+ * Resolves the folder or .code-workspace file a VS Code-family editor
+ * (Visual Studio Code, Code - OSS, VSCodium, Cursor) has open. The window
+ * title only carries names:
+ *
+ *   "● extension.js - active-window-details - Visual Studio Code"
+ *    dirty  active editor   root name             application
+ *
+ * so the root name is looked up among the workspaces the editor remembers
+ * in its user directory (~/.config/<Product>/User, or
+ * ~/.var/app/<app id>/config/<Product>/User for Flatpak installs):
+ *
+ * - globalStorage/storage.json: the windows open in the last session
+ * - workspaceStorage/<hash>/workspace.json: every folder or workspace
+ *   ever opened, most recently used first
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import {getModificationTime, listDirectory, readJson} from './fileUtils.js';
+
+/**
+ * VS Code-family products
+ *
+ * wmClass and sandboxedAppId identify the windows (compared
+ * case-insensitively), configDir is the directory under ~/.config and
+ * appName the last segment of the window title.
+ */
+export const VSCODE_PRODUCTS = [
+    {
+        id: "code",
+        wmClass: ["code"],
+        sandboxedAppId: "com.visualstudio.code",
+        configDir: "Code",
+        appName: "Visual Studio Code"
+    },
+    {
+        id: "code-oss",
+        wmClass: ["code-oss", "code - oss"],
+        sandboxedAppId: null,
+        configDir: "Code - OSS",
+        appName: "Code - OSS"
+    },
+    {
+        id: "vscodium",
+        wmClass: ["vscodium", "codium"],
+        sandboxedAppId: "com.vscodium.codium",
+        configDir: "VSCodium",
+        appName: "VSCodium"
+    },
+    {
+        id: "cursor",
+        wmClass: ["cursor"],
+        sandboxedAppId: null,
+        configDir: "Cursor",
+        appName: "Cursor"
+    }
+];
+
+/**
+ * How long a workspace list is reused before the user directory is read again
+ */
+const WORKSPACE_LIST_LIFETIME = 10 * 1000;
+
+/**
+ * workspaceStorage entries read per product, the most recently used ones;
+ * the directory grows with every folder ever opened
+ */
+const MAX_WORKSPACE_ENTRIES = 500;
+
+/**
+ * Title separators: " - " by default, " — " in some products and settings
+ */
+const TITLE_SEPARATOR = /\s+[-—–]\s+/;
+
+/**
+ * Dirty marker in front of the active editor name
+ */
+const DIRTY_MARKER = /^[●•]\s*/;
+
+/**
+ * Remote suffix of the root name, e.g. "project [SSH: devbox]"
+ */
+const REMOTE_SUFFIX = /\s*\[([^\]]+)\]$/;
+
+/**
+ * Root name suffix of multi-root workspaces
+ */
+const WORKSPACE_SUFFIX = " (Workspace)";
+
+/**
+ * VS Code Workspace Resolver
+ * ==========================
+ *
+ * Keeps the workspace list of each user directory for a few seconds, since
+ * the title changes with every editor switch.
+ */
+export class VSCodeWorkspaceResolver {
+    constructor() {
+        this._lists = new Map();    // user directory -> {workspaces, readAt}
+    }
+
+    /**
+     * Parse a window title and resolve its root name to a workspace
+     *
+     * @param {Object} product - Entry of VSCODE_PRODUCTS
+     * @param {string} title - Window title
+     * @param {number} now - Current time in ms
+     * @returns {Object} {dirty, activeFile, filePath, rootName, remote, workspace}; workspace is
+     *                   {path, uri, kind: "folder"|"workspace", remote, source} or null
+     */
+    resolve(product, title, now = Date.now()) {
+        const parsed = parseVSCodeTitle(title, product.appName);
+        const workspaces = this._listWorkspaces(product, now);
+
+        // With a single segment the title names either the folder (no editor
+        // open) or the file (no folder open)
+        let {activeFile, rootName} = parsed;
+        let workspace = rootName ? findWorkspace(workspaces, rootName) : null;
+        if (!workspace && parsed.segments.length === 1) {
+            activeFile = parsed.segments[0];
+            rootName = "";
+        } else if (!workspace && parsed.segments.length > 2) {
+            // A profile name follows the root name, or the file name contains a separator
+            for (let i = parsed.segments.length - 1; i > 0 && !workspace; i--) {
+                workspace = findWorkspace(workspaces, parsed.segments[i]);
+                if (workspace) {
+                    activeFile = parsed.segments.slice(0, i).join(" - ");
+                    rootName = parsed.segments[i];
+                }
+            }
+        }
+
+        let filePath = "";
+        if (activeFile && workspace && workspace.path && workspace.kind === "folder") {
+            const candidate = GLib.build_filenamev([workspace.path, activeFile]);
+            if (GLib.file_test(candidate, GLib.FileTest.IS_REGULAR)) filePath = candidate;
+        }
+
+        return {
+            dirty: parsed.dirty,
+            activeFile: activeFile,
+            filePath: filePath,     // Only when the file sits at the top of the folder
+            rootName: rootName,
+            remote: parsed.remote,
+            workspace: workspace
+        };
+    }
+
+    /**
+     * Workspaces remembered by a product, most relevant first
+     */
+    _listWorkspaces(product, now) {
+        const workspaces = [];
+        for (const userDir of getUserDirs(product)) {
+            let list = this._lists.get(userDir);
+            if (!list || now - list.readAt > WORKSPACE_LIST_LIFETIME) {
+                list = {workspaces: readWorkspaces(userDir), readAt: now};
+                this._lists.set(userDir, list);
+            }
+            workspaces.push(...list.workspaces);
+        }
+        return workspaces;
+    }
+}
+
+/**
+ * VS Code-family product of a window
+ *
+ * @param {string} wmClass - Window class
+ * @param {string} sandboxedAppId - Flatpak app id, or empty
+ * @returns {Object|null} Entry of VSCODE_PRODUCTS
+ */
+export function findVSCodeProduct(wmClass, sandboxedAppId) {
+    const windowClass = (wmClass || "").toLowerCase();
+    const appId = (sandboxedAppId || "").toLowerCase();
+    return VSCODE_PRODUCTS.find(product =>
+        product.wmClass.includes(windowClass) ||
+        (product.sandboxedAppId !== null && product.sandboxedAppId.toLowerCase() === appId)) || null;
+}
+
+/**
+ * Split a VS Code window title into its parts
+ *
+ * The default title is "${dirty}${activeEditorShort} - ${rootName} -
+ * ${profileName} - ${appName}", where empty parts and their separators are
+ * left out.
+ *
+ * @param {string} title - Window title
+ * @param {string} appName - Product name ending the title
+ * @returns {Object} {dirty, activeFile, rootName, remote, segments}
+ */
+export function parseVSCodeTitle(title, appName) {
+    let text = (title || "").trim();
+    const dirty = DIRTY_MARKER.test(text);
+    text = text.replace(DIRTY_MARKER, "");
+
+    // The application name may contain a separator itself ("Code - OSS")
+    const appPattern = new RegExp(`(^|${TITLE_SEPARATOR.source})${escapeRegExp(appName).replace(/ - /g, TITLE_SEPARATOR.source)}$`);
+    text = text.replace(appPattern, "");
+
+    const segments = text ? text.split(TITLE_SEPARATOR) : [];
+    let rootName = segments.length >= 2 ? segments[1] : segments[0] || "";
+    let remote = null;
+    const remoteMatch = rootName.match(REMOTE_SUFFIX);
+    if (remoteMatch) {
+        remote = remoteMatch[1];
+        rootName = rootName.replace(REMOTE_SUFFIX, "");
+    }
+
+    return {
+        dirty: dirty,
+        activeFile: segments.length >= 2 ? segments[0] : "",
+        rootName: rootName,
+        remote: remote,         // e.g. "SSH: devbox", "WSL: Ubuntu", "Dev Container: app"
+        segments: segments
+    };
+}
+
+/**
+ * User directories of a product: the Flatpak one first for Flatpak installs
+ */
+function getUserDirs(product) {
+    const dirs = [];
+    if (product.sandboxedAppId) {
+        dirs.push(GLib.build_filenamev([GLib.get_home_dir(), ".var", "app", product.sandboxedAppId,
+            "config", product.configDir, "User"]));
+    }
+    dirs.push(GLib.build_filenamev([GLib.get_user_config_dir(), product.configDir, "User"]));
+    return dirs.filter(dir => GLib.file_test(dir, GLib.FileTest.IS_DIR));
+}
+
+/**
+ * Workspaces of a user directory: open windows first, then by last use
+ *
+ * @param {string} userDir - User directory of a product (.../Code/User)
+ * @returns {Array<Object>} {path, uri, kind, remote, source, rootName}
+ */
+export function readWorkspaces(userDir) {
+    const workspaces = [];
+
+    // Windows of the running (or last) session
+    const storage = readJson(GLib.build_filenamev([userDir, "globalStorage", "storage.json"])) ||
+        readJson(GLib.build_filenamev([userDir, "..", "storage.json"]));   // Before VS Code 1.64
+    const state = storage && storage.windowsState;
+    if (state) {
+        for (const window of [state.lastActiveWindow, ...(state.openedWindows || [])]) {
+            if (!window) continue;
+            const workspace = window.folder ? toWorkspace(window.folder, "folder", "storage.json") :
+                window.workspace ? toWorkspace(window.workspace.configPath, "workspace", "storage.json") : null;
+            if (workspace) workspaces.push(workspace);
+        }
+    }
+
+    // Everything ever opened; state.vscdb is written whenever the workspace is used.
+    // Every entry is dated before capping, so the one in use can't be cut off
+    const storageDir = GLib.build_filenamev([userDir, "workspaceStorage"]);
+    const entries = listDirectory(storageDir).map(name => {
+        const dir = GLib.build_filenamev([storageDir, name]);
+        return {dir, lastUsed: getModificationTime(GLib.build_filenamev([dir, "state.vscdb"])) ||
+            getModificationTime(GLib.build_filenamev([dir, "workspace.json"]))};
+    });
+    entries.sort((a, b) => b.lastUsed - a.lastUsed);
+
+    for (const {dir} of entries.slice(0, MAX_WORKSPACE_ENTRIES)) {
+        const config = readJson(GLib.build_filenamev([dir, "workspace.json"]));
+        if (!config) continue;
+
+        const workspace = config.folder ? toWorkspace(config.folder, "folder", "workspaceStorage") :
+            config.workspace ? toWorkspace(config.workspace, "workspace", "workspaceStorage") : null;
+        if (workspace) workspaces.push(workspace);
+    }
+
+    return workspaces;
+}
+
+/**
+ * Workspace entry from a folder or .code-workspace URI
+ */
+function toWorkspace(uri, kind, source) {
+    if (typeof uri !== "string" || !uri) return null;
+
+    let path = null;
+    if (uri.startsWith("file://")) {
+        try {
+            [path] = GLib.filename_from_uri(uri);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Remote URIs (vscode-remote://ssh-remote+host/path) only give the name
+    const name = GLib.path_get_basename(path || decodeUriPath(uri.replace(/^[a-z-]+:\/\/[^/]*/, "")));
+    return {
+        path: path,
+        uri: uri,
+        kind: kind,
+        remote: path === null,
+        source: source,
+        // Root name shown in the title
+        rootName: kind === "workspace" ? `${name.replace(/\.code-workspace$/, "")}${WORKSPACE_SUFFIX}` : name
+    };
+}
+
+/**
+ * Percent-decoded URI path; remote paths with a literal "%" are stored
+ * unencoded and kept as they are
+ */
+function decodeUriPath(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * First workspace whose root name matches, without the internal rootName field
+ */
+function findWorkspace(workspaces, rootName) {
+    const name = rootName.replace(REMOTE_SUFFIX, "");
+    const match = workspaces.find(workspace => workspace.rootName === name);
+    if (!match) return null;
+
+    const {rootName: _rootName, ...workspace} = match;
+    return workspace;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}